@@ -0,0 +1,76 @@
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { ReplayHarness } from './src/models/enhancers/replay_harness.js';
+
+function readJson(file, what) {
+    if (!existsSync(file)) {
+        console.error(`${what} not found: ${file}`);
+        process.exit(1);
+    }
+    return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+function printTurn(turn, args) {
+    const intent = turn.intent ? `${turn.intent.type}/${turn.intent.subtype} (${Number(turn.intent.confidence || 0).toFixed(2)})` : 'none';
+    console.log(`  turn ${turn.turn} [history #${turn.index}] ${JSON.stringify(turn.input.slice(0, 80))}`);
+    console.log(`    intent:   ${intent}`);
+    console.log(`    examples: ${turn.examples.join(', ') || 'none'}`);
+    console.log(`    mission:  ${turn.mission ? `${turn.mission.plan} step ${turn.mission.step}/${turn.mission.total}: ${turn.mission.goal} ${turn.mission.command}` : 'none'}`);
+    console.log(`    commands: ${turn.commands.join(' ') || 'none'}`);
+    console.log(`    prompt:   ${turn.prompt.status}`);
+    const diff = args.fullDiff ? turn.prompt.diff : turn.prompt.diff.slice(0, 20);
+    for (const line of diff) {
+        console.log(`      ${line}`);
+    }
+    if (diff.length < turn.prompt.diff.length) {
+        console.log(`      ... ${turn.prompt.diff.length - diff.length} more lines (use --full-diff)`);
+    }
+}
+
+async function replay(args) {
+    const profile = readJson(args.profile, 'Profile');
+    const snapshot = args.snapshot ? readJson(args.snapshot, 'Snapshot') : {};
+    const responses = args.responses ? readJson(args.responses, 'Responses file') : null;
+
+    let files = args.histories || [];
+    if (files.length === 0) {
+        const dir = join('bots', profile.name, 'histories');
+        files = existsSync(dir) ? readdirSync(dir).filter(file => file.endsWith('.json')).sort().map(file => join(dir, file)) : [];
+    }
+    if (files.length === 0) {
+        console.error(`No histories to replay for ${profile.name}.`);
+        process.exit(1);
+    }
+
+    const harness = new ReplayHarness({ profile, snapshot, responses, goldenDir: args.golden, update: args.update }, args.debug);
+    let changed = 0;
+    for (const file of files) {
+        const report = await harness.replay(file);
+        console.log(`${report.file}: ${report.turns.length} turns, ${report.changed} prompt changes`);
+        report.turns.forEach(turn => printTurn(turn, args));
+        changed += report.changed;
+    }
+    if (changed > 0) {
+        console.log(`${changed} prompts differ from the golden files. Run with --update to accept them.`);
+        process.exit(1);
+    }
+}
+
+yargs(hideBin(process.argv))
+    .scriptName('replay')
+    .command('$0 [histories..]', 'Replay recorded conversations through the implicit enhancer', y => y
+        .positional('histories', { type: 'string', describe: 'History files (default: bots/<name>/histories/*.json)' })
+        .option('profile', { type: 'string', demandOption: true, describe: 'Bot profile with the enhancer config, e.g. lucy.json' })
+        .option('snapshot', { type: 'string', describe: 'World snapshot for the stub bot (inventory, position, nearby blocks)' })
+        .option('responses', { type: 'string', describe: 'JSON array of model responses, one per turn, instead of the recorded ones' })
+        .option('golden', { type: 'string', describe: 'Golden prompt directory (default data/replay/golden)' })
+        .option('update', { type: 'boolean', default: false, describe: 'Write the current prompts as the new golden files' })
+        .option('full-diff', { type: 'boolean', default: false, describe: 'Print the whole prompt diff for each turn' })
+        .option('debug', { type: 'boolean', default: false, describe: 'Print the enhancer debug log' }),
+    replay)
+    .strict()
+    .help()
+    .alias('help', 'h')
+    .parse();
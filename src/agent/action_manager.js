@@ -7,6 +7,7 @@ export class ActionManager {
         this.timedout = false;
         this.resume_func = null;
         this.resume_name = '';
+        this.lastOutcome = null; // result of the most recently finished action, used to verify mission steps
     }
 
     async resumeAction(actionFn, timeout) {
@@ -97,6 +98,7 @@ export class ActionManager {
 
             // 更新团队任务状态为完成
             this._updateTeamTaskStatus('done', { actionLabel, output });
+            this._recordOutcome(actionLabel, { success: true, interrupted, timedout, message: output });
 
             // if not interrupted and not generating, emit idle event
             if (!interrupted) {
@@ -126,6 +128,7 @@ export class ActionManager {
             this.agent.clearBotLogs();
             // 更新团队任务状态为失败
             this._updateTeamTaskStatus('failed', { actionLabel, error: err.toString() });
+            this._recordOutcome(actionLabel, { success: false, interrupted, timedout: false, message });
             if (!interrupted) {
                 this.agent.bot.emit('idle');
             }
@@ -159,10 +162,16 @@ export class ActionManager {
         }, TIMEOUT_MINS * 60 * 1000);
     }
 
+    _recordOutcome(actionLabel, result) {
+        this.lastOutcome = { label: actionLabel, ...result, finishedAt: Date.now() };
+    }
+
     _updateTeamTaskStatus(status, extra = {}) {
         try {
             const enhancer = this.agent?.prompter?.enhancer;
             if (!enhancer || typeof enhancer.markTaskDone !== 'function') return;
+            // 团队目标的子任务由协调器核对库存后结束，单个动作的成败不改变它的状态
+            if (status !== 'in_progress' && enhancer.isTeamSubtaskActive?.()) return;
             if (status === 'done') {
                 enhancer.markTaskDone(extra);
             } else if (status === 'failed') {
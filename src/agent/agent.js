@@ -3,7 +3,7 @@ import { Coder } from './coder.js';
 import { Prompter } from '../models/prompter.js';
 import { initModes } from './modes.js';
 import { initBot } from '../utils/mcdata.js';
-import { containsCommand, commandExists, executeCommand, truncCommandMessage, isAction, blacklistCommands } from './commands/index.js';
+import { containsCommand, commandExists, executeCommand, truncCommandMessage, isAction, blacklistCommands, extractCommands, parseCommandMessage } from './commands/index.js';
 import { ActionManager } from './action_manager.js';
 import { PluginManager } from './plugin.js';
 import { SelfPrompter } from './self_prompter.js';
@@ -58,6 +58,11 @@ export class Agent {
             save_data = this.history.load();
         }
 
+        // resume (or discard) a mission left unfinished by a previous run
+        if (typeof this.prompter.enhancer?.restoreMission === 'function') {
+            this.prompter.enhancer.restoreMission(load_mem);
+        }
+
         this.bot.on('login', () => {
             console.log(this.name, 'logged in!');
 
@@ -98,6 +103,11 @@ export class Agent {
                 this._setupEventHandlers(save_data, init_message);
                 this.startEvents();
 
+                // record containers and workstations the agent opens or places for the team
+                if (typeof this.prompter.enhancer?.watchWorld === 'function') {
+                    this.prompter.enhancer.watchWorld(this.bot);
+                }
+
             } catch (error) {
                 console.error('Error in spawn event:', error);
                 process.exit(0);
@@ -284,17 +294,19 @@ export class Agent {
             let command_name = containsCommand(res);
 
             if (command_name) { // contains query or command
-                res = truncCommandMessage(res); // everything after the command is ignored
+                const queue = extractCommands(res); // multiple commands are executed in order
+                res = truncCommandMessage(res, true); // everything after the last command is ignored
                 this.history.add(this.name, res);
                 
-                if (!commandExists(command_name)) {
-                    this.history.add('system', `Command ${command_name} does not exist.`);
-                    console.warn('Agent hallucinated command:', command_name)
+                const missing_command = queue.map(cmd => containsCommand(cmd)).find(name => !commandExists(name));
+                if (missing_command) {
+                    this.history.add('system', `Command ${missing_command} does not exist.`);
+                    console.warn('Agent hallucinated command:', missing_command);
                     continue;
                 }
 
                 if (checkInterrupt()) break;
-                this.self_prompter.handleUserPromptedCmd(self_prompt, isAction(command_name));
+                this.self_prompter.handleUserPromptedCmd(self_prompt, queue.some(cmd => isAction(containsCommand(cmd))));
 
                 if (settings.verbose_commands) {
                     this.routeResponse(source, res);
@@ -307,9 +319,7 @@ export class Agent {
                     this.routeResponse(source, chat_message);
                 }
 
-                let execute_res = await executeCommand(this, res);
-
-                console.log('Agent executed:', command_name, 'and got:', execute_res);
+                let execute_res = await this.executeCommandQueue(queue, checkInterrupt);
                 used_command = true;
 
                 if (execute_res)
@@ -328,6 +338,47 @@ export class Agent {
         return used_command;
     }
 
+    /**
+     * Executes commands one after another, stopping at the first one that fails.
+     * Results of all but the final executed command are added to history here.
+     * @param {string[]} commands - command strings, e.g. ['!collectBlocks("stone", 3)', '!craftRecipe("furnace", 1)']
+     * @param {function} checkInterrupt - returns true if the queue should stop early
+     * @returns {Promise<string|undefined>} the result of the last executed command, followed by a note
+     *     listing the commands skipped if the queue stopped early
+     */
+    async executeCommandQueue(commands, checkInterrupt = () => false) {
+        let execute_res;
+        for (let i = 0; i < commands.length; i++) {
+            const command_name = containsCommand(commands[i]);
+            const started = Date.now();
+            execute_res = await executeCommand(this, commands[i]);
+            console.log('Agent executed:', command_name, 'and got:', execute_res);
+
+            const remaining = commands.slice(i + 1);
+            if (remaining.length === 0)
+                break;
+            if (this.commandFailed(commands[i], started) || checkInterrupt()) {
+                const note = `Stopped after ${command_name}, did not run: ${remaining.join(', ')}`;
+                console.log(note);
+                return execute_res ? `${execute_res}\n${note}` : note;
+            }
+            if (execute_res)
+                this.history.add('system', execute_res);
+        }
+        return execute_res;
+    }
+
+    commandFailed(command, started) {
+        if (typeof parseCommandMessage(command) === 'string')
+            return true; // incorrectly formatted or invalid args
+        if (!isAction(containsCommand(command)))
+            return false;
+        const outcome = this.actions.lastOutcome;
+        if (!outcome || outcome.finishedAt < started)
+            return false;
+        return !outcome.success || Boolean(outcome.interrupted) || Boolean(outcome.timedout);
+    }
+
     async routeResponse(to_player, message) {
         if (this.shut_up) return;
         let self_prompt = to_player === 'system' || to_player === this.name;
@@ -144,6 +144,16 @@ export const actionsList = [
             await skills.goToNearestEntity(agent.bot, entity_type, 4, range);
         })
     },
+    {
+        name: '!goToStorage',
+        description: 'Go to the nearest container a teammate saw holding an item, or to the nearest workstation or chest the team knows of.',
+        params: {
+            'name': { type: 'ItemName', description: 'The item to fetch, e.g. "iron_ingot", or a workstation such as "furnace".' }
+        },
+        perform: runAsAction(async (agent, name) => {
+            await skills.goToStorage(agent.bot, name);
+        })
+    },
     {
         name: '!moveAway',
         description: 'Move away from the current location in any direction by a given distance.',
@@ -382,6 +392,40 @@ export const actionsList = [
             return 'Self-prompting stopped.';
         }
     },
+    {
+        name: '!abortMission',
+        description: 'Abandon the current multi-step mission.',
+        perform: function (agent) {
+            const enhancer = agent.prompter.enhancer;
+            if (typeof enhancer?.abortMission !== 'function')
+                return 'Missions are not supported by the current enhancer.';
+            return enhancer.abortMission();
+        }
+    },
+    {
+        name: '!skipStep',
+        description: 'Skip the current step of the mission and move on to the next one.',
+        perform: function (agent) {
+            const enhancer = agent.prompter.enhancer;
+            if (typeof enhancer?.skipStep !== 'function')
+                return 'Missions are not supported by the current enhancer.';
+            return enhancer.skipStep();
+        }
+    },
+    {
+        name: '!teamGoal',
+        description: 'Split a goal into subtasks for the whole team. The subtasks are offered to the teammates best placed to do them.',
+        params: {
+            'kind': { type: 'string', description: '"collect" to gather resources, or "build" to build a blueprint together.' },
+            'target': { type: 'string', description: 'For collect, the resources and amounts, e.g. "64 oak_log, 32 cobblestone". For build, the blueprint name.' },
+        },
+        perform: function (agent, kind, target) {
+            const enhancer = agent.prompter.enhancer;
+            if (typeof enhancer?.createTeamGoal !== 'function')
+                return 'Team goals are not supported by the current enhancer.';
+            return enhancer.createTeamGoal(kind, target);
+        }
+    },
     {
         name: '!startConversation',
         description: 'Start a conversation with a player. Use for bots only.',
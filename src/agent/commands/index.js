@@ -2,6 +2,7 @@ import { getBlockId, getItemId } from "../../utils/mcdata.js";
 import { actionsList } from './actions.js';
 import settings from '../../../settings.js';
 import { queryList } from './queries.js';
+import { parseCommands } from './parser.js';
 
 let suppressNoDomainWarning = false;
 
@@ -39,13 +40,10 @@ export function addPluginActions(plugin, actions) {
     }
 }
 
-const commandRegex = /!(\w+)(?:\(((?:-?\d+(?:\.\d+)?|true|false|"[^"]*")(?:\s*,\s*(?:-?\d+(?:\.\d+)?|true|false|"[^"]*"))*)\))?/
-const argRegex = /-?\d+(?:\.\d+)?|true|false|"[^"]*"/g;
-
 export function containsCommand(message) {
-    const commandMatch = message.match(commandRegex);
-    if (commandMatch)
-        return "!" + commandMatch[1];
+    const [command] = parseCommands(message);
+    if (command)
+        return command.name;
     return null;
 }
 
@@ -106,14 +104,14 @@ function checkInInterval(number, lowerBound, upperBound, endpointType) {
  * @returns {string | Object}
  */
 export function parseCommandMessage(message) {
-    const commandMatch = message.match(commandRegex);
-    if (!commandMatch) return `Command is incorrectly formatted`;
+    const [parsed] = parseCommands(message);
+    if (!parsed) return `Command is incorrectly formatted`;
 
-    const commandName = "!"+commandMatch[1];
+    const commandName = parsed.name;
+    if (parsed.error) return formatParseError(parsed);
 
-    let args;
-    if (commandMatch[2]) args = commandMatch[2].match(argRegex);
-    else args = [];
+    // quoted strings are passed unquoted, everything else as written
+    let args = parsed.args.map(arg => arg.type === 'string' ? arg.value : arg.raw);
 
     const command = getCommand(commandName);
     if(!command) return `${commandName} is not a command.`
@@ -127,11 +125,7 @@ export function parseCommandMessage(message) {
     
     for (let i = 0; i < args.length; i++) {
         const param = params[i];
-        //Remove any extra characters
-        let arg = args[i].trim();
-        if ((arg.startsWith('"') && arg.endsWith('"')) || (arg.startsWith("'") && arg.endsWith("'"))) {
-            arg = arg.substring(1, arg.length-1);
-        }
+        let arg = args[i];
         
         //Convert to the correct type
         switch(param.type) {
@@ -181,14 +175,43 @@ export function parseCommandMessage(message) {
     return { commandName, args };
 }
 
-export function truncCommandMessage(message) {
-    const commandMatch = message.match(commandRegex);
-    if (commandMatch) {
-        return message.substring(0, commandMatch.index + commandMatch[0].length);
+/**
+ * Returns every command in the message as its own command string, in order.
+ * @param {string} message
+ * @returns {string[]}
+ */
+export function extractCommands(message) {
+    return parseCommands(message).map(command => command.text);
+}
+
+/**
+ * Cuts off everything after the first command, or after the last one when `keepAll` is set.
+ * @param {string} message
+ * @param {boolean} keepAll
+ * @returns {string}
+ */
+export function truncCommandMessage(message, keepAll=false) {
+    const commands = parseCommands(message);
+    if (commands.length > 0) {
+        const command = keepAll ? commands[commands.length - 1] : commands[0];
+        return message.substring(0, command.end);
     }
     return message;
 }
 
+/**
+ * Turns a structured parse error into a message the model can act on.
+ * @param {Object} parsed - a command returned by parseCommands with a non-null `error`
+ * @returns {string}
+ */
+function formatParseError(parsed) {
+    let res = `Error: could not parse ${parsed.text}: ${parsed.error.message}.`;
+    const command = getCommand(parsed.name);
+    if (command)
+        res += ` Use: ${command.name}(${commandParamNames(command).join(', ')}), quoting text arguments with "".`;
+    return res;
+}
+
 export function isAction(name) {
     return actionsList.find(action => action.name === name) !== undefined;
 }
@@ -0,0 +1,193 @@
+/**
+ * Tokenizer and parser for the command language used by players and models, e.g.
+ * `!goToCoordinates(1.5, 64, -3.2)` or `!newAction("Build a small house (3x3)")`.
+ *
+ * Grammar:
+ *   command := '!' name [ '(' [ arg { ',' arg } ] ')' ]
+ *   arg     := string | number | boolean | word
+ *   string  := '"' { char | escape } '"' | "'" { char | escape } "'"
+ *   number  := [ '+' | '-' ] digits [ '.' digits ] | [ '+' | '-' ] '.' digits
+ *   boolean := 'true' | 'false'
+ *   word    := unquoted text up to the next ',' or ')'
+ *
+ * A '!' only starts a command when it is followed by a name and not preceded by a
+ * letter or digit, so chat like "Hi! Ready?" is left alone. Parentheses, commas and
+ * '!' inside strings are part of the string.
+ */
+
+const NAME_START = /[A-Za-z_]/;
+const NAME_CHAR = /[A-Za-z0-9_]/;
+const NUMBER = /^[-+]?(?:\d+(?:\.\d+)?|\.\d+)$/;
+const BOOLEAN = /^(?:true|false)$/i;
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+function parseError(code, message, position) {
+    return { code, message, position };
+}
+
+function skipWhitespace(message, pos) {
+    while (pos < message.length && /\s/.test(message[pos]))
+        pos++;
+    return pos;
+}
+
+function isCommandStart(message, pos) {
+    return NAME_START.test(message[pos + 1] || '') && !NAME_CHAR.test(message[pos - 1] || '');
+}
+
+/**
+ * Reads a quoted string starting at `pos`.
+ * @returns {{ arg: Object, end: number } | { error: Object }}
+ */
+function readString(message, pos) {
+    const quote = message[pos];
+    let value = '';
+    let i = pos + 1;
+    while (i < message.length) {
+        const ch = message[i];
+        if (ch === '\\' && i + 1 < message.length) {
+            const next = message[i + 1];
+            value += ESCAPES[next] ?? next;
+            i += 2;
+            continue;
+        }
+        if (ch === quote) {
+            return { arg: { type: 'string', value, raw: message.slice(pos, i + 1) }, end: i + 1 };
+        }
+        value += ch;
+        i++;
+    }
+    return { error: parseError('unterminated_string', `missing closing ${quote} for the string starting at character ${pos}`, pos) };
+}
+
+/**
+ * Reads an unquoted number, boolean or word starting at `pos`.
+ * @returns {{ arg: Object, end: number } | { error: Object }}
+ */
+function readBare(message, pos) {
+    let i = pos;
+    while (i < message.length && !',)\n'.includes(message[i]))
+        i++;
+    const raw = message.slice(pos, i).trim();
+    if (raw.length === 0)
+        return { error: parseError('empty_argument', `expected an argument at character ${pos}`, pos) };
+    if (NUMBER.test(raw))
+        return { arg: { type: 'number', value: Number(raw), raw }, end: i };
+    if (BOOLEAN.test(raw))
+        return { arg: { type: 'boolean', value: raw.toLowerCase() === 'true', raw }, end: i };
+    return { arg: { type: 'word', value: raw, raw }, end: i };
+}
+
+/**
+ * Parses the argument list of a command whose '(' is at `open`.
+ */
+function readArgs(message, open) {
+    const args = [];
+    let pos = skipWhitespace(message, open + 1);
+    if (message[pos] === ')')
+        return { args, end: pos + 1 };
+
+    while (true) {
+        pos = skipWhitespace(message, pos);
+        if (pos >= message.length)
+            return { args, end: pos, error: parseError('unclosed_parenthesis', `missing ')' for the argument list opened at character ${open}`, open) };
+
+        const read = (message[pos] === '"' || message[pos] === "'") ? readString(message, pos) : readBare(message, pos);
+        if (read.error)
+            return { args, end: read.error.code === 'unterminated_string' ? message.length : pos, error: read.error };
+        args.push(read.arg);
+
+        pos = skipWhitespace(message, read.end);
+        if (message[pos] === ',') {
+            pos++;
+            continue;
+        }
+        if (message[pos] === ')')
+            return { args, end: pos + 1 };
+        if (pos >= message.length)
+            return { args, end: pos, error: parseError('unclosed_parenthesis', `missing ')' for the argument list opened at character ${open}`, open) };
+        return { args, end: pos, error: parseError('unexpected_character', `expected ',' or ')' but found '${message[pos]}' at character ${pos}`, pos) };
+    }
+}
+
+function readCommand(message, start) {
+    let pos = start + 1;
+    while (pos < message.length && NAME_CHAR.test(message[pos]))
+        pos++;
+    const name = message.slice(start, pos);
+    const command = { name, args: [], start, end: pos, text: name, error: null };
+    if (message[pos] !== '(')
+        return command;
+
+    const { args, end, error } = readArgs(message, pos);
+    command.args = args;
+    command.end = end;
+    command.text = message.slice(start, end);
+    command.error = error || null;
+    return command;
+}
+
+/**
+ * Finds and parses every command in a message.
+ * @param {string} message - A message from a player or language model.
+ * @returns {Object[]} commands in order of appearance: `{ name, args, start, end, text, error }`.
+ * Each arg is `{ type: 'string' | 'number' | 'boolean' | 'word', value, raw }`.
+ * `error` is null or `{ code, message, position }`.
+ * @example
+ * parseCommands('On my way! !goToCoordinates(1.5, 64, -3.2)')
+ * // [{ name: '!goToCoordinates', args: [{ type: 'number', value: 1.5, raw: '1.5' }, ...], ... }]
+ */
+export function parseCommands(message) {
+    const commands = [];
+    if (typeof message !== 'string')
+        return commands;
+    let pos = message.indexOf('!');
+    while (pos !== -1) {
+        if (isCommandStart(message, pos)) {
+            const command = readCommand(message, pos);
+            commands.push(command);
+            pos = message.indexOf('!', Math.max(command.end, pos + 1));
+        }
+        else {
+            pos = message.indexOf('!', pos + 1);
+        }
+    }
+    return commands;
+}
+
+/**
+ * Returns the first command in a message, or null if there is none.
+ * @param {string} message
+ * @returns {Object | null}
+ */
+export function parseCommand(message) {
+    return parseCommands(message)[0] || null;
+}
+
+/**
+ * Formats a value as a command argument. Strings are always double quoted and escaped.
+ * @param {string | number | boolean} value
+ * @returns {string}
+ */
+export function formatArg(value) {
+    if (typeof value === 'number' || typeof value === 'boolean')
+        return String(value);
+    const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+    return `"${escaped}"`;
+}
+
+/**
+ * Builds a command string that parses back to the same name and arguments.
+ * @param {string} name - command name, with or without the leading '!'
+ * @param {Array<string | number | boolean>} args
+ * @returns {string}
+ * @example
+ * formatCommand('collectBlocks', ['oak_log', 3]) // '!collectBlocks("oak_log", 3)'
+ */
+export function formatCommand(name, args = []) {
+    const commandName = name.startsWith('!') ? name : '!' + name;
+    return `${commandName}(${args.map(formatArg).join(', ')})`;
+}
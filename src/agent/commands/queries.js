@@ -235,6 +235,49 @@ export const queryList = [
               }
         }
     },
+    {
+        name: '!mission',
+        description: 'Show the current multi-step mission, its steps and progress.',
+        perform: function (agent) {
+            const enhancer = agent.prompter.enhancer;
+            if (typeof enhancer?.describeMission !== 'function')
+                return 'Missions are not supported by the current enhancer.';
+            return pad(enhancer.describeMission());
+        }
+    },
+    {
+        name: '!teamProgress',
+        description: 'Show the team goals, their subtasks, who is working on them and the overall progress.',
+        perform: function (agent) {
+            const enhancer = agent.prompter.enhancer;
+            if (typeof enhancer?.describeTeamGoals !== 'function')
+                return 'Team goals are not supported by the current enhancer.';
+            return pad(enhancer.describeTeamGoals());
+        }
+    },
+    {
+        name: '!teamStorage',
+        description: 'Show the known containers that held an item when a teammate last looked inside, or the known workstations of a type.',
+        params: {
+            'name': { type: 'ItemName', description: 'The item to look for, e.g. "iron_ingot", or a workstation such as "furnace".' }
+        },
+        perform: function (agent, name) {
+            const enhancer = agent.prompter.enhancer;
+            if (typeof enhancer?.describeTeamStorage !== 'function')
+                return 'Team storage is not supported by the current enhancer.';
+            return pad(enhancer.describeTeamStorage(name, agent.bot));
+        }
+    },
+    {
+        name: '!rules',
+        description: 'List the active command rewrite rules loaded from data/rules.',
+        perform: function (agent) {
+            const ruleEngine = agent.prompter.enhancer?.ruleEngine;
+            if (typeof ruleEngine?.describe !== 'function')
+                return 'Rules are not supported by the current enhancer.';
+            return pad(ruleEngine.describe());
+        }
+    },
     {
         name: '!help',
         description: 'Lists all available commands and their descriptions.',
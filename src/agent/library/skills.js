@@ -17,6 +17,19 @@ async function autoLight(bot) {
     return false;
 }
 
+function nearestChest(bot, itemName=null) {
+    // Prefer a chest in range that a teammate saw holding the item (bot.teamResources, see ResourceRegistry)
+    if (bot.teamResources && itemName) {
+        const known = bot.teamResources.findItem(itemName, { position: bot.entity.position, dimension: bot.game.dimension });
+        for (const { record, distance } of known) {
+            if (distance > 32) break;
+            const block = bot.blockAt(new Vec3(record.position.x, record.position.y, record.position.z));
+            if (block && block.name === 'chest') return block;
+        }
+    }
+    return world.getNearestBlock(bot, 'chest', 32);
+}
+
 async function equipHighestAttack(bot) {
     let weapons = bot.inventory.items().filter(item => item.name.includes('sword') || (item.name.includes('axe') && !item.name.includes('pickaxe')));
     if (weapons.length === 0)
@@ -850,7 +863,7 @@ export async function putInChest(bot, itemName, num=-1) {
      * @example
      * await skills.putInChest(bot, "oak_log");
      **/
-    let chest = world.getNearestBlock(bot, 'chest', 32);
+    let chest = nearestChest(bot);
     if (!chest) {
         log(bot, `Could not find a chest nearby.`);
         return false;
@@ -864,6 +877,7 @@ export async function putInChest(bot, itemName, num=-1) {
     await goToPosition(bot, chest.position.x, chest.position.y, chest.position.z, 2);
     const chestContainer = await bot.openContainer(chest);
     await chestContainer.deposit(item.type, null, to_put);
+    bot.emit('containerContents', chest, chestContainer.containerItems());
     await chestContainer.close();
     log(bot, `Successfully put ${to_put} ${itemName} in the chest.`);
     return true;
@@ -871,7 +885,7 @@ export async function putInChest(bot, itemName, num=-1) {
 
 export async function takeFromChest(bot, itemName, num=-1) {
     /**
-     * Take the given item from the nearest chest, potentially from multiple slots.
+     * Take the given item from the nearest chest, potentially from multiple slots. A chest the team saw holding the item is preferred.
      * @param {MinecraftBot} bot, reference to the minecraft bot.
      * @param {string} itemName, the item or block name to take from the chest.
      * @param {number} num, the number of items to take from the chest. Defaults to -1, which takes all items.
@@ -879,7 +893,7 @@ export async function takeFromChest(bot, itemName, num=-1) {
      * @example
      * await skills.takeFromChest(bot, "oak_log");
      * **/
-    let chest = world.getNearestBlock(bot, 'chest', 32);
+    let chest = nearestChest(bot, itemName);
     if (!chest) {
         log(bot, `Could not find a chest nearby.`);
         return false;
@@ -891,6 +905,7 @@ export async function takeFromChest(bot, itemName, num=-1) {
     let matchingItems = chestContainer.containerItems().filter(item => item.name === itemName);
     if (matchingItems.length === 0) {
         log(bot, `Could not find any ${itemName} in the chest.`);
+        bot.emit('containerContents', chest, chestContainer.containerItems());
         await chestContainer.close();
         return false;
     }
@@ -910,6 +925,7 @@ export async function takeFromChest(bot, itemName, num=-1) {
         remaining -= toTakeFromSlot;
     }
     
+    bot.emit('containerContents', chest, chestContainer.containerItems());
     await chestContainer.close();
     log(bot, `Successfully took ${totalTaken} ${itemName} from the chest.`);
     return totalTaken > 0;
@@ -923,7 +939,7 @@ export async function viewChest(bot) {
      * @example
      * await skills.viewChest(bot);
      * **/
-    let chest = world.getNearestBlock(bot, 'chest', 32);
+    let chest = nearestChest(bot);
     if (!chest) {
         log(bot, `Could not find a chest nearby.`);
         return false;
@@ -940,6 +956,7 @@ export async function viewChest(bot) {
             log(bot, `${item.count} ${item.name}`);
         }
     }
+    bot.emit('containerContents', chest, items);
     await chestContainer.close();
     return true;
 }
@@ -1100,6 +1117,40 @@ export async function goToNearestBlock(bot, blockType,  min_distance=2, range=64
     
 }
 
+export async function goToStorage(bot, name) {
+    /**
+     * Navigate to the nearest container the team saw holding the given item, or to the nearest known station or container of the given type.
+     * @param {MinecraftBot} bot, reference to the minecraft bot.
+     * @param {string} name, an item such as "iron_ingot", or a block such as "furnace" or "chest".
+     * @returns {Promise<boolean>} true if the container or station was reached, false otherwise.
+     * @example
+     * await skills.goToStorage(bot, "iron_ingot");
+     * await skills.takeFromChest(bot, "iron_ingot");
+     * **/
+    const registry = bot.teamResources;
+    if (!registry) {
+        log(bot, `There is no team resource registry.`);
+        return false;
+    }
+    const where = { position: bot.entity.position, dimension: bot.game.dimension };
+    const found = registry.findBlock(name, where) || registry.findItem(name, where)[0];
+    if (!found) {
+        log(bot, `The team knows no ${name} and no container holding it.`);
+        return false;
+    }
+    const { x, y, z } = found.record.position;
+    if (!await goToPosition(bot, x, y, z, 2)) return false;
+    const block = bot.blockAt(new Vec3(x, y, z));
+    if (!block || block.name !== found.record.block) {
+        registry.remove(found.record.position, bot.game.dimension);
+        log(bot, `The ${found.record.block} at ${x}, ${y}, ${z} is gone, removed it from the team registry.`);
+        return false;
+    }
+    const held = found.count ? ` It held ${found.count} ${name} when ${found.record.seenBy} last looked.` : '';
+    log(bot, `Reached the ${found.record.block} at ${x}, ${y}, ${z}.${held}`);
+    return true;
+}
+
 export async function goToNearestEntity(bot, entityType, min_distance=2, range=64) {
     /**
      * Navigate to the nearest entity of the given type.
@@ -4,6 +4,7 @@ import { join, relative, isAbsolute } from 'path';
 import { pathToFileURL } from 'url';
 import settings from '../../settings.js';
 import { addPluginActions } from './commands/index.js';
+import { registerEnhancerStage } from '../models/enhancers/enhancer_pipeline.js';
 
 export class PluginManager {
     constructor(agent) {
@@ -19,6 +20,8 @@ export class PluginManager {
                     if (this.plugins[plugin]) {
                         if (typeof this.plugins[plugin].getPluginActions === 'function')
                             addPluginActions(plugin, this.plugins[plugin].getPluginActions());
+                        if (typeof this.plugins[plugin].getEnhancerStages === 'function')
+                            this.registerEnhancerStages(plugin, this.plugins[plugin].getEnhancerStages());
                     }
                 }
                 console.log("Loaded plugins:", Object.keys(this.plugins).filter(key => this.plugins[key] !== null));
@@ -28,6 +31,13 @@ export class PluginManager {
             });
     }
 
+    registerEnhancerStages(plugin, stages) {
+        for (let stage of stages || []) {
+            if (registerEnhancerStage(stage, plugin))
+                console.log(`Plugin ${plugin} registered enhancer stage "${stage.name}".`);
+        }
+    }
+
     async importPlugin(dir, name) {
         let path = join(dir, name, "main.js");
         let instance = null;
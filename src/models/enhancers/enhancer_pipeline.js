@@ -0,0 +1,218 @@
+/**
+ * 增强器流水线
+ * ImplicitEnhancer 的每个处理阶段都是一个中间件：{ name, beforeRequest(ctx), afterResponse(ctx) }
+ *
+ * 执行顺序：按阶段列表依次执行所有 beforeRequest，再按同样顺序执行所有 afterResponse。
+ * "request" 阶段在 beforeRequest 中调用内层模型；之前的阶段若已设置 ctx.response，则跳过模型调用。
+ *
+ * ctx 字段：
+ *   enhancer, model, turns, systemPrompt, stop_seq   输入
+ *   skipResult, intent, info, teamTasks, prompt       各阶段的中间结果
+ *   response                                          模型回复（afterResponse 中可改写）
+ *   state                                             供自定义阶段之间传递数据
+ * 需要调用模型的阶段使用 ctx.enhancer.getStageModel(阶段名)，可在 enhancer.stage_models 中单独配置
+ *
+ * 主要功能：
+ * 1. 内置阶段：verify、intent、info、team、prompt、claim、request、normalize、override、episode
+ * 2. 配置文件通过 enhancer.stages 指定阶段及顺序，可以删除或插入阶段
+ * 3. 插件通过 PluginManager 注册自定义阶段（registerEnhancerStage）
+ */
+
+export const DEFAULT_STAGES = ['verify', 'intent', 'info', 'team', 'prompt', 'claim', 'request', 'normalize', 'override', 'episode'];
+
+const BUILTIN_STAGES = {
+    // 根据上一个动作的结果推进或重试当前任务步骤
+    verify: {
+        beforeRequest(ctx) {
+            ctx.skipResult = ctx.enhancer.verifyMissionProgress();
+        }
+    },
+    // 识别意图；新的请求同时开始一段情景记忆（需在 prompt 阶段创建任务之前）
+    intent: {
+        async beforeRequest(ctx) {
+            ctx.intent = await ctx.enhancer.getIntent(ctx.turns, ctx.systemPrompt);
+            if (ctx.intent) ctx.enhancer.beginEpisode(ctx.intent);
+        }
+    },
+    info: {
+        async beforeRequest(ctx) {
+            ctx.info = await ctx.enhancer.getRelevantInfo(ctx.intent);
+        }
+    },
+    team: {
+        async beforeRequest(ctx) {
+            ctx.teamTasks = await ctx.enhancer.getTeamContext();
+        }
+    },
+    prompt: {
+        async beforeRequest(ctx) {
+            ctx.prompt = await ctx.enhancer.improvePrompt(ctx.intent, ctx.info, ctx.systemPrompt, ctx.teamTasks, ctx.skipResult);
+        }
+    },
+    // 在共享内存中登记任务，收到回复后标记为进行中
+    claim: {
+        beforeRequest(ctx) {
+            ctx.enhancer.claimIntentTask(ctx.intent);
+        },
+        afterResponse(ctx) {
+            ctx.enhancer.markTaskInProgress({ lastResponse: ctx.response });
+        }
+    },
+    request: {
+        async beforeRequest(ctx) {
+            if (ctx.response !== undefined) return;
+            ctx.response = await ctx.enhancer.innerEnhancer.sendRequest(ctx.model, ctx.turns.slice(-3), ctx.prompt, ctx.stop_seq);
+        }
+    },
+    normalize: {
+        afterResponse(ctx) {
+            ctx.response = ctx.enhancer.normalizeCommandsInResponse(ctx.response);
+        }
+    },
+    override: {
+        async afterResponse(ctx) {
+            ctx.response = await ctx.enhancer.applyTaskOverrides(ctx.response);
+        }
+    },
+    // 情景记忆：记录最终发出的命令
+    episode: {
+        afterResponse(ctx) {
+            ctx.enhancer.recordEpisodeCommands(ctx.response);
+        }
+    }
+};
+
+// 插件注册的阶段：name → { stage, plugin, before, after }
+const registeredStages = new Map();
+
+/**
+ * 注册自定义阶段
+ * 配置文件没有指定 enhancer.stages 时，按 before / after 插入默认顺序（都未指定时放在 request 之前）
+ *
+ * @param {object} stage - { name, beforeRequest, afterResponse, before, after }
+ * @param {string} plugin - 注册该阶段的插件名
+ * @returns {boolean} 是否注册成功
+ */
+export function registerEnhancerStage(stage, plugin = null) {
+    if (!stage?.name || (typeof stage.beforeRequest !== 'function' && typeof stage.afterResponse !== 'function')) {
+        console.warn(`[EnhancerPipeline] Ignoring invalid stage from ${plugin || 'unknown'}: a stage needs a name and a beforeRequest or afterResponse hook`);
+        return false;
+    }
+    if (BUILTIN_STAGES[stage.name]) {
+        console.warn(`[EnhancerPipeline] Stage "${stage.name}" from ${plugin || 'unknown'} conflicts with a built-in stage`);
+        return false;
+    }
+    registeredStages.set(stage.name, { stage, plugin, before: stage.before || null, after: stage.after || null });
+    return true;
+}
+
+export function getRegisteredStages() {
+    return [...registeredStages.keys()];
+}
+
+export class EnhancerPipeline {
+    /**
+     * @param {object} enhancer - ImplicitEnhancer 实例
+     * @param {Array} stages - 阶段名称列表，未提供时使用默认顺序加上插件阶段
+     * @param {boolean} debug
+     */
+    constructor(enhancer, stages = null, debug = false) {
+        this.enhancer = enhancer;
+        this.debug = debug;
+        this.stageNames = Array.isArray(stages) ? stages : null;
+
+        const unknown = (this.stageNames || []).filter(name => !BUILTIN_STAGES[name] && !registeredStages.has(name));
+        if (unknown.length > 0) {
+            // 插件在智能体启动后才加载，这里只提示，运行时再解析
+            this.logDebug(`[EnhancerPipeline] Stages not registered yet: ${unknown.join(', ')}`);
+        }
+        if (this.stageNames && !this.stageNames.includes('request')) {
+            console.warn('[EnhancerPipeline] enhancer.stages has no "request" stage; the model is only called if another stage sets ctx.response');
+        }
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 当前生效的阶段名称（插件阶段可能在构造之后才注册，所以每次请求重新计算）
+     */
+    getStageNames() {
+        if (this.stageNames) return this.stageNames;
+
+        const names = [...DEFAULT_STAGES];
+        for (const [name, { before, after }] of registeredStages) {
+            let index = -1;
+            if (after && names.includes(after)) index = names.indexOf(after) + 1;
+            else if (before && names.includes(before)) index = names.indexOf(before);
+            names.splice(index >= 0 ? index : names.indexOf('request'), 0, name);
+        }
+        return names;
+    }
+
+    resolveStages() {
+        const stages = [];
+        for (const name of this.getStageNames()) {
+            const builtin = BUILTIN_STAGES[name];
+            const registered = registeredStages.get(name);
+            if (builtin) {
+                stages.push({ name, builtin: true, ...builtin });
+            } else if (registered) {
+                stages.push({ ...registered.stage, name, builtin: false });
+            } else {
+                this.logDebug(`[EnhancerPipeline] Skipping unknown stage "${name}"`);
+            }
+        }
+        return stages;
+    }
+
+    /**
+     * 执行一个阶段的钩子；插件阶段出错时只记录日志，不影响其他阶段
+     */
+    async runHook(stage, hook, ctx) {
+        if (typeof stage[hook] !== 'function') return;
+        if (stage.builtin) {
+            await stage[hook](ctx);
+            return;
+        }
+        try {
+            await stage[hook](ctx);
+        } catch (err) {
+            console.warn(`[EnhancerPipeline] Stage "${stage.name}" ${hook} failed:`, err?.message || err);
+        }
+    }
+
+    /**
+     * 执行整条流水线
+     *
+     * @param {object} input - { model, turns, systemPrompt, stop_seq }
+     * @returns {object} ctx，最终回复在 ctx.response
+     */
+    async run(input) {
+        const ctx = {
+            enhancer: this.enhancer,
+            ...input,
+            turns: input.turns || [],
+            skipResult: null,
+            intent: null,
+            info: [],
+            teamTasks: [],
+            prompt: input.systemPrompt,
+            response: undefined,
+            state: {}
+        };
+        const stages = this.resolveStages();
+
+        for (const stage of stages) {
+            await this.runHook(stage, 'beforeRequest', ctx);
+        }
+        this.logDebug(`[EnhancerPipeline] agent=${this.enhancer.agent?.name || 'unknown'} stages=${stages.map(stage => stage.name).join(',')} intent=${ctx.intent?.type || 'unknown'} teamTasks=${ctx.teamTasks.length} promptPreview="${String(ctx.prompt).slice(0, 120)}..."`);
+        for (const stage of stages) {
+            await this.runHook(stage, 'afterResponse', ctx);
+        }
+        return ctx;
+    }
+}
@@ -0,0 +1,116 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { wordOverlapScore } from '../../utils/text.js';
+import { withFileLock, writeFileAtomic } from '../../utils/file_lock.js';
+
+/**
+ * 情景记忆存储
+ * 按智能体记录每一次任务经历（意图、计划、命令、结果、耗时），供之后的相似请求参考
+ *
+ * 主要功能：
+ * 1. 每个智能体一个 JSONL 文件（data/memory/episodes/<agent>.jsonl），每条经历一行
+ * 2. 写入在文件锁（<file>.lock，O_EXCL 创建）保护下进行，多个进程同时写入也不会互相覆盖
+ * 3. 超过上限时只保留最近的经历（写临时文件后 rename，读者不会看到半个文件）
+ * 4. 按意图类型和请求相似度检索最近的成功经历（"what worked last time"）
+ */
+export class EpisodicMemory {
+    /**
+     * @param {object} options - { dir, getAgentName, maxEpisodes, lockTimeoutMs, staleLockMs }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.dir = options.dir || join(process.cwd(), 'data', 'memory', 'episodes');
+        this.getAgentName = options.getAgentName || (() => 'unknown_agent');
+        this.maxEpisodes = options.maxEpisodes ?? 200;
+        // 等锁会阻塞事件循环，锁一直被占用时放弃这次写入
+        this.lockTimeoutMs = options.lockTimeoutMs ?? 300;
+        this.staleLockMs = options.staleLockMs ?? 5000;
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    getPath(agentName = this.getAgentName()) {
+        const safeName = String(agentName || 'unknown_agent').replace(/[^a-zA-Z0-9_-]/g, '_');
+        return join(this.dir, `${safeName}.jsonl`);
+    }
+
+    /**
+     * 追加一条经历
+     *
+     * @param {object} episode - { intent, plan, commands, outcome, durationMs, ... }
+     */
+    record(episode) {
+        const filePath = this.getPath();
+        const entry = { agent: this.getAgentName(), recordedAt: new Date().toISOString(), ...episode };
+        try {
+            mkdirSync(this.dir, { recursive: true });
+            this.withLock(filePath, () => {
+                appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf8');
+                this.compactIfNeeded(filePath);
+            });
+            this.logDebug(`[EpisodicMemory] recorded ${entry.outcome} episode for "${entry.intent?.input || ''}"`);
+        } catch (err) {
+            console.warn('[EpisodicMemory] Failed to record episode:', err.message);
+        }
+    }
+
+    /**
+     * 读取某个智能体的全部经历（忽略写到一半的坏行）
+     */
+    load(agentName = this.getAgentName()) {
+        const filePath = this.getPath(agentName);
+        if (!existsSync(filePath)) return [];
+        const episodes = [];
+        for (const line of readFileSync(filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                episodes.push(JSON.parse(line));
+            } catch {
+                // 跳过损坏的行
+            }
+        }
+        return episodes;
+    }
+
+    /**
+     * 检索相关经历：同一意图类型，按请求相似度和时间排序
+     *
+     * @param {object} query - { intentType, input, outcome, limit }
+     * @returns {Array} 经历列表
+     */
+    recent({ intentType = null, input = '', outcome = 'success', limit = 3 } = {}) {
+        const episodes = this.load()
+            .filter(ep => !outcome || ep.outcome === outcome)
+            .filter(ep => !intentType || ep.intent?.type === intentType);
+
+        return episodes
+            .map((ep, index) => ({ ep, index, score: input ? wordOverlapScore(input, ep.intent?.input || '') : 0 }))
+            .sort((a, b) => (b.score - a.score) || (b.index - a.index))
+            .slice(0, limit)
+            .map(({ ep }) => ep);
+    }
+
+    /**
+     * 超过 maxEpisodes 时压缩文件（调用方需持有锁）
+     */
+    compactIfNeeded(filePath) {
+        const lines = readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+        if (lines.length <= this.maxEpisodes * 1.5) return;
+
+        writeFileAtomic(filePath, lines.slice(-this.maxEpisodes).join('\n') + '\n');
+        this.logDebug(`[EpisodicMemory] compacted ${filePath} to ${this.maxEpisodes} episodes`);
+    }
+
+    /**
+     * 在文件锁内执行 fn（见 utils/file_lock.js）。锁被占用时短暂等待；
+     * 持有锁的进程已退出时视为崩溃进程的残留并清除（其他主机的进程无法检查，按 staleLockMs 判断）
+     */
+    withLock(filePath, fn) {
+        return withFileLock(filePath, fn, { timeoutMs: this.lockTimeoutMs, staleMs: this.staleLockMs });
+    }
+}
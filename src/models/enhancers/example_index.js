@@ -0,0 +1,217 @@
+import { promises as fs, existsSync, readdirSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+import { cosineSimilarity } from '../../utils/math.js';
+import { keywordOverlapScore } from '../../utils/text.js';
+
+/**
+ * 训练示例检索索引
+ * 对 data/training/*.json 中的所有示例建立索引，按与用户请求的相似度排序
+ *
+ * 主要功能：
+ * 1. 使用 Prompter.embedding_model 计算示例向量（不可用时回退到 keywordOverlapScore，只比较去掉停用词后的关键词）
+ * 2. 结合用户请求与当前库存对示例打分，返回 top-k
+ * 3. 将向量缓存到磁盘，训练文件变化时自动重建
+ */
+export class ExampleIndex {
+    /**
+     * @param {object} options - { trainingDir, cachePath, getEmbeddingModel, topK, minScore, inventoryWeight, fileBoost }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.trainingDir = options.trainingDir || join(process.cwd(), 'data', 'training');
+        this.cachePath = options.cachePath || join(process.cwd(), 'data', 'cache', 'training_index.json');
+        this.getEmbeddingModel = options.getEmbeddingModel || (() => null);
+        this.topK = options.topK ?? 3;
+        this.minScore = options.minScore ?? 0.05;
+        this.inventoryWeight = options.inventoryWeight ?? 0.2;
+        this.fileBoost = options.fileBoost ?? 0.05;
+
+        this.entries = [];
+        this.signature = null;
+        this.model = null;
+        this.embedded = false;
+        this.building = null;
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 训练文件的签名（文件名 + 修改时间 + 大小），用于判断缓存是否过期
+     */
+    computeSignature() {
+        if (!existsSync(this.trainingDir)) return '';
+        return readdirSync(this.trainingDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => {
+                const stat = statSync(join(this.trainingDir, file));
+                return `${file}:${stat.mtimeMs}:${stat.size}`;
+            })
+            .join('|');
+    }
+
+    modelName(model) {
+        if (!model) return 'word-overlap';
+        return `${model.constructor?.name || 'model'}:${model.model_name || 'default'}`;
+    }
+
+    /**
+     * 示例的检索文本
+     */
+    exampleText(example) {
+        const goals = (example.plan || []).map(step => step.goal).filter(Boolean).join('. ');
+        const text = [example.slug, example.name, example.rationale, example.actual, goals]
+            .filter(Boolean)
+            .join('\n');
+        return text.replace(/_/g, ' ');
+    }
+
+    async loadExamples() {
+        const entries = [];
+        const files = readdirSync(this.trainingDir).filter(file => file.endsWith('.json')).sort();
+        for (const file of files) {
+            const filePath = join(this.trainingDir, file);
+            try {
+                const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                if (!Array.isArray(data)) continue;
+                data.forEach((ex, i) => {
+                    entries.push({
+                        id: `${filePath}_${i}`,
+                        example: { ...ex, id: `${filePath}_${i}`, source_file: filePath, plan: ex.plan || [] },
+                        text: this.exampleText(ex),
+                        embedding: null
+                    });
+                });
+            } catch (err) {
+                console.warn(`[ExampleIndex] Failed to load training data from ${filePath}:`, err.message);
+            }
+        }
+        return entries;
+    }
+
+    async readCache() {
+        try {
+            return JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    async writeCache() {
+        const embeddings = {};
+        for (const entry of this.entries) {
+            if (entry.embedding) embeddings[entry.id] = entry.embedding;
+        }
+        const data = { signature: this.signature, model: this.modelName(this.model), embeddings };
+        try {
+            await fs.mkdir(dirname(this.cachePath), { recursive: true });
+            await fs.writeFile(this.cachePath, JSON.stringify(data));
+        } catch (err) {
+            console.warn('[ExampleIndex] Failed to write cache:', err.message);
+        }
+    }
+
+    /**
+     * 确保索引与训练文件同步；文件变化或嵌入模型变化时重建
+     */
+    async ensureFresh() {
+        const signature = this.computeSignature();
+        const model = this.getEmbeddingModel() || null;
+        if (signature === this.signature && model === this.model) return;
+        if (!this.building) {
+            this.building = this.build(signature, model).finally(() => { this.building = null; });
+        }
+        await this.building;
+    }
+
+    async build(signature, model) {
+        const entries = await this.loadExamples();
+        const cache = await this.readCache();
+        const cached = cache && cache.signature === signature && cache.model === this.modelName(model)
+            ? cache.embeddings || {}
+            : {};
+
+        let embedded = Boolean(model);
+        if (model) {
+            try {
+                for (const entry of entries) {
+                    entry.embedding = cached[entry.id] || await model.embed(entry.text);
+                }
+            } catch (err) {
+                // 保留 model 引用，避免每次请求都重试失败的嵌入
+                console.warn('[ExampleIndex] Embedding failed, using word-overlap instead:', err.message);
+                embedded = false;
+                entries.forEach(entry => { entry.embedding = null; });
+            }
+        }
+
+        this.entries = entries;
+        this.signature = signature;
+        this.model = model;
+        this.embedded = embedded;
+        this.logDebug(`[ExampleIndex] indexed ${entries.length} examples (${this.modelName(embedded ? model : null)})`);
+
+        if (embedded && Object.keys(cached).length !== entries.length) {
+            await this.writeCache();
+        }
+    }
+
+    /**
+     * 检索与请求最相关的示例
+     *
+     * @param {string} query - 用户请求
+     * @param {object} options - { inventory: string[], preferredFiles: string[], k }
+     * @returns {Promise<Array>} 带 score 字段的示例，按相似度降序
+     */
+    async search(query, options = {}) {
+        const { inventory = [], preferredFiles = [], k = this.topK } = options;
+        await this.ensureFresh();
+        if (this.entries.length === 0 || !query) return [];
+
+        const queryText = query.replace(/_/g, ' ');
+        const inventoryText = inventory.join(' ').replace(/_/g, ' ');
+        let useEmbedding = this.embedded;
+
+        let queryEmbedding = null;
+        let inventoryEmbedding = null;
+        if (useEmbedding) {
+            try {
+                queryEmbedding = await this.model.embed(queryText);
+                if (inventoryText) inventoryEmbedding = await this.model.embed(inventoryText);
+            } catch (err) {
+                // 与 build() 相同：嵌入失败时这次请求改用词重叠，下次请求仍先尝试嵌入
+                console.warn('[ExampleIndex] Embedding the query failed, using word-overlap instead:', err.message);
+                useEmbedding = false;
+            }
+        }
+
+        const scored = this.entries.map(entry => {
+            const requestScore = useEmbedding
+                ? cosineSimilarity(queryEmbedding, entry.embedding)
+                : keywordOverlapScore(queryText, entry.text);
+            let inventoryScore = 0;
+            if (inventoryText) {
+                inventoryScore = useEmbedding
+                    ? cosineSimilarity(inventoryEmbedding, entry.embedding)
+                    : keywordOverlapScore(inventoryText, entry.text);
+            }
+            const boost = preferredFiles.includes(entry.example.source_file) ? this.fileBoost : 0;
+            const score = (1 - this.inventoryWeight) * requestScore + this.inventoryWeight * inventoryScore + boost;
+            return { example: { ...entry.example, score, requestScore }, requestScore };
+        });
+
+        // 与请求本身无关的示例不返回，即使库存或意图加分较高
+        const ranked = scored
+            .filter(s => s.requestScore >= this.minScore)
+            .map(s => s.example)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+        this.logDebug(`[ExampleIndex] "${query}" →`, ranked.map(ex => `${ex.slug || ex.name} (${ex.score.toFixed(3)})`).join(', '));
+        return ranked;
+    }
+}
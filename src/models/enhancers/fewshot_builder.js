@@ -1,3 +1,6 @@
+import { describePrecondition } from './precondition_schema.js';
+import { PromptTemplates } from './prompt_templates.js';
+
 /**
  * Few-shot 提示构建器
  * 让 LLM 从示例中学习泛化规律
@@ -6,10 +9,16 @@
  * 1. 构建 Few-shot 示例部分
  * 2. 从示例中提取泛化指导
  * 3. 生成变体示例（不依赖 templates.json）
+ * 4. 提示文本取自按语言配置的提示词模板（见 prompt_templates.js）
  */
 export class FewShotBuilder {
-    constructor(debug = false) {
+    /**
+     * @param {boolean} debug
+     * @param {PromptTemplates} prompts - 提示词模板（可选，默认英文）
+     */
+    constructor(debug = false, prompts = null) {
         this.debug = debug;
+        this.prompts = prompts || new PromptTemplates({}, debug);
     }
 
     /**
@@ -22,31 +31,34 @@ export class FewShotBuilder {
     buildExamplesSection(examples, userKeywords = null) {
         if (!examples || examples.length === 0) return '';
 
-        let text = '\n## FEW-SHOT LEARNING EXAMPLES\n\n';
+        const t = (key, vars) => this.prompts.t(key, vars);
+        let text = t('examples.header');
 
         if (userKeywords) {
-            text += `用户请求分析: ${userKeywords.raw}\n`;
-            text += `- 目标: ${userKeywords.target || '未知'}\n`;
-            text += `- 材料: ${userKeywords.material || '未指定'}\n`;
-            text += `- 工具: ${userKeywords.tool || '未指定'}\n\n`;
+            text += t('examples.request', {
+                input: userKeywords.raw,
+                target: userKeywords.target || t('common.unknown'),
+                material: userKeywords.material || t('common.unspecified'),
+                tool: userKeywords.tool || t('common.unspecified')
+            });
         }
 
-        text += '研究这些示例，理解制作工具的 **思路和结构**（不要复制具体值）：\n\n';
+        text += t('examples.intro');
 
         for (let i = 0; i < examples.length; i++) {
             const ex = examples[i];
-            text += `### 示例 ${i + 1}: ${ex.name}\n`;
-            text += `**任务**：${ex.rationale || ex.actual || ''}\n\n`;
+            text += t('examples.title', { index: i + 1, name: ex.name });
+            text += t('examples.task', { task: ex.rationale || ex.actual || '' });
 
             if (ex.plan && ex.plan.length > 0) {
-                text += `**步骤结构**：\n`;
+                text += t('examples.steps');
                 for (const step of ex.plan) {
-                    text += `  ${step.step}. ${step.goal}\n`;
+                    text += t('examples.step', { step: step.step, goal: step.goal });
                     if (step.preconditions?.length > 0) {
-                        text += `     前置条件：${step.preconditions.join(', ')}\n`;
+                        text += t('examples.step_preconditions', { conditions: step.preconditions.map(describePrecondition).join(', ') });
                     }
                     if (step.action_cmd?.length > 0) {
-                        text += `     参考命令：${step.action_cmd[0]} (需根据用户请求替换关键字)\n`;
+                        text += t('examples.step_command', { command: step.action_cmd[0] });
                     }
                 }
             }
@@ -56,6 +68,23 @@ export class FewShotBuilder {
         return text;
     }
 
+    /**
+     * 示例的精简版本：每个示例一行命令序列（提示词预算不足时代替完整示例）
+     *
+     * @param {Array} examples - 训练示例数组
+     * @returns {string} 精简示例文本
+     */
+    buildExamplesSummary(examples) {
+        if (!examples || examples.length === 0) return '';
+
+        let text = this.prompts.t('examples.summary_header');
+        for (const ex of examples) {
+            const commands = (ex.plan || []).flatMap(step => step.action_cmd || []);
+            text += this.prompts.t('examples.summary_line', { name: ex.name, commands: commands.join(' → ') || ex.rationale || '' });
+        }
+        return text;
+    }
+
     /**
      * 构建泛化指导部分
      * 直接从训练数据中提取规律，不依赖 templates.json
@@ -65,8 +94,8 @@ export class FewShotBuilder {
      * @returns {string} 泛化指导文本
      */
     buildGeneralizationGuide(examples, templates = null) {
-        let text = '\n## GENERALIZATION GUIDE\n\n';
-        text += '从上面的示例中学习这些规律：\n\n';
+        const t = (key, vars) => this.prompts.t(key, vars);
+        let text = t('generalization.header');
 
         // 提取材料类型
         const materials = new Set();
@@ -114,45 +143,30 @@ export class FewShotBuilder {
         }
 
         // 材料替换规律
-        text += '### 材料替换规律\n';
+        text += t('generalization.materials');
         if (materials.size > 0) {
-            text += `发现的材料：${Array.from(materials).join(', ')}\n`;
-            text += `- 不同材料可以互换，保持相同结构\n`;
-            text += `- 例如：iron_axe → diamond_axe（只需替换材料）\n`;
-            text += `- 注意：某些材料需要熔炼（iron_ore → iron_ingot）\n\n`;
+            text += t('generalization.materials_found', { materials: Array.from(materials).join(', ') });
         }
 
         // 工具类型规律
-        text += '### 工具类型规律\n';
+        text += t('generalization.tools');
         if (tools.size > 0) {
-            text += `发现的工具：${Array.from(tools).join(', ')}\n`;
-            text += `- 大多数工具需要：材料 + 木棍\n`;
+            text += t('generalization.tools_found', { tools: Array.from(tools).join(', ') });
 
             // 显示从示例中学习到的材料数量
             if (Object.keys(materialCounts).length > 0) {
-                text += `- 从示例中学习到的材料数量：\n`;
+                text += t('generalization.material_counts');
                 for (const [tool, info] of Object.entries(materialCounts)) {
-                    const materials = info.material.join(' 或 ');
-                    text += `  - ${tool}: ${info.count} 个 ${materials}\n`;
+                    const materials = info.material.join(t('generalization.material_separator'));
+                    text += t('generalization.material_count', { tool, count: info.count, materials });
                 }
             }
             text += '\n';
         }
 
         // 步骤规律
-        text += '### 通用步骤规律\n';
-        text += '1. 检查库存，确认已有材料\n';
-        text += '2. 收集缺失的原材料（木棍、矿石等）\n';
-        text += '3. 如果需要，熔炼矿石\n';
-        text += '4. 合成最终物品\n';
-        text += '5. 验证物品是否获得\n\n';
-
-        text += '### 如何应用这些规律\n';
-        text += '1. 识别目标物品的材料和工具类型\n';
-        text += '2. 参考相似示例的步骤结构\n';
-        text += '3. 替换材料/工具值，保持结构不变\n';
-        text += '4. 执行前检查前置条件\n';
-        text += '5. 如果前置条件不满足，先收集/制作缺失物品\n\n';
+        text += t('generalization.steps');
+        text += t('generalization.apply');
 
         return text;
     }
@@ -224,7 +238,7 @@ export class FewShotBuilder {
                 variants.push({
                     isVariant: true,
                     name: `Craft ${newMaterial.charAt(0).toUpperCase() + newMaterial.slice(1)} ${newTool}`,
-                    description: `变体：将 ${material} 替换为 ${newMaterial}，${tool} 替换为 ${newTool}`,
+                    description: this.prompts.t('variants.description', { material, new_material: newMaterial, tool, new_tool: newTool }),
                     from: `${material}_${tool}`,
                     to: `${newMaterial}_${newTool}`
                 });
@@ -251,44 +265,31 @@ export class FewShotBuilder {
      * @returns {string} 关键字替换指导文本
      */
     buildKeywordSubstitutionGuide(userKeywords, selectedExample) {
-        let text = '\n## KEYWORD SUBSTITUTION GUIDE\n\n';
+        const t = (key, vars) => this.prompts.t(key, vars);
+        let text = t('substitution.header');
 
         const exampleKeywords = this.extractExampleKeywords(selectedExample);
-
-        text += '用户请求：\n';
-        text += `- 材料: ${userKeywords.material || '未指定'}\n`;
-        text += `- 工具: ${userKeywords.tool || '未指定'}\n`;
-        text += `- 目标: ${userKeywords.target || '未指定'}\n\n`;
-
-        text += '示例中的值：\n';
-        text += `- 材料: ${exampleKeywords.material || '未指定'}\n`;
-        text += `- 工具: ${exampleKeywords.tool || '未指定'}\n`;
-        text += `- 目标: ${exampleKeywords.target || '未指定'}\n\n`;
-
-        text += '### 替换规则\n';
-        text += '1. 学习示例的 **步骤结构** 和 **思路**\n';
-        text += '2. 在执行命令时，替换以下关键字：\n';
-
-        if (userKeywords.material && exampleKeywords.material && userKeywords.material !== exampleKeywords.material) {
-            text += `   - 将 "${exampleKeywords.material}" 替换为 "${userKeywords.material}"\n`;
-        }
-
-        if (userKeywords.tool && exampleKeywords.tool && userKeywords.tool !== exampleKeywords.tool) {
-            text += `   - 将 "${exampleKeywords.tool}" 替换为 "${userKeywords.tool}"\n`;
-        }
-
-        if (userKeywords.target && exampleKeywords.target && userKeywords.target !== exampleKeywords.target) {
-            text += `   - 将 "${exampleKeywords.target}" 替换为 "${userKeywords.target}"\n`;
+        const values = keywords => ({
+            material: keywords.material || t('common.unspecified'),
+            tool: keywords.tool || t('common.unspecified'),
+            target: keywords.target || t('common.unspecified')
+        });
+
+        text += t('substitution.request', values(userKeywords));
+        text += t('substitution.example_values', values(exampleKeywords));
+        text += t('substitution.rules');
+
+        for (const field of ['material', 'tool', 'target']) {
+            if (userKeywords[field] && exampleKeywords[field] && userKeywords[field] !== exampleKeywords[field]) {
+                text += t('substitution.replace', { from: exampleKeywords[field], to: userKeywords[field] });
+            }
         }
 
-        text += '\n### 示例\n';
-        text += `如果示例是：!craftRecipe("${exampleKeywords.target || 'stone_sword'}", 1)\n`;
-        text += `你应该生成：!craftRecipe("${userKeywords.target || 'iron_axe'}", 1)\n\n`;
-
-        text += '### 重要提醒\n';
-        text += '- 保持步骤结构不变\n';
-        text += '- 只替换材料、工具、目标名称\n';
-        text += '- 不要复制示例中的具体值\n';
+        text += t('substitution.example', {
+            from: exampleKeywords.target || 'stone_sword',
+            to: userKeywords.target || 'iron_axe'
+        });
+        text += t('substitution.reminders');
 
         return text;
     }
@@ -0,0 +1,255 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { basename, join } from 'path';
+import * as mc from '../../utils/mcdata.js';
+import { parseCommands, formatCommand } from '../../agent/commands/parser.js';
+import { toPrecondition } from './precondition_schema.js';
+import { KeywordExtractor } from './keyword_extractor.js';
+import { TrainingValidator } from './training_validator.js';
+import { guideSteps } from '../../plugins/GuideReader/guide_cache.js';
+
+/**
+ * GuideReader 指南导入器
+ * 把 benchmark 的 guides / advancements JSON 转换为 data/training 的示例格式
+ *
+ * 主要功能：
+ * 1. 指南 id / 进度 slug → 示例 slug（"minecraft:story/mine_stone" → "story/mine_stone"），名称、分类、说明取自对应进度
+ * 2. 步骤自带命令时直接使用（统一为双引号格式），否则根据步骤描述推导 collect / craft / smelt 命令和验证命令
+ * 3. 前置条件转换为结构化条件，无法识别的保留原文
+ * 4. 按 slug 去重：手写示例优先，重复导入时替换旧的导入结果
+ */
+export class GuideImporter {
+    /**
+     * @param {object} options - { trainingDir, outputFile, validator }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.trainingDir = options.trainingDir || join(process.cwd(), 'data', 'training');
+        this.outputFile = options.outputFile || join(this.trainingDir, 'guide_examples.json');
+        this.validator = options.validator || new TrainingValidator({ trainingDir: this.trainingDir }, debug);
+        this.keywordExtractor = new KeywordExtractor({ colloquialMap: this.validator.itemNormalizer.colloquialMap }, debug);
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 指南 id → 示例 slug（"分类/名称"，只含小写字母、数字和下划线）
+     */
+    toSlug(id, advancement = null) {
+        const clean = part => part.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+        const parts = String(advancement?.slug || id)
+            .replace(/^minecraft:/, '')
+            .split('/')
+            .map(clean)
+            .filter(Boolean);
+        if (parts.length === 0) return null;
+        if (parts.length === 1) return `${clean(advancement?.tab || 'guides') || 'guides'}/${parts[0]}`;
+        return `${parts[0]}/${parts.slice(1).join('_')}`;
+    }
+
+    /**
+     * 指南对应的进度：slug 相同，或指南 id 以进度 slug 的最后一段结尾
+     */
+    findAdvancement(id, advancements) {
+        const lowerId = id.toLowerCase();
+        return advancements.find(adv => adv.slug && adv.slug.toLowerCase() === lowerId)
+            || advancements.find(adv => adv.slug && lowerId.endsWith(adv.slug.toLowerCase().split('/').pop()))
+            || null;
+    }
+
+    /**
+     * 步骤自带的命令（action_cmd / commands / command），统一为双引号格式
+     */
+    givenCommands(value) {
+        const commands = [].concat(value || []).filter(command => typeof command === 'string' && command.trim().startsWith('!'));
+        return commands.map(command => {
+            const [parsed] = parseCommands(command);
+            if (!parsed || parsed.error) return command.trim();
+            return formatCommand(parsed.name, parsed.args.map(arg => arg.value));
+        });
+    }
+
+    /**
+     * 根据步骤描述推导命令："Mine 3 iron ore" → !collectBlocks("iron_ore", 3)
+     *
+     * @returns {object|null} { action_cmd, verify_cmd, expected }
+     */
+    deriveCommands(text) {
+        const keywords = this.keywordExtractor.extract(text);
+        if (!keywords.target || !keywords.action) return null;
+        const count = keywords.count || 1;
+        const words = name => name.replace(/_/g, ' ');
+        const expect = name => `At least ${count} ${words(name)} in inventory.`;
+
+        if (keywords.action === 'smelt') {
+            // 描述里可能同时出现原料和产物，优先以产物为准
+            const product = [keywords.target, ...keywords.candidates.map(c => c.name)]
+                .find(name => mc.getItemSmeltingIngredient(name));
+            if (product) {
+                return {
+                    action_cmd: [formatCommand('smeltItem', [mc.getItemSmeltingIngredient(product), count])],
+                    verify_cmd: [formatCommand('inventory', [product])],
+                    expected: expect(product)
+                };
+            }
+            const output = this.validator.smeltingOutput(keywords.target);
+            return {
+                action_cmd: [formatCommand('smeltItem', [keywords.target, count])],
+                verify_cmd: output ? [formatCommand('inventory', [output])] : [],
+                expected: output ? expect(output) : `${words(keywords.target)} has been smelted.`
+            };
+        }
+        if (keywords.action === 'craft') {
+            return {
+                action_cmd: [formatCommand('craftRecipe', [keywords.target, count])],
+                verify_cmd: [formatCommand('inventory', [keywords.target])],
+                expected: expect(keywords.target)
+            };
+        }
+        const block = this.validator.missionPlanner.pickSourceBlock(keywords.target) || keywords.target;
+        return {
+            action_cmd: [formatCommand('collectBlocks', [block, count])],
+            verify_cmd: [formatCommand('inventory', [keywords.target])],
+            expected: expect(keywords.target)
+        };
+    }
+
+    /**
+     * 转换一个指南步骤
+     *
+     * @returns {object} { step, reason }，无法转换时 step 为 null
+     */
+    convertStep(raw) {
+        const text = String(raw?.description || raw?.text || raw?.action_nl || '').trim();
+        const goal = String(raw?.goal || raw?.title || text.split(/(?<=[.!?])\s/)[0] || '').trim();
+        if (!goal) return { step: null, reason: 'step has no text' };
+
+        let action_cmd = this.givenCommands(raw?.action_cmd || raw?.commands || raw?.command);
+        let verify_cmd = this.givenCommands(raw?.verify_cmd);
+        let expected = raw?.expected;
+        let derived = false;
+        if (action_cmd.length === 0) {
+            const commands = this.deriveCommands(`${goal} ${text}`);
+            if (!commands) return { step: null, reason: `no command for "${goal}"` };
+            ({ action_cmd } = commands);
+            if (verify_cmd.length === 0) verify_cmd = commands.verify_cmd;
+            expected = expected || commands.expected;
+            derived = true;
+        }
+
+        const errors = action_cmd.flatMap(command => this.validator.checkActionCommand(command))
+            .filter(issue => issue.level === 'error');
+        if (errors.length > 0) return { step: null, reason: errors[0].message };
+
+        const step = { step: 0, goal };
+        if (text && text !== goal) step.action_nl = text;
+        step.action_cmd = action_cmd;
+        step.verify_cmd = verify_cmd;
+        step.preconditions = [].concat(raw?.preconditions || []).map(cond => {
+            const typed = toPrecondition(cond);
+            return typed.type === 'text' && typeof cond === 'string' ? cond : typed;
+        });
+        step.expected = expected || `${goal} is done.`;
+        if (derived) step.notes = 'Commands derived from the guide text.';
+        return { step, reason: null };
+    }
+
+    /**
+     * 转换一个指南
+     *
+     * @returns {object} { example, skippedSteps: [reason] }，没有可用步骤时 example 为 null
+     */
+    convertGuide(id, guide, advancement = null) {
+        const slug = this.toSlug(id, advancement);
+        const skippedSteps = [];
+        const plan = [];
+        for (const raw of guideSteps(guide)) {
+            const { step, reason } = this.convertStep(raw);
+            if (step) plan.push({ ...step, step: plan.length + 1 });
+            else skippedSteps.push(reason);
+        }
+        if (!slug || plan.length === 0) return { example: null, skippedSteps };
+
+        const title = advancement?.name || guide?.name || slug.split('/').pop().replace(/_/g, ' ');
+        const example = {
+            slug,
+            name: title,
+            tab: advancement?.tab || slug.split('/')[0],
+            rationale: advancement?.description || guide?.description || `Benchmark guide "${id}".`,
+            plan
+        };
+        const level = advancement?.level || guide?.level;
+        if (typeof level === 'string' && /^L[0-9]+$/.test(level)) example.level = level;
+        return { example, skippedSteps };
+    }
+
+    /**
+     * 其他训练文件中已有的 slug（手写示例优先，不被导入覆盖）
+     */
+    existingSlugs() {
+        const slugs = new Set();
+        for (const file of this.validator.listFiles()) {
+            if (basename(file) === basename(this.outputFile)) continue;
+            try {
+                const data = JSON.parse(readFileSync(file, 'utf8'));
+                if (Array.isArray(data)) data.forEach(example => example?.slug && slugs.add(example.slug));
+            } catch (err) {
+                this.logDebug(`[GuideImporter] Skipping unreadable ${file}:`, err.message);
+            }
+        }
+        return slugs;
+    }
+
+    /**
+     * 导入全部指南并写入 outputFile
+     *
+     * @param {object} data - { advancements: [{ name, slug, ... }], guides: { id: steps } }
+     * @param {object} options - { dryRun }
+     * @returns {object} { file, added, updated, unchanged, skipped: [{ id, slug, reason }], dropped: [{ slug, reason }], examples }
+     */
+    importGuides(data, options = {}) {
+        const advancements = data?.advancements || [];
+        const report = { file: this.outputFile, added: 0, updated: 0, unchanged: 0, skipped: [], dropped: [], examples: 0 };
+        const taken = this.existingSlugs();
+
+        const previous = existsSync(this.outputFile) ? JSON.parse(readFileSync(this.outputFile, 'utf8')) : [];
+        const bySlug = new Map(previous.map(example => [example.slug, example]));
+        const seen = new Set();
+
+        for (const [id, guide] of Object.entries(data?.guides || {})) {
+            const { example, skippedSteps } = this.convertGuide(id, guide, this.findAdvancement(id, advancements));
+            if (!example) {
+                report.skipped.push({ id, slug: null, reason: skippedSteps[0] || 'no steps' });
+                continue;
+            }
+            if (taken.has(example.slug)) {
+                report.skipped.push({ id, slug: example.slug, reason: 'slug already defined in another training file' });
+                continue;
+            }
+            if (seen.has(example.slug)) {
+                report.skipped.push({ id, slug: example.slug, reason: 'duplicate slug in guides' });
+                continue;
+            }
+            seen.add(example.slug);
+            // 无法转换的步骤不进入示例，但要报告给作者
+            report.dropped.push(...skippedSteps.map(reason => ({ slug: example.slug, reason })));
+
+            const old = bySlug.get(example.slug);
+            if (!old) report.added++;
+            else if (JSON.stringify(old) === JSON.stringify(example)) report.unchanged++;
+            else report.updated++;
+            bySlug.set(example.slug, example);
+        }
+
+        const examples = [...bySlug.values()].sort((a, b) => a.slug.localeCompare(b.slug));
+        report.examples = examples.length;
+        if (!options.dryRun) {
+            writeFileSync(this.outputFile, JSON.stringify(examples, null, 2) + '\n', 'utf8');
+        }
+        return report;
+    }
+}
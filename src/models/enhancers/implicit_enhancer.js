@@ -1,78 +1,145 @@
 import { join, dirname } from 'path';
-import { promises as fs, readFileSync } from 'fs';
+import { existsSync, mkdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'fs';
 import { Enhancer } from './enhancer.js';
-import { Local } from '../local.js';
-import { Doubao } from '../doubao.js';
-import { Qwen } from '../qwen.js';
 import { SharedMemory } from '../../team/shared_memory.js';
+import { SocketSharedMemory } from '../../team/socket_shared_memory.js';
+import { TeamCoordinator, loadBlueprint, sectionBlocks } from '../../team/team_coordinator.js';
+import { ResourceRegistry } from '../../team/resource_registry.js';
 import { actionsList } from '../../agent/commands/actions.js';
+import { parseCommands, formatCommand } from '../../agent/commands/parser.js';
 // 新增导入
 import { PreconditionExtractor } from './precondition_extractor.js';
 import { FewShotBuilder } from './fewshot_builder.js';
 import { ItemNormalizer } from './item_normalizer.js';
 import { KeywordExtractor } from './keyword_extractor.js';
-
-// Intent -> training file mapping (simplified: no COMBAT category)
-const INTENT_TO_TRAINING_FILE = {
-    BUILD: 'build_examples.json',
-    CRAFT: 'crafting_examples.json',  // includes weapon crafting
-    COLLECT: 'craft_examples.json',
-    EXPLORE: 'craft_examples.json',   // attack/combat actions
-    DEFAULT: 'build_examples.json'
-};
+import { IntentClassifier } from './intent_classifier.js';
+import { ExampleIndex } from './example_index.js';
+import { MissionVerifier } from './mission_verifier.js';
+import { MissionPlanner } from './mission_planner.js';
+import { EpisodicMemory } from './episodic_memory.js';
+import { RuleEngine } from './rule_engine.js';
+import { EnhancerPipeline } from './enhancer_pipeline.js';
+import { PromptBuilder } from './prompt_builder.js';
+import { PromptTemplates } from './prompt_templates.js';
+import { getInventoryCounts, getNearestFreeSpace } from '../../agent/library/world.js';
+
+// 目标参数是方块名的采集类命令
+const COLLECT_COMMANDS = ['!collectBlocks', '!searchForBlock'];
+// 放置的工作站和容器在这个距离内才记入团队资源登记
+const WATCH_DISTANCE = 8;
 
 export class ImplicitEnhancer {
     constructor(config) {
-        if (!config.enhancer) {
-            throw new Error('ImplicitEnhancer requires an Enhancer instance in config');
-        }
-
         this.agent = config.agent;
         this.debug = Boolean(config.enhancer?.debug);
-        this.activeMission = {
-            isActive: false,
-            planName: null,
-            steps: [],
-            currentStep: 0,
-            failures: 0
+        this.resetMission();
+
+        // 步骤验证失败策略：先重试，超过 max_retries 后插入子计划，累计 max_failures 次后放弃任务
+        const missionOptions = config.mission || {};
+        this.missionPolicy = {
+            maxRetries: missionOptions.max_retries ?? 1,
+            maxFailures: missionOptions.max_failures ?? 3
         };
 
-        let modelInstance = null;
-        const modelConfig = config.enhancer.model;
-        switch (modelConfig.api) {
-            case 'ollama':
-                modelInstance = new Local(modelConfig.model, modelConfig.url);
-                break;
-            case 'doubao':
-                modelInstance = new Doubao(modelConfig.model, modelConfig.url);
-                break;
-            case 'qwen':
-                modelInstance = new Qwen(modelConfig.model, modelConfig.url, modelConfig.params);
-                break;
-            default:
-                throw new Error(`Unsupported model API: ${modelConfig.api}`);
+        // 内层模型：enhancer.model 可以是任意 Prompter 支持的模型配置，省略或为 "chat" 时复用对话模型
+        // stage_models 为单个阶段指定模型（如 intent 用小模型分类，request 用大模型规划）
+        this.createModel = config.createModel || null;
+        this.chatModel = config.chatModel || null;
+        const innerConfig = config.enhancer || {};
+        this.innerModel = this.resolveModel(innerConfig.model);
+        this.stageModels = {};
+        for (const [stage, modelConfig] of Object.entries(config.stage_models || {})) {
+            this.stageModels[stage] = this.resolveModel(modelConfig);
         }
+        this.innerEnhancer = new Enhancer({ ...innerConfig, model: this.getStageModel('request') });
 
-        const enhancerConfig = { ...config.enhancer, model: modelInstance };
-        this.innerEnhancer = new Enhancer(enhancerConfig);
+        // 提示词 token 预算：数字，或 { default, "<模型名>": 预算 }
+        this.promptBudget = config.prompt_budget ?? null;
         this.trainingDir = join(process.cwd(), 'data', 'training');
         this.memoryDir = join(process.cwd(), 'data', 'memory');
 
+        // 情景记忆：按智能体记录每次任务经历，相似请求时提示 "what worked last time"
+        const memoryOptions = config.memory || {};
+        this.episodicMemory = new EpisodicMemory({
+            dir: memoryOptions.episodes_dir || join(this.memoryDir, 'episodes'),
+            getAgentName: () => this.agent?.name,
+            maxEpisodes: memoryOptions.max_episodes
+        }, this.debug);
+        this.episode = null;
+
+        // 团队账本：活动任务定期发送心跳，超过 task_ttl_ms 没有心跳的任务过期，完成的任务按 retention 归档
+        // backend 为 "socket" 时账本保存在监控服务器，通过已有的 socket.io 连接同步（默认为本地文件）
         const teamOptions = config.team || {};
-        this.sharedMemory = new SharedMemory({
+        const retention = teamOptions.retention || {};
+        const ledgerOptions = {
             agentName: this.agent?.name,
-            path: teamOptions.shared_state_path
-        });
+            path: teamOptions.shared_state_path,
+            taskTtlMs: teamOptions.task_ttl_ms,
+            retentionMs: retention.keep_ms,
+            maxFinished: retention.max_finished,
+            historyPath: retention.history_path,
+            historyMaxBytes: retention.history_max_bytes,
+            historyFiles: retention.history_files
+        };
+        this.sharedMemory = teamOptions.backend === 'socket'
+            ? new SocketSharedMemory({ ...ledgerOptions, getSocket: config.getTeamSocket })
+            : new SharedMemory(ledgerOptions);
         this.enableTeamContext = teamOptions.enable !== false; // default on
+        this.reassignExpired = teamOptions.reassign_expired === true;
+        // 团队目标：拆分为子任务，按库存、距离和负载分配；智能体在心跳时竞标、接受或拒绝
+        this.coordinator = new TeamCoordinator({
+            sharedMemory: this.sharedMemory,
+            chunkSize: teamOptions.chunk_size,
+            bidWindowMs: teamOptions.bid_window_ms,
+            offerTtlMs: teamOptions.offer_ttl_ms
+        });
+        // 团队资源登记：打开过的容器及其内容、放置的工作站，供 !teamStorage、goToStorage 和工作站前置条件查询
+        this.resourceRegistry = this.enableTeamContext ? new ResourceRegistry({ sharedMemory: this.sharedMemory }) : null;
+        this.assignedTaskId = null;
+        // 正在通过对话执行的团队目标子任务，只能由 finishTeamSubtask 结束
+        this.teamSubtask = null;
+        this.teamHeartbeatTimer = null;
+        this.startTeamHeartbeat(teamOptions.heartbeat_ms ?? 30000);
+        // 服务器推送的变更中有分配给自己的子任务时立即处理，不等下一次心跳
+        if (this.enableTeamContext && typeof this.sharedMemory.subscribe === 'function') {
+            this.sharedMemory.subscribe(patch => {
+                const offered = (patch?.tasks || []).some(task => task.status === 'offered' && task.agent === this.agent?.name);
+                if (offered) this.teamHeartbeat();
+            });
+        }
+
+        // 提示词片段的语言：enhancer.language，否则为 settings.language；enhancer.prompts 覆盖单个片段
+        this.prompts = new PromptTemplates({ language: config.language, overrides: config.prompts }, this.debug);
 
         // 新增：初始化组件
-        this.preconditionExtractor = new PreconditionExtractor(this.debug);
-        this.fewShotBuilder = new FewShotBuilder(this.debug);
+        this.preconditionExtractor = new PreconditionExtractor(this.debug, this.prompts, this.resourceRegistry);
+        this.fewShotBuilder = new FewShotBuilder(this.debug, this.prompts);
         this.itemNormalizer = new ItemNormalizer(this.debug);
-        this.keywordExtractor = new KeywordExtractor(this.debug);
+        this.keywordExtractor = new KeywordExtractor({ colloquialMap: this.itemNormalizer.colloquialMap }, this.debug);
+        this.missionVerifier = new MissionVerifier(this.debug);
+        this.ruleEngine = new RuleEngine({ rulesDir: config.rules?.dir }, this.debug);
+        this.missionPlanner = new MissionPlanner({ preconditionExtractor: this.preconditionExtractor }, this.debug);
+        this.intentClassifier = new IntentClassifier(config.intent || {}, {
+            model: this.getStageModel('intent'),
+            getEmbeddingModel: () => this.agent?.prompter?.embedding_model,
+            debug: this.debug
+        });
 
-        // 新增：初始化示例选择器（用于训练数据）
-        this.examplesSelector = null;
+        // 训练示例检索索引（按相似度返回 top-k，而不是整个文件）
+        const retrieval = config.retrieval || {};
+        this.exampleIndex = new ExampleIndex({
+            trainingDir: this.trainingDir,
+            cachePath: retrieval.cache_path,
+            getEmbeddingModel: () => this.agent?.prompter?.embedding_model,
+            topK: retrieval.top_k,
+            minScore: retrieval.min_score,
+            inventoryWeight: retrieval.inventory_weight
+        }, this.debug);
+        // 检索到的示例启动任务所需的最低请求相似度（示例的目标物品不在请求中时）
+        this.missionMinScore = retrieval.mission_min_score ?? 0.6;
+
+        // 处理阶段：enhancer.stages 指定顺序，未指定时使用默认阶段和插件注册的阶段
+        this.pipeline = new EnhancerPipeline(this, config.stages, this.debug);
     }
 
     logDebug(...args) {
@@ -81,84 +148,394 @@ export class ImplicitEnhancer {
         }
     }
 
+    /**
+     * 模型配置 → 模型实例（通过 Prompter 的模型工厂创建）
+     *
+     * @param {string|object} modelConfig - "chat"、模型名（如 "gpt-4o-mini"）或 { api, model, url, params }
+     */
+    resolveModel(modelConfig) {
+        if (modelConfig === undefined || modelConfig === null || modelConfig === 'chat') {
+            if (!this.chatModel) throw new Error('ImplicitEnhancer: no chat model to reuse; set enhancer.model');
+            return this.chatModel;
+        }
+        if (typeof modelConfig.sendRequest === 'function') return modelConfig;
+        if (!this.createModel) throw new Error('ImplicitEnhancer: no model factory to create the enhancer model');
+        return this.createModel(typeof modelConfig === 'string' ? modelConfig : { ...modelConfig });
+    }
+
+    /**
+     * 某个阶段使用的模型：stage_models 中的配置，否则为内层模型
+     */
+    getStageModel(stage) {
+        return this.stageModels[stage] || this.innerModel;
+    }
+
+    /**
+     * 当前 request 模型的提示词预算（模型名包含配置的键即匹配），未配置时不裁剪
+     */
+    getPromptBudget() {
+        const budget = this.promptBudget;
+        if (budget === null || typeof budget === 'number') return budget;
+        const modelName = String(this.getStageModel('request')?.model_name || '');
+        const key = Object.keys(budget)
+            .filter(name => name !== 'default' && modelName.includes(name))
+            .sort((a, b) => b.length - a.length)[0];
+        return budget[key] ?? budget.default ?? null;
+    }
+
     resetMission() {
         this.activeMission = {
             isActive: false,
             planName: null,
             steps: [],
             currentStep: 0,
-            failures: 0
+            failures: 0,
+            stepStartedAt: 0,
+            lastOutcomeAt: 0,
+            lastVerification: null,
+            transitions: []
         };
     }
 
-    updateMissionState(lastResponseText) {
-        if (!this.activeMission.isActive) return;
+    logMissionTransition(event, reason) {
+        const { planName, currentStep, steps } = this.activeMission;
+        const entry = {
+            event,
+            step: currentStep + 1,
+            total: steps.length,
+            reason,
+            at: new Date().toISOString()
+        };
+        this.activeMission.transitions = [...(this.activeMission.transitions || []), entry].slice(-20);
+        console.log(`[ImplicitEnhancer] Mission "${planName}" step ${entry.step}/${entry.total} ${event}: ${reason}`);
+    }
 
-        const { steps, currentStep } = this.activeMission;
-        if (!steps || steps.length === 0) {
-            this.resetMission();
-            return;
+    getMissionPath() {
+        return join(process.cwd(), 'bots', this.agent?.name || 'unknown', 'mission.json');
+    }
+
+    /**
+     * 将当前任务写入 bots/<name>/mission.json；没有活动任务时删除该文件
+     * 使用同步写 + rename，保证进程被强制退出时文件仍然完整
+     */
+    saveMission() {
+        const missionPath = this.getMissionPath();
+        try {
+            if (!this.activeMission.isActive) {
+                if (existsSync(missionPath)) unlinkSync(missionPath);
+                return;
+            }
+            mkdirSync(dirname(missionPath), { recursive: true });
+            const tmpPath = `${missionPath}.tmp`;
+            writeFileSync(tmpPath, JSON.stringify({ ...this.activeMission, savedAt: new Date().toISOString() }, null, 2), 'utf8');
+            renameSync(tmpPath, missionPath);
+        } catch (err) {
+            console.warn('[ImplicitEnhancer] Failed to save mission:', err.message);
         }
+    }
 
-        const step = steps[currentStep];
-        const expectedCmd = step?.action_cmd?.[0];
-        const responseText = lastResponseText || '';
+    /**
+     * 智能体启动时恢复未完成的任务（load_memory 为 false 时丢弃旧任务）
+     *
+     * @param {boolean} resume - 是否恢复
+     * @returns {boolean} 是否恢复了任务
+     */
+    restoreMission(resume = true) {
+        const missionPath = this.getMissionPath();
+        if (!existsSync(missionPath)) return false;
+        if (!resume) {
+            this.saveMission();
+            return false;
+        }
 
-        const errorDetected = /error|failed|fail|cannot/i.test(responseText);
-        const issuedExpected = expectedCmd ? responseText.includes(expectedCmd) : true;
-        const likelySuccess = issuedExpected && !errorDetected;
+        try {
+            const saved = JSON.parse(readFileSync(missionPath, 'utf8'));
+            if (!saved?.isActive || !Array.isArray(saved.steps) || saved.currentStep >= saved.steps.length) {
+                unlinkSync(missionPath);
+                return false;
+            }
+            delete saved.savedAt;
+            this.activeMission = {
+                ...saved,
+                failures: saved.failures || 0,
+                // 重启前的动作结果不再属于当前步骤
+                stepStartedAt: Date.now(),
+                lastOutcomeAt: 0,
+                transitions: saved.transitions || []
+            };
+            this.logMissionTransition('resume', `restored from ${missionPath}`);
+            this.beginMissionEpisode(saved.intent, Date.parse(saved.startedAt) || Date.now());
+            return true;
+        } catch (err) {
+            console.warn('[ImplicitEnhancer] Failed to restore mission:', err.message);
+            return false;
+        }
+    }
 
-        if (likelySuccess) {
-            this.activeMission.currentStep += 1;
-            this.activeMission.failures = 0;
-        } else {
-            this.activeMission.failures += 1;
+    /**
+     * 当前任务的文字描述（!mission 命令）
+     */
+    describeMission() {
+        const { isActive, planName, steps, currentStep, failures, lastVerification, userKeywords, transitions } = this.activeMission;
+        if (!isActive) return 'No active mission.';
+
+        let res = `MISSION: ${planName} (step ${currentStep + 1}/${steps.length}, ${failures} failed attempts on this step)`;
+        if (userKeywords?.target) res += `\nTarget: ${userKeywords.target}`;
+        steps.forEach((step, i) => {
+            const marker = i < currentStep ? '[x]' : i === currentStep ? '[>]' : '[ ]';
+            const cmd = i === currentStep ? ` ${this.getStepCommand(step)}` : '';
+            res += `\n${marker} ${i + 1}. ${step.goal || step.step || 'step'}${cmd}`;
+        });
+        if (lastVerification) res += `\nLast check: ${lastVerification.status} - ${lastVerification.reason}`;
+        const recent = (transitions || []).slice(-3);
+        if (recent.length > 0) {
+            res += '\nRecent: ' + recent.map(t => `${t.event} step ${t.step} (${t.reason})`).join('; ');
         }
+        return res;
+    }
 
-        if (this.activeMission.currentStep >= steps.length) {
+    /**
+     * 放弃当前任务（!abortMission 命令）
+     */
+    abortMission(reason = 'aborted by command') {
+        if (!this.activeMission.isActive) return 'No active mission to abort.';
+        const { planName, currentStep, steps } = this.activeMission;
+        this.logMissionTransition('abort', reason);
+        this.endEpisode('failure', reason);
+        this.markTaskFailed({ mission: planName, step: steps[currentStep]?.goal, reason });
+        this.resetMission();
+        this.saveMission();
+        return `Mission "${planName}" aborted.`;
+    }
+
+    /**
+     * 跳过当前步骤（!skipStep 命令）
+     */
+    skipStep(reason = 'skipped by command') {
+        if (!this.activeMission.isActive) return 'No active mission.';
+        const { planName, currentStep, steps } = this.activeMission;
+        this.logMissionTransition('skip', reason);
+        if (currentStep + 1 >= steps.length) {
+            this.logMissionTransition('complete', 'last step skipped');
+            this.endEpisode('success', 'last step skipped');
+            this.markTaskDone({ mission: planName });
             this.resetMission();
+            this.saveMission();
+            return `Skipped the last step, mission "${planName}" is finished.`;
         }
+        this.moveToStep(currentStep + 1);
+        this.saveMission();
+        const next = steps[currentStep + 1];
+        return `Skipped step ${currentStep + 1}. Next step ${currentStep + 2}/${steps.length}: ${next.goal || ''} ${this.getStepCommand(next)}`.trim();
     }
 
-    async getRelevantTrainingFiles(intent) {
-        if (!intent) return [];
-        const relevantFiles = new Set();
+    /**
+     * 当前步骤开始后、尚未计入的最新动作结果
+     */
+    getStepOutcome() {
+        const outcome = this.agent?.actions?.lastOutcome;
+        if (!outcome) return null;
+        if (outcome.finishedAt <= this.activeMission.stepStartedAt) return null;
+        if (outcome.finishedAt <= this.activeMission.lastOutcomeAt) return null;
+        return outcome;
+    }
 
-        const mainIntentFile = INTENT_TO_TRAINING_FILE[intent.type] || INTENT_TO_TRAINING_FILE.DEFAULT;
-        relevantFiles.add(join(this.trainingDir, mainIntentFile));
+    getStepCommand(step) {
+        return (step?.action_cmd && step.action_cmd.length > 0) ? step.action_cmd[0] : '!inventory';
+    }
 
-        if (intent.subtype === 'RESOURCE_GATHERING') {
-            relevantFiles.add(join(this.trainingDir, INTENT_TO_TRAINING_FILE.COLLECT));
-        }
+    moveToStep(index) {
+        const mission = this.activeMission;
+        mission.currentStep = index;
+        mission.failures = mission.steps[index]?.failures || 0;
+        mission.stepStartedAt = Date.now();
+        mission.lastOutcomeAt = 0;
+    }
 
-        switch (intent.type) {
-            case 'BUILD':
-                relevantFiles.add(join(this.trainingDir, INTENT_TO_TRAINING_FILE.CRAFT));
-                break;
-            case 'CRAFT':
-            case 'COOK':
-                relevantFiles.add(join(this.trainingDir, INTENT_TO_TRAINING_FILE.COLLECT));
+    /**
+     * 用 verify_cmd、实时库存和动作结果验证当前步骤，只有验证通过才推进
+     *
+     * @returns {object|null} 跳过信息 { skipped, skipReason }，用于提示 LLM
+     */
+    verifyMissionProgress() {
+        if (!this.activeMission.isActive) return null;
+
+        const bot = this.agent?.bot;
+        const skipped = [];
+        while (this.activeMission.isActive) {
+            const { steps, currentStep } = this.activeMission;
+            if (!steps || currentStep >= steps.length) {
+                this.logMissionTransition('complete', 'all steps verified');
+                this.endEpisode('success', 'all steps verified');
+                this.markTaskDone({ mission: this.activeMission.planName });
+                this.resetMission();
                 break;
+            }
+
+            const step = steps[currentStep];
+            const outcome = this.getStepOutcome();
+            const result = this.missionVerifier.verify(step, { bot, outcome });
+            this.activeMission.lastVerification = result;
+
+            if (result.status === 'passed') {
+                this.logMissionTransition('advance', result.reason);
+                if (!outcome) skipped.push(`${step.goal || `step ${currentStep + 1}`} (${result.reason})`);
+                this.moveToStep(currentStep + 1);
+                continue;
+            }
+            if (result.status === 'failed') {
+                this.activeMission.lastOutcomeAt = outcome?.finishedAt || Date.now();
+                this.handleStepFailure(step, result);
+            }
+            break;
+        }
+
+        this.saveMission();
+        return skipped.length > 0 ? { skipped: true, skipReason: skipped.join('; ') } : null;
+    }
+
+    handleStepFailure(step, result) {
+        const mission = this.activeMission;
+        const { maxRetries, maxFailures } = this.missionPolicy;
+        mission.failures += 1;
+        step.failures = mission.failures;
+
+        if (mission.failures >= maxFailures) {
+            this.logMissionTransition('abort', `${result.reason} (${mission.failures}/${maxFailures} failures)`);
+            this.endEpisode('failure', result.reason);
+            this.markTaskFailed({ mission: mission.planName, step: step.goal, reason: result.reason });
+            this.resetMission();
+            return;
         }
 
-        return Array.from(relevantFiles).filter(file => {
-            try { readFileSync(file); return true; }
-            catch { return false; }
+        if (mission.failures > maxRetries && !step.subplan) {
+            const override = this.analyzeTaskRequirements(this.getStepCommand(step));
+            if (override) {
+                mission.steps.splice(mission.currentStep, 0, {
+                    step: `${step.step}.sub`,
+                    goal: override.goal,
+                    action_cmd: [override.command],
+                    verify_cmd: [],
+                    preconditions: [],
+                    expected: override.advice || '',
+                    subplan: true
+                });
+                this.moveToStep(mission.currentStep);
+                this.logMissionTransition('subplan', `${result.reason}; inserted ${override.command}`);
+                return;
+            }
+        }
+
+        this.logMissionTransition('retry', `${result.reason} (attempt ${mission.failures}/${maxFailures})`);
+    }
+
+    /**
+     * 新的用户请求开始一段经历；上一段非任务经历按最近的动作结果结束
+     * 任务进行中的经历持续到任务完成或放弃
+     */
+    beginEpisode(intent) {
+        if (this.episode) {
+            if (this.episode.mission && this.activeMission.isActive) return;
+            if (this.episode.intent?.input === intent.input) return;
+            this.endEpisode(this.inferEpisodeOutcome());
+        }
+        this.episode = {
+            intent: { type: intent.type, subtype: intent.subtype, input: intent.input },
+            plan: null,
+            commands: [],
+            mission: false,
+            startedAt: Date.now()
+        };
+    }
+
+    /**
+     * 当前经历关联到任务（任务开始或重启后恢复）
+     */
+    beginMissionEpisode(intent, startedAt = Date.now()) {
+        const { planName, steps } = this.activeMission;
+        if (!this.episode || !this.episode.mission) {
+            this.episode = {
+                intent: intent || this.episode?.intent || null,
+                commands: this.episode?.commands || [],
+                startedAt: this.episode?.startedAt || startedAt
+            };
+        }
+        this.episode.mission = true;
+        this.episode.plan = { name: planName, steps: steps.map(step => step.goal || step.step).filter(Boolean) };
+    }
+
+    recordEpisodeCommands(response) {
+        if (!this.episode || typeof response !== 'string') return;
+        const commands = parseCommands(response).filter(command => !command.error).map(command => command.text);
+        this.episode.commands = [...this.episode.commands, ...commands].slice(-50);
+    }
+
+    inferEpisodeOutcome() {
+        const outcome = this.agent?.actions?.lastOutcome;
+        if (!outcome || outcome.finishedAt < this.episode.startedAt) return 'unknown';
+        return outcome.success && !outcome.interrupted && !outcome.timedout ? 'success' : 'failure';
+    }
+
+    /**
+     * 结束并保存当前经历（没有发出任何命令的纯对话不保存）
+     */
+    endEpisode(outcome, reason = null) {
+        const episode = this.episode;
+        this.episode = null;
+        if (!episode || (!episode.mission && episode.commands.length === 0)) return;
+        this.episodicMemory.record({
+            intent: episode.intent,
+            plan: episode.plan,
+            commands: episode.commands,
+            outcome,
+            reason,
+            startedAt: new Date(episode.startedAt).toISOString(),
+            durationMs: Date.now() - episode.startedAt
         });
     }
 
-    async sendRequest(model, turns, systemPrompt, stop_seq = '***') {
-        const lastAssistantTurn = [...(turns || [])].reverse().find(t => t.role === 'assistant' && t.content);
-        this.updateMissionState(lastAssistantTurn?.content);
+    /**
+     * 同一意图下最近成功的经历，作为 "what worked last time" 提示
+     */
+    buildEpisodeContext(intent) {
+        if (!intent) return '';
+        const episodes = this.episodicMemory.recent({ intentType: intent.type, input: intent.input, limit: 3 });
+        if (episodes.length === 0) return '';
+
+        const t = (key, vars) => this.prompts.t(key, vars);
+        let text = t('episodes.header');
+        for (const ep of episodes) {
+            text += t('episodes.line', {
+                input: ep.intent?.input || '',
+                plan: ep.plan?.name ? t('episodes.plan', { name: ep.plan.name }) : '',
+                seconds: Math.round((ep.durationMs || 0) / 1000),
+                commands: (ep.commands || []).slice(0, 8).join(' → ') || t('episodes.no_commands')
+            });
+        }
+        text += t('episodes.footer');
+        return text;
+    }
 
-        const intent = await this.getIntent(turns, systemPrompt);
-        const info = await this.getRelevantInfo(intent);
-        const teamTasks = await this.getTeamContext();
+    getRelevantTrainingFiles(intent) {
+        if (!intent) return [];
+        const { training_files = [] } = this.intentClassifier.getIntentConfig(intent.type);
 
-        const prompt = await this.improvePrompt(intent, info, systemPrompt, teamTasks);
+        return [...new Set(training_files)]
+            .map(file => join(this.trainingDir, file))
+            .filter(file => existsSync(file));
+    }
 
-        this.logDebug(`[ImplicitEnhancer] agent=${this.agent?.name || 'unknown'} intent=${intent?.type || 'unknown'} currentStep=${this.activeMission.currentStep} teamTasks=${teamTasks.length} promptPreview="${prompt.slice(0, 120)}..."`);
+    async sendRequest(model, turns, systemPrompt, stop_seq = '***') {
+        const ctx = await this.pipeline.run({ model, turns, systemPrompt, stop_seq });
+        return ctx.response;
+    }
 
+    /**
+     * 在共享内存中登记当前意图对应的任务；开始新任务时，上一个任务视为已完成
+     */
+    claimIntentTask(intent) {
+        // 团队分配的任务保留到任务计划结束，期间的请求都算作这个任务
+        if (this.assignedTaskId && this.assignedTaskId === this.lastClaimedTaskId) return;
         if (intent && this.sharedMemory && this.enableTeamContext) {
             const task = this.sharedMemory.claimTask({
                 agent: this.agent?.name,
@@ -166,17 +543,11 @@ export class ImplicitEnhancer {
                 summary: intent.input,
                 status: 'planning'
             });
+            if (task && this.lastClaimedTaskId && task.id !== this.lastClaimedTaskId) {
+                this.sharedMemory.completeTask(this.lastClaimedTaskId, 'superseded');
+            }
             this.lastClaimedTaskId = task?.id;
         }
-
-        const res = await this.innerEnhancer.sendRequest(model, turns.slice(-3), prompt, stop_seq);
-
-        this.markTaskInProgress({ lastResponse: res });
-        await this.saveRelevantInfo(intent, res);
-
-        const normalizedRes = this.normalizeCommandsInResponse(res);
-        const adjustedRes = await this.applyTaskOverrides(normalizedRes);
-        return adjustedRes;
     }
 
     markTaskInProgress(extra = {}) {
@@ -186,15 +557,266 @@ export class ImplicitEnhancer {
     }
 
     markTaskDone(result) {
+        if (this.isTeamSubtaskActive()) {
+            this.finishTeamSubtask(true, result);
+            return;
+        }
         if (this.lastClaimedTaskId && this.sharedMemory && this.enableTeamContext) {
             this.sharedMemory.completeTask(this.lastClaimedTaskId, result);
+            if (this.assignedTaskId === this.lastClaimedTaskId) this.assignedTaskId = null;
+            this.lastClaimedTaskId = null;
         }
     }
 
     markTaskFailed(reason) {
+        if (this.isTeamSubtaskActive()) {
+            this.finishTeamSubtask(false, reason);
+            return;
+        }
         if (this.lastClaimedTaskId && this.sharedMemory && this.enableTeamContext) {
             this.sharedMemory.updateStatus(this.lastClaimedTaskId, 'failed', { reason });
+            if (this.assignedTaskId === this.lastClaimedTaskId) this.assignedTaskId = null;
+            this.lastClaimedTaskId = null;
+        }
+    }
+
+    /**
+     * 当前登记的任务是否为团队目标的子任务（ActionManager 据此不在单个动作结束后改动它）
+     */
+    isTeamSubtaskActive() {
+        return Boolean(this.teamSubtask) && this.teamSubtask.id === this.lastClaimedTaskId;
+    }
+
+    /**
+     * 通过协调器结束团队子任务。采集子任务先核对库存，数量不够时只记录进度，子任务保持进行中
+     *
+     * @returns {boolean} 子任务是否已结束
+     */
+    finishTeamSubtask(success, result = null) {
+        const task = this.teamSubtask;
+        if (!task) return false;
+        if (success && task.resource) {
+            const { item, count } = task.resource;
+            const bot = this.agent?.bot;
+            const have = (bot ? getInventoryCounts(bot)[item] : 0) || 0;
+            if (have < count) {
+                this.logDebug(`[ImplicitEnhancer] team subtask ${task.id} not finished: ${have}/${count} ${item}`);
+                this.sharedMemory.updateStatus(task.id, 'in_progress', { progress: Math.round(have / count * 1000) / 1000 });
+                return false;
+            }
+            result = `collected ${have} ${item}`;
         }
+        this.coordinator.finishSubtask(task.id, success, result);
+        this.teamSubtask = null;
+        if (this.assignedTaskId === task.id) this.assignedTaskId = null;
+        if (this.lastClaimedTaskId === task.id) this.lastClaimedTaskId = null;
+        return true;
+    }
+
+    /**
+     * 定时发送心跳并维护团队账本（heartbeat_ms 为 0 时关闭）
+     */
+    startTeamHeartbeat(intervalMs) {
+        if (!this.sharedMemory || !this.enableTeamContext || !(intervalMs > 0)) return;
+        this.teamHeartbeatTimer = setInterval(() => this.teamHeartbeat(), intervalMs);
+        // 不阻止进程退出
+        this.teamHeartbeatTimer.unref?.();
+    }
+
+    stopTeamHeartbeat() {
+        if (this.teamHeartbeatTimer) {
+            clearInterval(this.teamHeartbeatTimer);
+            this.teamHeartbeatTimer = null;
+        }
+    }
+
+    /**
+     * 心跳时发布的状态：库存、位置、维度、是否空闲（供 TeamCoordinator 分配子任务）
+     */
+    getTeamStatus(idle) {
+        const bot = this.agent?.bot;
+        const position = bot?.entity?.position;
+        return {
+            inventory: bot ? getInventoryCounts(bot) : {},
+            position: position ? { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) } : null,
+            dimension: bot?.game?.dimension,
+            idle
+        };
+    }
+
+    /**
+     * 心跳：刷新自己的活动任务，过期失联队友的任务，归档旧任务；
+     * 空闲时竞标团队目标的子任务，接受分配给自己的一个，其余拒绝；
+     * 开启 reassign_expired 时，空闲的智能体接手最早过期的任务。
+     * 接受或接手的任务等账本确认后才开始：socket 账本中别人先拿到时服务器会拒绝
+     */
+    async teamHeartbeat() {
+        const name = this.agent?.name;
+        if (!name) return null;
+        try {
+            // 采集子任务在库存够数时结束，不必等任务计划走完
+            if (this.teamSubtask?.resource) this.finishTeamSubtask(true);
+            const idle = !this.activeMission.isActive && !this.assignedTaskId && (this.agent.isIdle ? this.agent.isIdle() : true);
+            const status = this.getTeamStatus(idle);
+            this.sharedMemory.heartbeat(name, status);
+            const result = this.sharedMemory.maintain();
+            if (result?.expired.length > 0) {
+                this.logDebug(`[ImplicitEnhancer] expired team tasks: ${result.expired.map(task => `${task.agent}: ${task.summary}`).join('; ')}`);
+            }
+
+            if (idle) this.coordinator.bidOpen(name, status);
+            this.coordinator.refresh();
+            let accepted = null;
+            for (const offer of this.coordinator.getOffers(name)) {
+                if (idle && !accepted) {
+                    accepted = this.coordinator.accept(offer.id, name);
+                } else {
+                    this.coordinator.decline(offer.id, name, idle ? 'already took another subtask' : 'busy');
+                }
+            }
+            if (accepted) {
+                // 等待确认期间的心跳不再接受其他子任务
+                this.assignedTaskId = accepted.id;
+                if (!await this.confirmTeamWrite(accepted)) return null;
+                this.startTeamSubtask(accepted);
+                return accepted;
+            }
+
+            if (!this.reassignExpired || !idle) return null;
+            const task = this.sharedMemory.reassignExpired(name);
+            if (!task || !await this.confirmTeamWrite(task)) return null;
+
+            const previous = task.reassignedFrom[task.reassignedFrom.length - 1];
+            this.lastClaimedTaskId = task.id;
+            this.assignedTaskId = task.id;
+            this.logDebug(`[ImplicitEnhancer] took over task ${task.id} from ${previous}: ${task.summary}`);
+            this.agent.handleMessage?.('team', this.prompts.t('team.takeover', { agent: previous, summary: task.summary }));
+            return task;
+        } catch (err) {
+            console.warn('[ImplicitEnhancer] team heartbeat failed:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * 等待账本确认对任务的写入；被拒绝时（队友先拿到了这个任务）放弃它
+     *
+     * @returns {boolean} 写入是否已确认
+     */
+    async confirmTeamWrite(task) {
+        try {
+            await this.sharedMemory.confirm();
+            return true;
+        } catch (err) {
+            this.logDebug(`[ImplicitEnhancer] gave up team task ${task.id}: ${err.message}`);
+            if (this.assignedTaskId === task.id) this.assignedTaskId = null;
+            return false;
+        }
+    }
+
+    /**
+     * 开始执行分配到的子任务：蓝图区块交给 BuildWithBlueprint 插件直接建造，其他子任务作为请求发给智能体
+     */
+    startTeamSubtask(task) {
+        const goal = this.coordinator.getGoal(task.goalId);
+        this.assignedTaskId = task.id;
+        this.logDebug(`[ImplicitEnhancer] accepted team subtask ${task.id}: ${task.summary}`);
+
+        const builder = this.agent.plugin?.plugins?.BuildWithBlueprint;
+        if (task.section && builder && goal?.origin) {
+            const blueprint = loadBlueprint(task.section.blueprint, this.coordinator.blueprintDir);
+            this.sharedMemory.updateStatus(task.id, 'in_progress');
+            builder.buildSection(task.section.blueprint, sectionBlocks(blueprint, task.section), goal.origin, success => {
+                try {
+                    this.coordinator.finishSubtask(task.id, success, success ? 'section built' : 'building stopped');
+                } catch (err) {
+                    console.warn('[ImplicitEnhancer] could not report the team subtask:', err.message);
+                }
+                if (this.assignedTaskId === task.id) this.assignedTaskId = null;
+            });
+            return;
+        }
+
+        this.lastClaimedTaskId = task.id;
+        this.teamSubtask = task;
+        this.agent.handleMessage?.('team', this.prompts.t('team.assignment', { summary: task.summary, goal: goal?.target || '' }));
+    }
+
+    /**
+     * !teamGoal：创建团队目标并立即尝试分配
+     *
+     * @param {string} kind - "collect" 或 "build"
+     * @param {string} target - 资源列表（"64 oak_log, 32 cobblestone"）或蓝图名称
+     */
+    createTeamGoal(kind, target) {
+        if (!this.sharedMemory || !this.enableTeamContext) return 'Team goals need the team ledger (enhancer.team.enable).';
+        let origin = null;
+        if (kind === 'build') {
+            const blueprint = loadBlueprint(target, this.coordinator.blueprintDir);
+            const size = blueprint ? Math.max(...blueprint.blocks.map(block => Math.max(block[0], block[2]))) + 1 : 1;
+            const bot = this.agent?.bot;
+            origin = bot ? getNearestFreeSpace(bot, size, 32) : null;
+            if (bot && !origin) return `Could not find a free space for ${target} nearby.`;
+        }
+        try {
+            const goal = this.coordinator.createGoal({
+                kind,
+                target,
+                origin: origin ? { x: origin.x, y: origin.y, z: origin.z } : null,
+                createdBy: this.agent?.name
+            });
+            this.coordinator.refresh();
+            return `Created team goal ${goal.id} with ${goal.subtasks.length} subtasks: ${goal.subtasks.map(task => task.summary).join('; ')}. They are offered to teammates on their next heartbeat.`;
+        } catch (err) {
+            return `Could not create the team goal: ${err.message}`;
+        }
+    }
+
+    describeTeamGoals() {
+        if (!this.sharedMemory || !this.enableTeamContext) return 'Team goals need the team ledger (enhancer.team.enable).';
+        return this.coordinator.describe();
+    }
+
+    /**
+     * 出生后由 Agent 调用：技能打开容器时（containerContents 事件）记录内容，
+     * 身边放置的工作站和容器记入团队资源登记，被拆除的从登记中删除。
+     * bot.teamResources 供 goToStorage、takeFromChest 等技能查询
+     */
+    watchWorld(bot) {
+        if (!this.resourceRegistry || !bot) return;
+        const registry = this.resourceRegistry;
+        bot.teamResources = registry;
+
+        bot.on('containerContents', (block, items) => {
+            try {
+                registry.recordContainer(block, items, bot.game.dimension);
+            } catch (err) {
+                console.warn('[ImplicitEnhancer] could not record the container:', err.message);
+            }
+        });
+        bot.on('blockUpdate', (oldBlock, newBlock) => {
+            if (!newBlock || oldBlock?.name === newBlock.name) return;
+            try {
+                if (registry.isTracked(oldBlock?.name)) {
+                    registry.remove(newBlock.position, bot.game.dimension);
+                }
+                // 只记录身边的新方块（自己或身旁队友放置的），远处的变化留给在场的智能体
+                if (registry.isTracked(newBlock.name) && bot.entity
+                    && bot.entity.position.distanceTo(newBlock.position) <= WATCH_DISTANCE) {
+                    registry.recordBlock(newBlock, bot.game.dimension);
+                }
+            } catch (err) {
+                console.warn('[ImplicitEnhancer] could not update the team resources:', err.message);
+            }
+        });
+    }
+
+    /**
+     * !teamStorage：哪些已知容器存有该物品，或已知的该类工作站在哪里
+     */
+    describeTeamStorage(name, bot = this.agent?.bot) {
+        if (!this.resourceRegistry) return 'Team storage needs the team ledger (enhancer.team.enable).';
+        return this.resourceRegistry.describe(name, { position: bot?.entity?.position, dimension: bot?.game?.dimension });
     }
 
     async getTeamContext() {
@@ -203,14 +825,21 @@ export class ImplicitEnhancer {
     }
 
     buildCommandReference() {
-        let reference = '\n## Command Reference & Syntax\n';
-        reference += 'Commands use parentheses and double quotes for strings. Examples:\n';
-        reference += '- !collectBlocks("block_type", count)\n';
-        reference += '- !craftRecipe("recipe_name", count)\n';
-        reference += '- !smeltItem("raw_item", count)\n';
-        reference += '- !searchForBlock("block_type", search_range)\n';
-        reference += '- !inventory\n';
-        return reference;
+        return this.prompts.t('commands.reference');
+    }
+
+    /**
+     * 队友正在进行的任务
+     */
+    buildTeamContext(teamTasks) {
+        if (!teamTasks || teamTasks.length === 0) return '';
+        const tasks = teamTasks.map(task => this.prompts.t('team.task', {
+            agent: task.agent,
+            status: task.status,
+            intent: task.intent?.type || 'unknown',
+            summary: task.summary || ''
+        })).join('\n');
+        return this.prompts.t('team.header') + tasks + this.prompts.t('team.rules');
     }
 
     buildItemNameGuide() {
@@ -229,7 +858,7 @@ export class ImplicitEnhancer {
             intentAnalysis = await this.determineIntentType(userInput);
         } catch (err) {
             console.warn('Intent analysis failed:', err);
-            intentAnalysis = { type: 'GENERAL', subtype: 'unknown' };
+            intentAnalysis = { type: this.intentClassifier.defaultIntent, subtype: 'unknown', confidence: 0 };
         }
 
         return {
@@ -237,54 +866,24 @@ export class ImplicitEnhancer {
             source: 'user',
             input: userInput,
             type: intentAnalysis.type,
-            subtype: intentAnalysis.subtype
+            subtype: intentAnalysis.subtype,
+            confidence: intentAnalysis.confidence
         };
     }
 
     async determineIntentType(input) {
-        const lower = input.toLowerCase();
-
-        // Simplified intent classification: only identify actions, not usage
-        // "craft an iron axe" → CRAFT (weapon crafting)
-        // "attack zombie" → EXPLORE (combat action, not crafting)
-        if (['craft', 'make', 'build', 'create', 'cook', 'smelt'].some(kw => lower.includes(kw))) {
-            return { type: 'CRAFT', subtype: 'creation' };
-        }
-        if (['collect', 'gather', 'mine', 'chop', 'harvest'].some(kw => lower.includes(kw))) {
-            return { type: 'COLLECT', subtype: 'resource_gathering' };
-        }
-        if (['attack', 'kill', 'fight'].some(kw => lower.includes(kw))) {
-            // Combat actions categorized as EXPLORE (not weapon crafting)
-            return { type: 'EXPLORE', subtype: 'combat' };
-        }
-        if (['place', 'put', 'construct', 'structure'].some(kw => lower.includes(kw))) {
-            return { type: 'BUILD', subtype: 'construction' };
-        }
-
-        return { type: 'GENERAL', subtype: 'unknown' };
+        return await this.intentClassifier.classify(input);
     }
 
     async getRelevantInfo(intent) {
         if (!intent) return [];
 
-        const relevantFiles = await this.getRelevantTrainingFiles(intent);
-        let allExamples = [];
-
-        for (const filePath of relevantFiles) {
-            try {
-                const trainingData = JSON.parse(readFileSync(filePath, 'utf8'));
-                allExamples = allExamples.concat(trainingData.map((ex, i) => ({
-                    ...ex,
-                    id: `${filePath}_${i}`,
-                    source_file: filePath,
-                    plan: ex.plan || []
-                })));
-                this.logDebug(`[ImplicitEnhancer] loaded training examples from ${filePath}, count=${trainingData.length}`);
-            } catch (err) {
-                console.warn(`Failed to load training data from ${filePath}:`, err);
-            }
-        }
-        return allExamples;
+        const bot = this.agent?.bot;
+        const inventory = bot?.inventory ? Object.keys(getInventoryCounts(bot)) : [];
+        return await this.exampleIndex.search(intent.input, {
+            inventory,
+            preferredFiles: this.getRelevantTrainingFiles(intent)
+        });
     }
 
     injectMiningKnowledge(targetBlock) {
@@ -300,7 +899,7 @@ export class ImplicitEnhancer {
                 .filter(Boolean);
             if (toolNames.length === 0) return '';
             const best = toolNames[0];
-            return `⚠️ INFO: To mine ${targetBlock}, you MUST equip ${best} (or better). Do NOT use hand/wood.`;
+            return this.prompts.t('mission.mining_hint', { block: targetBlock, tool: best });
         } catch (err) {
             this.logDebug('[ImplicitEnhancer] injectMiningKnowledge failed', err);
             return '';
@@ -331,77 +930,29 @@ export class ImplicitEnhancer {
             if (requiredStation) {
                 // Use the refactored logic in PreconditionExtractor
                 const override = this.preconditionExtractor.resolveStationRequirement(requiredStation, bot);
-                if (override) return override;
+                // prerequisite: 先执行 override，原命令保留在其后
+                if (override) return { ...override, prerequisite: true };
             }
         }
 
-        // Fix misused attack for mining blocks
-        const attackMatch = commandString.match(/!attack\(\s*["']([^"']+)["']/i);
-        if (attackMatch) {
-            const targetName = attackMatch[1]?.toLowerCase();
-            const likelyBlock = (() => {
-                if (!targetName) return false;
-                if (targetName.includes('ore') || targetName.includes('log') || targetName.includes('plank') || targetName.includes('stone') || targetName.includes('cobblestone')) return true;
-                if (bot.registry?.blocksByName?.[targetName]) return true;
-                return false;
-            })();
-            if (likelyBlock) {
-                return {
-                    goal: `Mine ${targetName} (use collection, not attack)`,
-                    command: `!collectBlocks("${targetName}", 1)`,
-                    advice: 'To gather blocks, use collect/search not attack.'
-                };
-            }
-        }
+        // 中文俗称换成 MC 名称（"木头" → log，"铁矿" → iron_ore），后续都按换过的命令判断
+        const translated = this.translateColloquialTarget(commandString);
+        const command = translated?.command || commandString;
+
+        // 模糊名称按附近实际存在的变体解析；附近没有时交给群系规则
+        const variantOverride = this.resolveEnvironmentVariant(command, bot);
+        if (variantOverride) return variantOverride;
+
+        // 声明式规则（data/rules）：圆石、泛称木材、攻击方块等
+        const ruleOverride = this.ruleEngine.evaluate(command, bot);
+        if (ruleOverride) return ruleOverride;
 
         // Extract target block from collect/search commands
-        const match = commandString.match(/!(?:collectBlocks|searchForBlock)\(\s*["']([^"']+)["']/i);
+        const match = command.match(/!(?:collectBlocks|searchForBlock)\(\s*["']([^"']+)["']/i);
         if (!match || !match[1]) return null;
-        const cmdNameMatch = commandString.match(/!(\w+)/);
-        const cmdName = cmdNameMatch ? cmdNameMatch[1] : null;
         if (!bot.registry) return null;
         const target = match[1].toLowerCase();
 
-        // Cobblestone acquisition: mine stone instead of searching cobblestone
-        if (target === 'cobblestone') {
-            let requested = 1;
-            const countMatch = commandString.match(/collectBlocks\(\s*["']cobblestone["']\s*,\s*(\d+)/i);
-            if (countMatch && !Number.isNaN(parseInt(countMatch[1]))) {
-                requested = parseInt(countMatch[1]);
-            }
-            return {
-                goal: 'Mine stone to obtain cobblestone',
-                command: `!collectBlocks("stone", ${requested})`,
-                advice: 'Cobblestone comes from mining stone; skip searching cobblestone blocks.'
-            };
-        }
-
-        // Default wood: prefer acacia_log when target is generic "log"/"wood"/"planks"
-        const genericWood = ['log', 'logs', 'wood', 'plank', 'planks', 'wooden_planks'];
-        if (genericWood.includes(target)) {
-            const replacement = 'acacia_log';
-            const defaultCollectCount = 4;
-            const cmd = cmdName === 'searchForBlock'
-                ? `!searchForBlock("${replacement}", 32)`
-                : `!collectBlocks("${replacement}", ${defaultCollectCount})`;
-            return {
-                goal: 'Default to collecting acacia logs',
-                command: cmd,
-                advice: 'Wood type not specified; default to acacia_log for collection/search.'
-            };
-        }
-
-        // If already有铁锭和木棍，避免重复去砍木头，直接提示制作铁斧
-        const hasIronAxeMats = countInInv('iron_ingot') >= 3 && countInInv('stick') >= 2;
-        const isWoodTask = target.includes('log') || target.includes('plank') || target.includes('wood');
-        if (isWoodTask && hasIronAxeMats) {
-            return {
-                goal: 'Materials ready, craft iron axe directly',
-                command: '!craftRecipe("iron_axe", 1)',
-                advice: 'You already have 3 iron ingots and enough sticks; craft the iron axe instead of chopping wood.'
-            };
-        }
-
         const block = bot.registry.blocksByName?.[target];
         if (!block || !block.harvestTools) return null;
 
@@ -433,33 +984,72 @@ export class ImplicitEnhancer {
                 const missing = requirements.filter(r => countInInv(r.name) < r.count);
                 if (missing.length === 0) {
                     return {
-                        goal: `Craft ${toolName} (required to mine ${target})`,
+                        goal: this.prompts.t('overrides.craft_tool_goal', { tool: toolName, block: target }),
                         command: `!craftRecipe("${toolName}", 1)`,
-                        advice: `You have the materials. Craft ${toolName} now before mining ${target}.`
+                        advice: this.prompts.t('overrides.craft_tool_advice', { tool: toolName, block: target }),
+                        prerequisite: true
                     };
                 } else {
                     const need = missing[0];
                     const needCount = Math.max(1, need.count - countInInv(need.name));
                     return {
-                        goal: `Gather materials to craft ${toolName} (needed for ${target})`,
+                        goal: this.prompts.t('overrides.gather_tool_goal', { tool: toolName, block: target }),
                         command: `!collectBlocks("${need.name}", ${needCount})`,
-                        advice: `Missing ${need.name} x${needCount} to craft ${toolName} for mining ${target}.`
+                        advice: this.prompts.t('overrides.gather_tool_advice', { item: need.name, count: needCount, tool: toolName, block: target }),
+                        prerequisite: true
                     };
                 }
             }
         }
 
-        return null;
+        return translated;
+    }
+
+    /**
+     * collect/search 命令的目标是中文俗称时，换成 MC 名称
+     */
+    translateColloquialTarget(commandString) {
+        const parsed = parseCommands(commandString)[0];
+        if (!parsed || parsed.error || !COLLECT_COMMANDS.includes(parsed.name)) return null;
+        const args = parsed.args.map(arg => arg.value);
+        if (typeof args[0] !== 'string') return null;
+
+        const mapped = this.itemNormalizer.colloquialMap[args[0].trim()];
+        if (!mapped) return null;
+        return {
+            goal: this.prompts.t('overrides.rename_goal', { name: args[0], item: mapped }),
+            command: formatCommand(parsed.name, [mapped, ...args.slice(1)]),
+            advice: this.prompts.t('overrides.rename_advice', { name: args[0], item: mapped })
+        };
+    }
+
+    /**
+     * collect/search 命令的目标是模糊名称（log、planks、ore）时，
+     * 换成已加载区块里最近、最多的具体变体，并在 advice 中说明选择理由
+     */
+    resolveEnvironmentVariant(commandString, bot) {
+        const parsed = parseCommands(commandString)[0];
+        if (!parsed || parsed.error || !COLLECT_COMMANDS.includes(parsed.name)) return null;
+        const args = parsed.args.map(arg => arg.value);
+        if (typeof args[0] !== 'string') return null;
+
+        const resolved = this.itemNormalizer.resolveVariant(args[0], bot);
+        if (!resolved?.item) return null;
+        return {
+            goal: this.prompts.t(parsed.name === '!searchForBlock' ? 'overrides.find_variant_goal' : 'overrides.collect_variant_goal', { item: resolved.item, generic: resolved.generic }),
+            command: formatCommand(parsed.name, [resolved.item, ...args.slice(1)]),
+            advice: resolved.reason
+        };
     }
 
     buildEnvironmentContext() {
         const bot = this.agent?.bot;
         if (!bot) return '';
 
-        let context = '\n## ENVIRONMENT CONTEXT\n';
+        let context = this.prompts.t('environment.header');
         const time = bot.time?.timeOfDay;
         if (time !== undefined) {
-            context += `Time: ${time} (${time < 13000 ? 'Day' : 'Night'})\n`;
+            context += this.prompts.t('environment.time', { time, period: this.prompts.t(time < 13000 ? 'environment.day' : 'environment.night') });
         }
 
         try {
@@ -467,7 +1057,7 @@ export class ImplicitEnhancer {
                 const biomeId = bot.world.getBiome(bot.entity.position);
                 const biomeName = mc.getAllBiomes()[biomeId]?.name;
                 if (biomeName) {
-                    context += `Biome: ${biomeName}\n`;
+                    context += this.prompts.t('environment.biome', { biome: biomeName });
                 }
             }
         } catch (err) {
@@ -478,91 +1068,121 @@ export class ImplicitEnhancer {
     }
 
     async improvePrompt(intent, info, systemPrompt, teamTasks = [], skipResult = null) {
-        let prompt = systemPrompt;
+        // 各段落按优先级放入 token 预算（数字越小越重要），任务控制和系统提示总是保留
+        const builder = new PromptBuilder({ budget: this.getPromptBudget() }, this.debug);
+        builder.add('system', systemPrompt, { required: true });
+        const t = (key, vars) => this.prompts.t(key, vars);
 
         // 新增：提取用户关键字
         const userKeywords = this.keywordExtractor.extract(intent?.input || '');
-        prompt += `\n\n## USER REQUEST ANALYSIS\n`;
-        prompt += `Input: "${intent?.input || ''}"\n`;
-        prompt += `Target: ${userKeywords.target || 'Unknown'}\n`;
-        prompt += `Material: ${userKeywords.material || 'Not specified'}\n`;
-        prompt += `Tool Type: ${userKeywords.tool || 'Not specified'}\n`;
+        let analysis = t('analysis.header', { input: intent?.input || '', target: userKeywords.target || t('common.unknown') });
+        if (userKeywords.count) {
+            analysis += t('analysis.count', { count: userKeywords.count });
+        }
+        if (userKeywords.candidates.length > 1) {
+            analysis += t('analysis.candidates', { candidates: userKeywords.candidates.slice(1).map(c => `${c.name} (${c.score})`).join(', ') });
+        }
+        analysis += t('analysis.keywords', {
+            material: userKeywords.material || t('common.unspecified'),
+            tool: userKeywords.tool || t('common.unspecified')
+        });
+        builder.add('user analysis', analysis, { priority: 2 });
 
         // 新增：提取并注入前置条件
         const preconditions = this.preconditionExtractor.extractPreconditions(info || []);
         if (preconditions.length > 0) {
-            const precText = this.preconditionExtractor.formatForPrompt(preconditions);
-            prompt += precText;
+            builder.add('preconditions', this.preconditionExtractor.formatForPrompt(preconditions, this.agent?.bot), { priority: 4 });
         }
 
         // 环境感知注入
-        const environmentContext = this.buildEnvironmentContext();
-        if (environmentContext) {
-            prompt += environmentContext;
-        }
+        builder.add('environment', this.buildEnvironmentContext(), { priority: 5 });
+
+        // 过去成功的经历
+        builder.add('episodes', this.buildEpisodeContext(intent), { priority: 7 });
 
         // 添加 Few-shot 示例（带用户关键字）
         if (info && info.length > 0) {
             const primaryExample = info[0];
 
-            // 构建示例部分
-            const examplesText = this.fewShotBuilder.buildExamplesSection(info, userKeywords);
-            prompt += examplesText;
+            // 构建示例部分（预算不足时只保留每个示例的命令序列）
+            builder.add('few-shot examples', this.fewShotBuilder.buildExamplesSection(info, userKeywords), {
+                priority: 6,
+                summary: this.fewShotBuilder.buildExamplesSummary(info)
+            });
 
             // 新增：关键字替换指导
-            const substitutionGuide = this.fewShotBuilder.buildKeywordSubstitutionGuide(userKeywords, primaryExample);
-            prompt += substitutionGuide;
+            builder.add('substitution guide', this.fewShotBuilder.buildKeywordSubstitutionGuide(userKeywords, primaryExample), { priority: 8 });
 
             // 泛化指导
-            const guideText = this.fewShotBuilder.buildGeneralizationGuide(info);
-            prompt += guideText;
+            builder.add('generalization guide', this.fewShotBuilder.buildGeneralizationGuide(info), { priority: 9 });
 
             // 生成变体示例
             const variants = this.fewShotBuilder.generateVariantsFromExample(primaryExample, 2);
             if (variants.length > 0) {
-                prompt += '\n## PATTERN VARIANTS\n\n';
-                prompt += '基于示例生成的相关变体（学习替换规律）：\n';
+                let variantText = t('variants.header');
                 for (const v of variants) {
-                    prompt += `- ${v.name}: ${v.description}\n`;
+                    variantText += t('variants.line', { name: v.name, description: v.description });
                 }
-                prompt += '\n';
+                variantText += '\n';
+                builder.add('variants', variantText, { priority: 10 });
             }
         }
 
-        // 激活任务（仅在 BUILD/CRAFT/GENERAL 时）
-        if (!this.activeMission.isActive && intent && ['BUILD', 'CRAFT', 'GENERAL'].includes(intent.type) && info && info.length > 0) {
-            const primaryExample = info.find(ex => Array.isArray(ex.plan) && ex.plan.length > 0);
+        // 激活任务（仅在分类体系中标记 mission / planner 的意图）
+        const intentConfig = intent ? this.intentClassifier.getIntentConfig(intent.type) : {};
+        if (!this.activeMission.isActive && intent && (intentConfig.mission || intentConfig.planner)) {
+            const goal = this.missionPlanner.resolveGoal(intent.input, userKeywords);
+            let primaryExample = intentConfig.mission
+                ? (info || []).find(ex => this.canStartMission(ex, intent.input, goal))
+                : null;
+            let planned = false;
+            // 没有匹配的示例时，根据配方树生成计划
+            if (!primaryExample) {
+                primaryExample = this.missionPlanner.planFromRequest(intent.input, userKeywords, this.agent?.bot);
+                planned = Boolean(primaryExample);
+            }
             if (primaryExample) {
+                // 示例计划改写为用户的目标（规划器生成的计划已是具体物品）
+                const adapted = planned
+                    ? { steps: primaryExample.plan, from: null, to: null }
+                    : this.substituteKeywords(primaryExample.plan, userKeywords);
+                const planName = primaryExample.name || primaryExample.slug || intent.type;
                 this.activeMission = {
                     isActive: true,
-                    planName: primaryExample.name || primaryExample.slug || intent.type,
-                    steps: primaryExample.plan.map(step => ({
+                    planName: adapted.from ? `${planName} (adapted to ${adapted.to})` : planName,
+                    adaptedFrom: adapted.from,
+                    steps: adapted.steps.map(step => ({
                         ...step,
                         action_cmd: step.action_cmd ? [...step.action_cmd] : [],
                         verify_cmd: step.verify_cmd ? [...step.verify_cmd] : []
                     })),
                     currentStep: 0,
                     failures: 0,
-                    // 新增：存储用户关键字，用于命令替换
-                    userKeywords: userKeywords
+                    stepStartedAt: Date.now(),
+                    lastOutcomeAt: 0,
+                    lastVerification: null,
+                    transitions: [],
+                    intent: { type: intent.type, subtype: intent.subtype, input: intent.input },
+                    startedAt: new Date().toISOString(),
+                    userKeywords: planned ? null : userKeywords
                 };
-                this.logDebug(`[ImplicitEnhancer] Started mission "${this.activeMission.planName}" with ${this.activeMission.steps.length} steps`);
+                const source = planned ? 'planned' : 'matched example';
+                this.logMissionTransition('start', `${source} "${primaryExample.slug || this.activeMission.planName}" for "${intent.input}"`);
+                this.saveMission();
+                this.beginMissionEpisode(intent);
                 this.logDebug(`[ImplicitEnhancer] User keywords:`, userKeywords);
             }
         }
 
-        // Mission control injection（带关键字替换提醒）
+        // Mission control injection
         if (this.activeMission.isActive) {
-            const { steps, currentStep, planName, userKeywords } = this.activeMission;
+            const { steps, currentStep, planName, failures, lastVerification } = this.activeMission;
             const safeIndex = Math.min(currentStep, Math.max(steps.length - 1, 0));
             const step = steps[safeIndex] || {};
-            const goal = step.goal || 'Follow the plan step carefully.';
+            const goal = step.goal || t('mission.default_goal');
 
             // 新增：动态替换命令中的关键字
-            let requiredCmd = (step.action_cmd && step.action_cmd.length > 0) ? step.action_cmd[0] : '!inventory';
-            if (userKeywords && userKeywords.target) {
-                requiredCmd = this.substituteKeywords(requiredCmd, userKeywords);
-            }
+            let requiredCmd = this.getStepCommand(step);
 
             let miningHint = '';
             const cmdMatch = requiredCmd.match(/!collectBlocks\(\s*["']([^"']+)["']/i);
@@ -578,23 +1198,30 @@ export class ImplicitEnhancer {
                 }
             }
 
-            prompt += `\n\n*** MISSION CONTROL ***\n`;
+            let prompt = t('mission.header');
 
             if (skipResult && skipResult.skipped && skipResult.skipReason) {
-                prompt += `⚠️ 步骤跳过: ${skipResult.skipReason}\n`;
-                prompt += `重要: 你已经有足够的物品，直接执行当前步骤，不要重复收集！\n\n`;
+                prompt += t('mission.skipped', { reason: skipResult.skipReason });
             }
 
-            prompt += `PLAN: ${planName || 'Mission'}\n`;
-            prompt += `STEP: ${Math.min(currentStep + 1, steps.length || 1)} / ${steps.length || 1}\n`;
-            prompt += `TASK: ${overrideGoal || goal}\n`;
-            prompt += `MANDATORY COMMAND: ${requiredCmd}\n`;
+            prompt += t('mission.status', {
+                plan: planName || t('mission.default_plan'),
+                step: Math.min(currentStep + 1, steps.length || 1),
+                total: steps.length || 1,
+                task: overrideGoal || goal,
+                command: requiredCmd
+            });
+            if (lastVerification && lastVerification.status !== 'passed') {
+                prompt += t('mission.last_check', { status: lastVerification.status, reason: lastVerification.reason });
+            }
+            prompt += this.preconditionExtractor.formatStatus(step.preconditions, this.agent?.bot);
+            if (failures > 0) {
+                prompt += t('mission.failures', { failures, max: this.missionPolicy.maxFailures });
+            }
 
-            // 新增：关键字替换提醒
-            if (userKeywords && userKeywords.target) {
-                prompt += `\n⚠️ KEYWORD SUBSTITUTION REQUIRED:\n`;
-                prompt += `- 在执行命令时，使用用户请求的值: ${userKeywords.target}\n`;
-                prompt += `- 不要使用示例中的具体值\n`;
+            // 计划已按用户目标改写，命令中的物品不需要再替换
+            if (this.activeMission.adaptedFrom) {
+                prompt += t('mission.adapted', { example: this.activeMission.adaptedFrom });
             }
 
             if (miningHint) {
@@ -604,115 +1231,51 @@ export class ImplicitEnhancer {
                 prompt += `${overrideAdvice}\n`;
             }
 
-            prompt += `GENERAL RULES:\n`;
-            prompt += `- 学习示例的 **步骤结构**，但替换 **关键字** (材料、工具)\n`;
-            prompt += `- 示例教你 "怎么做"，你根据用户请求决定 "做什么"\n`;
-            prompt += `- Follow the plan until all steps are done; after completing a step, go to the next one immediately.\n`;
-            prompt += `- Do NOT ask the user what to do next unless the plan is fully complete.\n`;
-            prompt += `- 执行命令前检查库存，如果物品足够直接跳过收集步骤。\n`;
-            prompt += `- Narrate briefly, then output the exact command.\n`;
-            prompt += `\nOUTPUT FORMAT:\nTHOUGHT: [Reasoning about the current state/plan]\nCOMMAND: !commandName("arg1", arg2)\n`;
-
-            if (teamTasks && teamTasks.length > 0) {
-                const teamText = teamTasks.map(t => {
-                    const teamIntent = t.intent?.type || 'unknown';
-                    return `Agent: ${t.agent} | Status: ${t.status} | Intent: ${teamIntent} | Task: ${t.summary || ''}`;
-                }).join('\n');
-                prompt += `\nTeam Context:\n${teamText}\n- Coordinate with teammates; avoid duplicating active tasks.\n- If overlap detected, choose a complementary or remaining task instead.`;
-            }
-            return prompt;
+            prompt += t('mission.rules');
+            prompt += t('common.output_format');
+
+            builder.add('mission control', prompt, { required: true });
+            builder.add('team context', this.buildTeamContext(teamTasks), { priority: 3 });
+            return builder.build().text;
         }
 
         // No active mission: minimal guidance and command reference
-        prompt += this.buildCommandReference();
-
-        if (teamTasks && teamTasks.length > 0) {
-            const teamText = teamTasks.map(t => {
-                const teamIntent = t.intent?.type || 'unknown';
-                return `Agent: ${t.agent} | Status: ${t.status} | Intent: ${teamIntent} | Task: ${t.summary || ''}`;
-            }).join('\n');
-            prompt += `\n\nTeam Context:\n${teamText}\n- Coordinate with teammates; avoid duplicating active tasks.\n- If overlap detected, choose a complementary or remaining task instead.`;
-        }
+        builder.add('command reference', this.buildCommandReference(), { priority: 1 });
+        builder.add('team context', this.buildTeamContext(teamTasks), { priority: 3 });
 
-        prompt += `\n\nABSTRACT RULES:\n- BEFORE any action, run !inventory to see current resources. If materials already exist, DO NOT collect more; move to crafting/next step.\n- Before smelting: if no furnace is placed nearby, place your furnace; if you have none, craft one; then smelt.\n- Before executing any action_cmd that mines a block, check whether you have the required tool. If missing, pause the plan and inject a tool-crafting subplan. Never try to mine with the wrong tool.\n- Follow the plan until all steps are done; after completing a step, go to the next one immediately. Do NOT ask the user what to do next unless the plan is fully complete.\n- Craft items instead of searching when they are not natural blocks.\n- Only use !searchForBlock for natural blocks you can find in the world.\n- ALWAYS specify tool material (e.g., stone_pickaxe, iron_pickaxe), never generic "pickaxe".\n- To obtain cobblestone: use a wooden_pickaxe to mine stone to get cobblestone.\n- Narrate briefly, then output the exact command.\n`;
-        prompt += `\nOUTPUT FORMAT:\nTHOUGHT: [Reasoning about the current state/plan]\nCOMMAND: !commandName("arg1", arg2)\n`;
-        prompt += `\nExample (Dynamic Subplan Injection):\nGoal: Collect Cobblestone\nInventory: no pickaxe\nThought: Cobblestone requires a pickaxe. I need to craft a wooden pickaxe first.\nCommands:\n!collectBlocks("log", 2)\n!craftRecipe("planks", 4)\n!craftRecipe("stick", 2)\n!craftRecipe("wooden_pickaxe", 1)\n`;
-        return prompt;
+        builder.add('abstract rules', t('rules.abstract') + t('common.output_format'), {
+            priority: 1,
+            summary: t('rules.abstract_summary') + t('common.output_format')
+        });
+        builder.add('subplan example', t('rules.subplan_example'), { priority: 8 });
+        return builder.build().text;
     }
 
     /**
-     * 新增：在命令中替换关键字
+     * 按用户目标改写示例计划（基于配方树，而不是字符串替换）
+     * 只有最终产物步骤换成用户目标，原料步骤按新目标的配方和数量重新生成
+     *
+     * @param {Array} steps - 示例的 plan
+     * @param {object} userKeywords - KeywordExtractor.extract 的结果
+     * @returns {object} { steps, from, to }，from 为 null 表示没有改写
      */
-    substituteKeywords(command, userKeywords) {
-        if (!userKeywords.target) return command;
-
-        // 替换常见模式
-        let result = command;
-
-        // !craftRecipe("stone_sword", 1) → !craftRecipe("iron_axe", 1)
-        result = result.replace(
-            /!craftRecipe\("([^"]+)"(?:,\s*\d+\s*)?\)/g,
-            () => {
-                return `!craftRecipe("${userKeywords.target}", 1)`;
-            }
-        );
-
-        // !collectBlocks("stone", 8) → !collectBlocks("iron_ore", 3)
-        if (userKeywords.material) {
-            result = result.replace(
-                /!collectBlocks\("([^"]+)"(?:,\s*\d+\s*)?\)/g,
-                (match, target) => {
-                    // 如果示例中的目标包含材料，替换为新材料
-                    const materials = ['wood', 'stone', 'iron', 'gold', 'diamond'];
-                    for (const mat of materials) {
-                        if (target.includes(mat)) {
-                            return `!collectBlocks("${userKeywords.material}_ore", 3)`;
-                        }
-                    }
-                    return match;
-                }
-            );
-        }
-
-        return result;
+    /**
+     * 示例能否作为任务计划：请求提到了示例的目标物品（slug 的最后一段），
+     * 或者请求相似度远高于噪声。只是排在第一位的示例不够，否则 "make a house" 会启动 "Craft a Wooden Hoe"
+     */
+    canStartMission(example, input, goal) {
+        if (!Array.isArray(example?.plan) || example.plan.length === 0) return false;
+        const target = (example.slug || '').split('/').pop();
+        if (target && (goal?.item === target || (input || '').toLowerCase().includes(target.replace(/_/g, ' ')))) return true;
+        return (example.requestScore ?? 0) >= this.missionMinScore;
     }
 
-    async saveRelevantInfo(intent, response) {
-        try {
-            const memoryPath = join(this.memoryDir, 'memory.json');
-            await fs.mkdir(dirname(memoryPath), { recursive: true });
-
-            let memoryData = { memory_bank: {} };
-            try {
-                const currentMemory = await fs.readFile(memoryPath, 'utf8');
-                memoryData = JSON.parse(currentMemory);
-            } catch {
-                // No existing memory, start fresh
-            }
-
-            if (!memoryData || typeof memoryData !== 'object') {
-                memoryData = { memory_bank: {} };
-            }
-            if (!memoryData.memory_bank || typeof memoryData.memory_bank !== 'object') {
-                memoryData.memory_bank = {};
-            }
-
-            const type = (intent?.type || 'general').toLowerCase();
-            const key = `last_${type}_action`;
-            memoryData.memory_bank[key] = {
-                intent: intent?.subtype || 'unknown',
-                result: (response || '').substring(0, 100) + '...',
-                timestamp: new Date().toISOString()
-            };
-
-            await fs.writeFile(memoryPath, JSON.stringify(memoryData, null, 2));
-        } catch (error) {
-            const details = error?.stack || error?.message || JSON.stringify(error);
-            console.error('[ImplicitEnhancer] Failed to save memory:', details);
-        }
+    substituteKeywords(steps, userKeywords) {
+        const goal = userKeywords?.target ? this.missionPlanner.resolveGoal(userKeywords.raw, userKeywords) : null;
+        if (!goal) return { steps, from: null, to: null };
+        return this.missionPlanner.adaptPlan(steps, goal.item, goal.count, { bot: this.agent?.bot });
     }
 
-
     normalizeCommandsInResponse(response) {
         if (!response || typeof response !== 'string') {
             return response;
@@ -728,9 +1291,10 @@ export class ImplicitEnhancer {
             if (key) actionMap.set(key, a);
         });
 
+        // args 为解析器输出的 { type, value, raw }，返回符合动作参数表的值
         const enforceActionSchema = (cmdName, args) => {
             const def = actionMap.get(cmdName.toLowerCase());
-            if (!def || !def.params) return args;
+            if (!def || !def.params) return args.map(arg => arg.value);
 
             const expected = Object.entries(def.params);
             const out = [];
@@ -738,46 +1302,33 @@ export class ImplicitEnhancer {
                 const [paramName, paramDef] = expected[i];
                 const type = (paramDef?.type || 'string').toLowerCase();
                 const lowerParam = paramName.toLowerCase();
-                let provided = args[i];
+                const provided = args[i];
 
                 const needsNumeric = type === 'int' || type === 'float';
                 const isRange = lowerParam.includes('range') || lowerParam.includes('dist');
-                const isPlayerLike = lowerParam.includes('player') || lowerParam.includes('mode');
-
-                if (provided === undefined) {
-                    if (needsNumeric) {
-                        provided = isRange ? '32' : '1';
-                    } else if (type === 'boolean') {
-                        provided = 'true';
-                    } else {
-                        provided = '""';
-                    }
+
+                if (needsNumeric) {
+                    const num = provided ? Number(provided.value) : NaN;
+                    out.push(provided && provided.type !== 'boolean' && String(provided.value).trim() !== '' && Number.isFinite(num)
+                        ? num
+                        : (isRange ? 32 : 1));
+                } else if (type === 'boolean') {
+                    out.push(provided ? !/false/i.test(String(provided.value)) : true);
                 } else {
-                    if (needsNumeric) {
-                        if (!/^[-+]?\d+(\.\d+)?$/.test(provided)) {
-                            provided = isRange ? '32' : '1';
-                        }
-                    } else if (type === 'boolean') {
-                        provided = /false/i.test(provided) ? 'false' : 'true';
-                    } else {
-                        let unquoted = provided.replace(/^['"]|['"]$/g, '');
-                        provided = `"${unquoted}"`;
-                    }
+                    out.push(provided ? String(provided.value) : '');
                 }
-
-                out.push(provided);
             }
             return out;
         };
 
-        const regex = /!([a-zA-Z0-9_]+)(?:[ (]*)([^)\n!.?]*)(?:[)]?)/g;
-        const normalized = response.replace(regex, (match, cmd, rawArgs) => {
-            const rawArgStr = rawArgs || '';
-            const tokens = rawArgStr.replace(/,/g, ' ').match(/"[^"]*"|'[^']*'|[^,\s]+/g) || [];
-            const preliminary = tokens.map(tok => tok.trim()).filter(Boolean);
-            const finalArgs = enforceActionSchema(cmd, preliminary);
-            return `!${cmd}(${finalArgs.join(', ')})`;
-        });
+        // 从后往前替换，保证前面命令的位置不变；解析失败的命令保持原样，由 executeCommand 反馈错误
+        let normalized = response;
+        const commands = parseCommands(response);
+        for (const command of [...commands].reverse()) {
+            if (command.error) continue;
+            const finalArgs = enforceActionSchema(command.name.slice(1), command.args);
+            normalized = normalized.slice(0, command.start) + formatCommand(command.name, finalArgs) + normalized.slice(command.end);
+        }
 
         if (normalized !== response) {
             this.logDebug(`[ImplicitEnhancer] Commands normalized:\nBefore: ${response.slice(0, 150)}...\nAfter:  ${normalized.slice(0, 150)}...`);
@@ -786,17 +1337,37 @@ export class ImplicitEnhancer {
         return normalized;
     }
 
+    /**
+     * 逐条检查回复中的所有命令：需要调整的命令被改写（或在其前插入前置命令），其余命令按原顺序保留
+     * 输出为 THOUGHT + 多行 COMMAND，由智能体按队列依次执行
+     */
     async applyTaskOverrides(response) {
         if (!response || typeof response !== 'string') return response;
-        const commandMatch = response.match(/![a-zA-Z0-9_]+\([^)]*\)/);
-        if (!commandMatch) return response;
+        const commands = parseCommands(response).filter(command => !command.error).map(command => command.text);
+        if (commands.length === 0) return response;
 
-        const override = this.analyzeTaskRequirements(commandMatch[0]);
-        if (!override) return response;
+        const queue = [];
+        const notes = [];
+        const enqueue = (cmd) => {
+            if (queue[queue.length - 1] !== cmd) queue.push(cmd);
+        };
+        for (const command of commands) {
+            const override = this.analyzeTaskRequirements(command);
+            if (!override) {
+                enqueue(command);
+                continue;
+            }
+            notes.push(override.advice || override.goal);
+            enqueue(override.command);
+            if (override.prerequisite) enqueue(command);
+            this.logDebug(`[ImplicitEnhancer] Override applied for command ${command} -> ${override.command}${override.prerequisite ? ` (then ${command})` : ''}`);
+        }
+        if (notes.length === 0) return response;
 
-        const thought = override.advice || override.goal || '调整动作以满足前置条件。';
-        const rewritten = `THOUGHT: ${thought}\nCOMMAND: ${override.command}`;
-        this.logDebug(`[ImplicitEnhancer] Override applied for command ${commandMatch[0]} -> ${override.command}`);
-        return rewritten;
+        const originalThought = response.match(/THOUGHT:\s*(.+)/i)?.[1]?.trim();
+        const thought = [...new Set(notes.filter(Boolean))].join(' ') || this.prompts.t('overrides.default_thought');
+        const lines = [`THOUGHT: ${originalThought ? `${thought} ${originalThought}` : thought}`];
+        queue.forEach(cmd => lines.push(`COMMAND: ${cmd}`));
+        return lines.join('\n');
     }
 }
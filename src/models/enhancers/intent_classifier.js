@@ -0,0 +1,293 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { cosineSimilarity } from '../../utils/math.js';
+
+const DEFAULT_TAXONOMY_PATH = join(process.cwd(), 'data', 'training', 'intents', 'taxonomy.json');
+const DEFAULT_UTTERANCES_PATH = join(process.cwd(), 'data', 'training', 'intents', 'labelled_utterances.json');
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'some', 'me', 'us', 'you', 'i', 'we', 'it', 'my', 'our', 'your',
+    'for', 'to', 'of', 'on', 'in', 'at', 'and', 'or', 'with', 'please', 'can', 'could', 'would'
+]);
+// 中文的代词、虚词和量词不单独作为词项，只出现在双字词里（"帮我砍树" → 砍、树、帮我、我砍、砍树）
+const CJK_STOP_CHARS = new Set([
+    '我', '你', '他', '们', '帮', '请', '给', '把', '的', '了', '吧', '呢', '啊', '吗', '一', '个', '些', '点', '只', '那', '这'
+]);
+
+/**
+ * 文本分词（英文按单词，中文按单字 + 双字，跳过 CJK_STOP_CHARS 中的单字）
+ *
+ * @param {string} text - 输入文本
+ * @returns {string[]} 词项列表
+ */
+export function tokenize(text) {
+    const lower = (text || '').toLowerCase();
+    const tokens = [];
+
+    for (const word of lower.match(/[a-z0-9_]+/g) || []) {
+        if (STOP_WORDS.has(word)) continue;
+        // 简单的复数还原：torches → torch, logs → log
+        if (word.length > 4 && word.endsWith('es') && /(ch|sh|x)es$/.test(word)) tokens.push(word.slice(0, -2));
+        else if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) tokens.push(word.slice(0, -1));
+        else tokens.push(word);
+    }
+
+    for (const run of lower.match(/[一-鿿]+/g) || []) {
+        for (let i = 0; i < run.length; i++) {
+            if (!CJK_STOP_CHARS.has(run[i])) tokens.push(run[i]);
+            if (i + 1 < run.length) tokens.push(run.slice(i, i + 2));
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * 本地 TF-IDF 最近邻后端
+ */
+class TfidfIntentBackend {
+    constructor(classifier) {
+        this.k = classifier.k;
+        this.utterances = classifier.utterances;
+
+        const docFreq = new Map();
+        const docs = this.utterances.map(u => tokenize(u.text));
+        for (const tokens of docs) {
+            for (const token of new Set(tokens)) {
+                docFreq.set(token, (docFreq.get(token) || 0) + 1);
+            }
+        }
+        this.idf = new Map();
+        for (const [token, df] of docFreq) {
+            this.idf.set(token, Math.log((1 + docs.length) / (1 + df)) + 1);
+        }
+        this.vectors = docs.map(tokens => this.vectorize(tokens));
+    }
+
+    vectorize(tokens) {
+        const vec = new Map();
+        for (const token of tokens) {
+            const idf = this.idf.get(token);
+            if (idf === undefined) continue;
+            vec.set(token, (vec.get(token) || 0) + idf);
+        }
+        return vec;
+    }
+
+    similarity(a, b) {
+        let dot = 0, normA = 0, normB = 0;
+        for (const [token, w] of a) {
+            normA += w * w;
+            const other = b.get(token);
+            if (other) dot += w * other;
+        }
+        for (const w of b.values()) normB += w * w;
+        if (normA === 0 || normB === 0) return 0;
+        return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
+
+    classify(input) {
+        const query = this.vectorize(tokenize(input));
+        const scored = this.vectors.map((vec, i) => ({
+            intent: this.utterances[i].intent,
+            score: this.similarity(query, vec)
+        }));
+        return voteNeighbours(scored, this.k);
+    }
+}
+
+/**
+ * 嵌入向量最近邻后端，复用 Prompter.embedding_model
+ */
+class EmbeddingIntentBackend {
+    constructor(classifier) {
+        this.k = classifier.k;
+        this.utterances = classifier.utterances;
+        this.model = classifier.getEmbeddingModel();
+        this.embeddings = null;
+        if (!this.model) {
+            throw new Error('embedding intent backend requires an embedding model');
+        }
+    }
+
+    async classify(input) {
+        if (!this.embeddings) {
+            this.embeddings = await Promise.all(this.utterances.map(u => this.model.embed(u.text)));
+        }
+        const query = await this.model.embed(input);
+        const scored = this.embeddings.map((vec, i) => ({
+            intent: this.utterances[i].intent,
+            score: cosineSimilarity(query, vec)
+        }));
+        return voteNeighbours(scored, this.k);
+    }
+}
+
+/**
+ * LLM 后端：使用增强器配置的模型直接分类
+ */
+class LlmIntentBackend {
+    constructor(classifier) {
+        this.model = classifier.model;
+        this.taxonomy = classifier.taxonomy;
+        if (!this.model || typeof this.model.sendRequest !== 'function') {
+            throw new Error('llm intent backend requires a model with sendRequest');
+        }
+    }
+
+    buildPrompt() {
+        const lines = Object.entries(this.taxonomy.intents)
+            .map(([name, def]) => `- ${name}: ${def.description || ''}`);
+        return 'You classify Minecraft player requests into exactly one intent.\n' +
+            `Intents:\n${lines.join('\n')}\n` +
+            'Return only JSON: {"intent": "<INTENT>", "confidence": <number between 0 and 1>}';
+    }
+
+    async classify(input) {
+        const raw = await this.model.sendRequest([{ role: 'user', content: input }], this.buildPrompt());
+        const json = (raw || '').match(/\{[\s\S]*\}/)?.[0];
+        if (!json) throw new Error(`unparseable intent response: ${raw}`);
+        const parsed = JSON.parse(json);
+        const intent = String(parsed.intent || '').toUpperCase();
+        const confidence = Number(parsed.confidence);
+        return {
+            intent,
+            confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0
+        };
+    }
+}
+
+/**
+ * 最近邻投票：按相似度加权，置信度 = 票数占比 × 最近样本相似度
+ */
+function voteNeighbours(scored, k) {
+    const neighbours = scored.filter(s => s.score > 0).sort((a, b) => b.score - a.score).slice(0, k);
+    if (neighbours.length === 0) return { intent: null, confidence: 0 };
+
+    const votes = {};
+    const best = {};
+    let total = 0;
+    for (const n of neighbours) {
+        votes[n.intent] = (votes[n.intent] || 0) + n.score;
+        best[n.intent] = Math.max(best[n.intent] || 0, n.score);
+        total += n.score;
+    }
+    const [intent, vote] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+    return { intent, confidence: (vote / total) * best[intent] };
+}
+
+/**
+ * 意图分类器
+ * 替代关键字匹配，支持可插拔的分类后端
+ *
+ * 主要功能：
+ * 1. 从配置加载意图分类体系（BUILD, CRAFT, COLLECT, ...）
+ * 2. 本地 TF-IDF / 嵌入向量最近邻分类（训练数据位于 data/training/intents）
+ * 3. LLM 分类（使用增强器配置的模型）
+ * 4. 置信度低于阈值时回退到默认意图（GENERAL）
+ */
+export class IntentClassifier {
+    /**
+     * 注册自定义分类后端
+     *
+     * @param {string} name - 后端名称（在配置 intent.backend 中使用）
+     * @param {Function} BackendClass - 构造函数接收 classifier，实例需实现 classify(input)
+     */
+    static registerBackend(name, BackendClass) {
+        IntentClassifier.backends[name] = BackendClass;
+    }
+
+    /**
+     * @param {object} config - { backend, fallback_backend, threshold, k, taxonomy, taxonomy_path, utterances_path }
+     * @param {object} options - { model, getEmbeddingModel, debug }
+     */
+    constructor(config = {}, options = {}) {
+        this.debug = Boolean(options.debug);
+        this.model = options.model || null;
+        this.getEmbeddingModel = options.getEmbeddingModel || (() => null);
+
+        this.backendName = config.backend || 'tfidf';
+        this.fallbackBackendName = config.fallback_backend || 'tfidf';
+        this.threshold = config.threshold ?? 0.25;
+        this.k = config.k || 5;
+
+        this.taxonomy = config.taxonomy || IntentClassifier.loadJson(config.taxonomy_path || DEFAULT_TAXONOMY_PATH, { intents: {} });
+        this.defaultIntent = this.taxonomy.default || 'GENERAL';
+        this.utterances = IntentClassifier.loadJson(config.utterances_path || DEFAULT_UTTERANCES_PATH, [])
+            .filter(u => u && u.text && this.taxonomy.intents?.[u.intent]);
+
+        this._backends = {};
+    }
+
+    static loadJson(filePath, fallback) {
+        try {
+            return JSON.parse(readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            console.warn(`[IntentClassifier] Failed to load ${filePath}:`, err.message);
+            return fallback;
+        }
+    }
+
+    getIntentNames() {
+        return Object.keys(this.taxonomy.intents || {});
+    }
+
+    getIntentConfig(type) {
+        return this.taxonomy.intents?.[type] || this.taxonomy.intents?.[this.defaultIntent] || {};
+    }
+
+    getBackend(name) {
+        if (!this._backends[name]) {
+            const BackendClass = IntentClassifier.backends[name];
+            if (!BackendClass) throw new Error(`Unknown intent backend: ${name}`);
+            this._backends[name] = new BackendClass(this);
+        }
+        return this._backends[name];
+    }
+
+    /**
+     * 分类用户输入
+     *
+     * @param {string} input - 用户输入
+     * @returns {Promise<object>} { type, subtype, confidence, backend }
+     */
+    async classify(input) {
+        let result = null;
+        let backendUsed = this.backendName;
+        try {
+            result = await this.getBackend(this.backendName).classify(input);
+        } catch (err) {
+            this.logDebug(`[IntentClassifier] backend "${this.backendName}" failed, using "${this.fallbackBackendName}":`, err.message);
+            backendUsed = this.fallbackBackendName;
+            result = await this.getBackend(this.fallbackBackendName).classify(input);
+        }
+
+        let type = result?.intent;
+        const confidence = result?.confidence || 0;
+        if (!type || !this.taxonomy.intents?.[type] || confidence < this.threshold) {
+            this.logDebug(`[IntentClassifier] "${input}" → ${type || 'none'} (${confidence.toFixed(2)}) below threshold ${this.threshold}, fallback to ${this.defaultIntent}`);
+            type = this.defaultIntent;
+        }
+
+        const classified = {
+            type,
+            subtype: this.getIntentConfig(type).subtype || 'unknown',
+            confidence,
+            backend: backendUsed
+        };
+        this.logDebug('[IntentClassifier]', input, classified);
+        return classified;
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+}
+
+IntentClassifier.backends = {
+    tfidf: TfidfIntentBackend,
+    embedding: EmbeddingIntentBackend,
+    llm: LlmIntentBackend
+};
@@ -3,9 +3,9 @@
  * 针对弱模型（如千问8b）的物品名称模糊问题进行修正
  *
  * 主要功能：
- * 1. 日常用语映射（如 "木头" → "oak_log"）
+ * 1. 日常用语映射（如 "木头" → "log"）
  * 2. 模糊物品规范（如 "log" → "oak_log"）
- * 3. 环境感知选择（优先使用附近的资源）
+ * 3. 环境感知选择（按已加载区块中变体的距离和数量选择，平分时优先有工具可挖的）
  */
 export class ItemNormalizer {
     constructor(debug = false) {
@@ -14,34 +14,73 @@ export class ItemNormalizer {
         // 日常用语 → MC 术语映射
         this.colloquialMap = {
             '木头': 'log',
-            '原木': 'oak_log',
+            '原木': 'log',
+            '木材': 'log',
+            '树': 'log',
             '木板': 'planks',
             '石头': 'cobblestone',
+            '矿': 'ore',
+            '矿石': 'ore',
             '煤炭': 'coal',
             '煤块': 'coal_block',
+            '煤矿': 'coal_ore',
             '铁矿': 'iron_ore',
+            '铜矿': 'copper_ore',
             '金矿': 'gold_ore',
+            '红石矿': 'redstone_ore',
+            '青金石矿': 'lapis_ore',
             '钻石矿': 'diamond_ore',
+            '绿宝石矿': 'emerald_ore',
+            '铁锭': 'iron_ingot',
+            '金锭': 'gold_ingot',
+            '钻石': 'diamond',
             '木棍': 'stick',
             '棍子': 'stick',
+            '火把': 'torch',
             '工作台': 'crafting_table',
             '熔炉': 'furnace',
-            '箱子': 'chest'
+            '高炉': 'blast_furnace',
+            '烟熏炉': 'smoker',
+            '箱子': 'chest',
+            '桶': 'bucket',
+            '铁桶': 'bucket',
+            '面包': 'bread',
+            '金苹果': 'golden_apple'
         };
 
+        const logs = ['oak_log', 'birch_log', 'spruce_log', 'acacia_log', 'dark_oak_log', 'jungle_log', 'cherry_log', 'mangrove_log'];
+        const planks = ['oak_planks', 'birch_planks', 'spruce_planks', 'acacia_planks', 'dark_oak_planks', 'jungle_planks', 'cherry_planks', 'mangrove_planks'];
+        const ores = ['coal_ore', 'iron_ore', 'copper_ore', 'gold_ore', 'redstone_ore', 'lapis_ore', 'diamond_ore', 'emerald_ore'];
+
         // 模糊物品名 → 具体物品映射列表
         this.genericToSpecific = {
-            'log': ['oak_log', 'birch_log', 'spruce_log', 'acacia_log', 'dark_oak_log', 'jungle_log'],
-            'plank': ['oak_plank', 'birch_plank', 'spruce_plank', 'acacia_plank', 'dark_oak_plank', 'jungle_plank'],
-            'ore': ['iron_ore', 'coal_ore', 'gold_ore', 'diamond_ore', 'copper_ore'],
-            'wood': ['oak_log', 'birch_log', 'spruce_log']
+            'log': logs,
+            'logs': logs,
+            'wood': logs,
+            'plank': planks,
+            'planks': planks,
+            'wooden_planks': planks,
+            'ore': ores,
+            'ores': ores
+        };
+
+        // 野外找不到的类别 → 采集来源类别（木板要从原木得到）
+        this.harvestSources = {
+            'plank': 'log',
+            'planks': 'log',
+            'wooden_planks': 'log'
         };
 
         // 物品类别 → 默认选择
         this.defaultChoices = {
             'log': 'oak_log',
-            'plank': 'oak_plank',
+            'logs': 'oak_log',
+            'plank': 'oak_planks',
+            'planks': 'oak_planks',
+            'wooden_planks': 'oak_planks',
             'wood': 'oak_log',
+            'ore': 'coal_ore',
+            'ores': 'coal_ore',
             'stone': 'cobblestone',
             'coal': 'coal'
         };
@@ -101,7 +140,7 @@ export class ItemNormalizer {
 
     /**
      * 智能选择最佳物品变体
-     * 优先选择附近可用的物品
+     * 优先选择附近可用的物品，附近没有时使用默认值
      *
      * @param {string} itemName - 输入的物品名称
      * @param {object} bot - Mineflayer bot 实例
@@ -109,65 +148,147 @@ export class ItemNormalizer {
      * @returns {string} 最佳物品变体
      */
     selectBestVariant(itemName, bot, options = {}) {
-        const { searchRange = 32 } = options;
-
-        // 先规范化
-        const normalized = this.normalize(itemName, bot);
-
-        // 检查是否有多个变体
-        const variants = this.genericToSpecific[normalized] || [];
-        if (variants.length === 0) {
-            return normalized; // 没有变体，直接返回
+        const resolved = this.resolveVariant(itemName, bot, options);
+        if (!resolved) {
+            return this.normalize(itemName, bot); // 没有变体，直接返回
         }
 
-        // 检查附近有哪些变体可用
-        const nearby = this.scanNearbyBlocks(bot, variants, searchRange);
-
-        if (nearby.length > 0) {
-            // 返回最近的变体
-            const best = nearby[0].type;
-            this.logDebug(`[ItemNormalizer] 附近有 ${nearby.length} 个变体，选择: "${best}" (距离: ${nearby[0].distance.toFixed(1)})`);
-            return best;
+        if (resolved.item) {
+            this.logDebug(`[ItemNormalizer] ${resolved.reason}`);
+            return resolved.item;
         }
 
         // 没有找到附近的，返回默认值
-        const defaultItem = this.defaultChoices[normalized] || variants[0];
+        const defaultItem = this.defaultChoices[resolved.generic] || this.genericToSpecific[resolved.generic][0];
         this.logDebug(`[ItemNormalizer] 附近没有找到，使用默认: "${defaultItem}"`);
         return defaultItem;
     }
 
     /**
-     * 扫描附近的方块
+     * 日常用语或模糊名称 → genericToSpecific 中的类别；不是模糊名称时返回 null
+     */
+    toGeneric(itemName) {
+        if (typeof itemName !== 'string') return null;
+        const lower = itemName.toLowerCase().trim();
+        const mapped = this.colloquialMap[lower] || lower;
+        return this.genericToSpecific[mapped] ? mapped : null;
+    }
+
+    /**
+     * 按周围环境解析模糊名称（"log"、"ore"、"木头" 等）
+     * 只统计已加载区块内的方块：每个变体的数量和最近距离，
+     * 得分 = 数量 / (1 + 最近距离 / 8)。与最高分相差 10% 以内视为平分，
+     * 平分时优先选择背包里已有采集工具的变体
+     *
+     * @param {string} itemName - 输入的物品名称
+     * @param {object} bot - Mineflayer bot 实例
+     * @param {object} options - 选项 { searchRange: 32, maxBlocks: 256 }
+     * @returns {object|null} { generic, item, reason, candidates }；不是模糊名称时返回 null，附近没有任何变体时 item 为 null
+     */
+    resolveVariant(itemName, bot, options = {}) {
+        const { searchRange = 32, maxBlocks = 256 } = options;
+        const generic = this.toGeneric(itemName);
+        if (!generic) return null;
+
+        const source = this.harvestSources[generic] || generic;
+        const candidates = this.scanNearbyBlocks(bot, this.genericToSpecific[source], searchRange, maxBlocks)
+            .map(entry => ({
+                ...entry,
+                hasTool: this.hasHarvestTool(bot, entry.type),
+                score: entry.count / (1 + entry.distance / 8)
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        if (candidates.length === 0) {
+            return {
+                generic,
+                item: null,
+                candidates,
+                reason: `No ${source} variant found within ${searchRange} blocks.`
+            };
+        }
+
+        const top = candidates[0];
+        const tied = candidates.filter(c => c.score >= top.score * 0.9);
+        const best = tied.find(c => c.hasTool) || top;
+
+        const describe = c => `${c.type} x${c.count} (nearest ${c.distance.toFixed(1)}m)`;
+        let reason = `Chose ${best.type} for "${itemName}": ${describe(best)} within ${searchRange} blocks`;
+        const others = candidates.filter(c => c !== best).slice(0, 2);
+        if (others.length > 0) {
+            reason += `, vs ${others.map(describe).join(', ')}`;
+        }
+        if (best !== top) {
+            reason += `; as close a match as ${top.type}, and you already have a tool that can mine it`;
+        }
+        if (source !== generic) {
+            reason += `; ${generic} are crafted from ${source}`;
+        }
+        reason += '.';
+
+        this.logDebug(`[ItemNormalizer] ${reason}`);
+        return { generic, item: best.type, reason, candidates };
+    }
+
+    /**
+     * 背包里是否有能采集该方块的工具（不需要工具的方块视为有）
+     */
+    hasHarvestTool(bot, blockType) {
+        const harvestTools = bot?.registry?.blocksByName?.[blockType]?.harvestTools;
+        if (!harvestTools) return true;
+        const items = bot.inventory?.items?.() || [];
+        return items.some(item => harvestTools[item.type]);
+    }
+
+    /**
+     * 扫描附近（已加载区块内）的方块
+     * 深层矿石计入对应的普通矿石，collectBlocks 会一起采集
      *
      * @param {object} bot - Mineflayer bot 实例
      * @param {string[]} blockTypes - 要搜索的方块类型列表
      * @param {number} range - 搜索范围
-     * @returns {Array} 附近的方块列表，按距离排序
+     * @param {number} maxBlocks - 最多统计的方块数
+     * @returns {Array} 每种方块 { type, distance, count, block }，按最近距离排序
      */
-    scanNearbyBlocks(bot, blockTypes, range = 32) {
-        const nearby = [];
-
-        if (!bot?.findBlock) return nearby;
+    scanNearbyBlocks(bot, blockTypes, range = 32, maxBlocks = 256) {
+        const blocksByName = bot?.registry?.blocksByName;
+        if (!bot?.findBlocks || !bot.entity || !blocksByName) return [];
 
+        const typeById = new Map();
         for (const blockType of blockTypes) {
-            try {
-                const block = bot.findBlock({
-                    maxDistance: range,
-                    matching: (b) => b?.name === blockType
-                });
+            for (const name of [blockType, `deepslate_${blockType}`]) {
+                if (blocksByName[name]) typeById.set(blocksByName[name].id, blockType);
+            }
+        }
+        if (typeById.size === 0) return [];
+
+        let positions = [];
+        try {
+            positions = bot.findBlocks({ matching: [...typeById.keys()], maxDistance: range, count: maxBlocks });
+        } catch (err) {
+            this.logDebug('[ItemNormalizer] findBlocks failed', err);
+        }
 
-                if (block) {
-                    const dist = bot.entity.position.distanceTo(block.position);
-                    nearby.push({ type: blockType, distance: dist, block });
+        const byType = new Map();
+        for (const position of positions) {
+            const block = bot.blockAt(position);
+            const type = block && typeById.get(block.type);
+            if (!type) continue;
+            const distance = bot.entity.position.distanceTo(position);
+            const entry = byType.get(type);
+            if (!entry) {
+                byType.set(type, { type, distance, count: 1, block });
+            } else {
+                entry.count++;
+                if (distance < entry.distance) {
+                    entry.distance = distance;
+                    entry.block = block;
                 }
-            } catch (err) {
-                // 忽略查找错误
             }
         }
 
         // 按距离排序
-        nearby.sort((a, b) => a.distance - b.distance);
-        return nearby;
+        return [...byType.values()].sort((a, b) => a.distance - b.distance);
     }
 
     /**
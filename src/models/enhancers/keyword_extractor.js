@@ -1,16 +1,92 @@
+import * as mc from '../../utils/mcdata.js';
+
+// 中文材料 + 工具/盔甲 组合（"铁镐" → iron_pickaxe）
+const CN_MATERIALS = {
+    '木': 'wooden',
+    '石': 'stone',
+    '铁': 'iron',
+    '金': 'golden',
+    '钻石': 'diamond',
+    '下界合金': 'netherite',
+    '皮革': 'leather',
+    '锁链': 'chainmail'
+};
+const CN_EQUIPMENT = {
+    '镐': 'pickaxe',
+    '稿子': 'pickaxe',
+    '斧': 'axe',
+    '斧头': 'axe',
+    '剑': 'sword',
+    '锹': 'shovel',
+    '铲': 'shovel',
+    '铲子': 'shovel',
+    '锄': 'hoe',
+    '锄头': 'hoe',
+    '头盔': 'helmet',
+    '胸甲': 'chestplate',
+    '护腿': 'leggings',
+    '靴子': 'boots'
+};
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+    nine: 9, ten: 10, eleven: 11, twelve: 12, sixteen: 16, twenty: 20, 'thirty-two': 32, 'sixty-four': 64
+};
+const CN_DIGITS = { '一': 1, '二': 2, '两': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+
+// 单独出现时不当作物品的词
+const IGNORED_PHRASES = new Set(['air', 'light', 'cave air', 'void air']);
+
+const CJK = /[一-鿿]/;
+
+/**
+ * 中文数字（一、十六、二十、一百）→ 数值
+ */
+function parseChineseNumber(text) {
+    if (/^\d+$/.test(text)) return Number(text);
+    let total = 0;
+    let current = 0;
+    for (const ch of text) {
+        if (ch in CN_DIGITS) {
+            current = CN_DIGITS[ch];
+        } else if (ch === '十') {
+            total += (current || 1) * 10;
+            current = 0;
+        } else if (ch === '百') {
+            total += (current || 1) * 100;
+            current = 0;
+        }
+    }
+    return total + current || null;
+}
+
+function pluralize(phrase) {
+    if (/(s|x|ch|sh)$/.test(phrase)) return `${phrase}es`;
+    if (/[^aeiou]y$/.test(phrase)) return `${phrase.slice(0, -1)}ies`;
+    return `${phrase}s`;
+}
+
 /**
  * 关键字提取器
- * 从用户输入中提取：材料、工具、动作、数量
+ * 从用户输入中提取：目标物品、数量、材料、工具、动作
  *
  * 主要功能：
- * 1. 从用户输入中提取材料 (wood, stone, iron, etc.)
- * 2. 从用户输入中提取工具类型 (axe, pickaxe, sword, etc.)
- * 3. 从用户输入中提取动作 (craft, collect, smelt, etc.)
- * 4. 构建组合目标 (iron_axe, diamond_pickaxe, etc.)
+ * 1. 用当前版本 minecraft-data 的全部物品/方块名匹配输入中的短语（注册名、显示名、复数形式）
+ * 2. 匹配 ItemNormalizer 维护的中文俗称，以及中文材料 + 工具组合（如 "铁镐"）
+ * 3. 提取数量（"get 16 torches"、"torch x16"、"十六个火把"）
+ * 4. 返回带分数的候选目标，最长、最精确的匹配排在最前
+ * 5. 兼容旧字段：材料 (wood, stone, iron, etc.)、工具类型 (axe, pickaxe, etc.)、动作 (craft, collect, smelt)
  */
 export class KeywordExtractor {
-    constructor(debug = false) {
+    /**
+     * @param {object} options - { colloquialMap, maxCandidates }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
         this.debug = debug;
+        this.colloquialMap = options.colloquialMap || {};
+        this.maxCandidates = options.maxCandidates ?? 5;
+        this.phraseIndex = null;
 
         // 材料类型
         this.materials = [
@@ -27,26 +103,144 @@ export class KeywordExtractor {
 
         // 动作类型
         this.actions = {
-            craft: ['craft', 'make', 'build', 'create', 'crafting'],
-            collect: ['collect', 'gather', 'mine', 'chop', 'harvest'],
-            smelt: ['smelt', 'melt', 'cook', 'furnace']
+            craft: ['craft', 'make', 'build', 'create', 'crafting', '制作', '合成', '做', '造'],
+            collect: ['collect', 'gather', 'mine', 'chop', 'harvest', '收集', '采集', '挖', '砍'],
+            smelt: ['smelt', 'melt', 'cook', 'furnace', '熔炼', '冶炼', '烧']
         };
     }
 
+    /**
+     * 短语 → { name, source, weight }，首次使用时根据注册表构建
+     * 物品优先于同名方块；注册名优先于显示名和复数形式
+     */
+    getPhraseIndex() {
+        if (this.phraseIndex) return this.phraseIndex;
+
+        const index = new Map();
+        const add = (phrase, name, source, weight) => {
+            const key = phrase.toLowerCase().trim();
+            if (key && !IGNORED_PHRASES.has(key) && !index.has(key)) {
+                index.set(key, { name, source, weight });
+            }
+        };
+
+        let entries = [];
+        try {
+            entries = [...mc.getAllItems(), ...mc.getAllBlocks()];
+        } catch (err) {
+            this.logDebug('[KeywordExtractor] registry unavailable', err);
+        }
+        const known = new Set(entries.map(entry => entry.name));
+
+        for (const entry of entries) {
+            add(entry.name.replace(/_/g, ' '), entry.name, 'name', 1);
+        }
+        for (const entry of entries) {
+            if (entry.displayName) add(entry.displayName, entry.name, 'display', 0.95);
+        }
+        for (const entry of entries) {
+            add(pluralize(entry.name.replace(/_/g, ' ')), entry.name, 'plural', 0.9);
+            if (entry.displayName) add(pluralize(entry.displayName), entry.name, 'plural', 0.9);
+        }
+
+        for (const [phrase, name] of Object.entries(this.colloquialMap)) {
+            add(phrase, name, 'colloquial', 1);
+        }
+        for (const [cnMaterial, material] of Object.entries(CN_MATERIALS)) {
+            for (const [cnEquipment, equipment] of Object.entries(CN_EQUIPMENT)) {
+                const name = `${material}_${equipment}`;
+                if (known.size === 0 || known.has(name)) add(cnMaterial + cnEquipment, name, 'colloquial', 1);
+            }
+        }
+
+        this.phraseIndex = index;
+        this.logDebug(`[KeywordExtractor] indexed ${index.size} phrases`);
+        return index;
+    }
+
+    /**
+     * 在输入中查找所有物品短语
+     *
+     * @returns {Array} [{ name, phrase, source, start, end, score }]
+     */
+    findMatches(text) {
+        const index = this.getPhraseIndex();
+        const matches = [];
+
+        // 英文：按词切分，匹配 1~4 个词的短语
+        const tokens = [...text.matchAll(/[a-z0-9']+(?:-[a-z0-9]+)*/g)];
+        for (let n = 4; n >= 1; n--) {
+            for (let i = 0; i + n <= tokens.length; i++) {
+                const phrase = tokens.slice(i, i + n).map(t => t[0]).join(' ');
+                const entry = index.get(phrase);
+                if (!entry) continue;
+                const start = tokens[i].index;
+                const end = tokens[i + n - 1].index + tokens[i + n - 1][0].length;
+                matches.push({ ...entry, phrase, start, end, score: Math.min(1, 0.4 + 0.2 * n) * entry.weight });
+            }
+        }
+
+        // 中文：子串匹配，约两个字算一个词
+        if (CJK.test(text)) {
+            for (const [phrase, entry] of index) {
+                if (!CJK.test(phrase)) continue;
+                let start = text.indexOf(phrase);
+                while (start !== -1) {
+                    const n = Math.ceil(phrase.length / 2);
+                    matches.push({ ...entry, phrase, start, end: start + phrase.length, score: Math.min(1, 0.4 + 0.2 * n) * entry.weight });
+                    start = text.indexOf(phrase, start + 1);
+                }
+            }
+        }
+
+        // 被更长的匹配覆盖的短语（"blast furnace" 中的 "furnace"）降低分数
+        for (const match of matches) {
+            const covered = matches.some(other => other !== match
+                && other.start <= match.start && other.end >= match.end
+                && (other.end - other.start) > (match.end - match.start));
+            if (covered) match.score *= 0.5;
+        }
+        return matches;
+    }
+
+    /**
+     * 目标短语附近的数量："16 torches"、"torch x16"、"十六个火把"、"一把铁镐"
+     */
+    findCount(text, match) {
+        const before = text.slice(0, match.start);
+        const after = text.slice(match.end);
+
+        const english = before.match(/\b(\d+|[a-z]+(?:-[a-z]+)?)\s*x?\s+(?:(?:more|of|the|extra)\s+)*$/);
+        if (english) {
+            if (/^\d+$/.test(english[1])) return Number(english[1]);
+            if (english[1] in NUMBER_WORDS) return NUMBER_WORDS[english[1]];
+        }
+        const suffix = after.match(/^\s*[x×*]\s*(\d+)/);
+        if (suffix) return Number(suffix[1]);
+        const chinese = before.match(/(\d+|[一二两三四五六七八九十百]+)\s*[个把块根只组张桶瓶份]?\s*$/);
+        if (chinese) return parseChineseNumber(chinese[1]);
+
+        const any = text.match(/\b(\d+)\b/);
+        return any ? Number(any[1]) : null;
+    }
+
     /**
      * 从用户输入中提取关键字
      *
      * @param {string} userInput - 用户输入
-     * @returns {object} { material, tool, action, target, raw }
+     * @returns {object} { material, tool, action, target, count, candidates, raw }
+     * candidates 为 [{ name, score, phrase, source }]，按分数从高到低排列
      */
     extract(userInput) {
-        const lower = userInput.toLowerCase();
+        const lower = (userInput || '').toLowerCase();
 
         const result = {
             material: null,
             tool: null,
             action: null,
-            target: null,  // 组合目标，如 "iron_axe"
+            target: null,  // 目标物品，如 "iron_axe"
+            count: null,
+            candidates: [],
             raw: userInput
         };
 
@@ -58,6 +252,25 @@ export class KeywordExtractor {
             }
         }
 
+        // 注册表匹配：同一物品只保留最高分
+        const best = new Map();
+        for (const match of this.findMatches(lower)) {
+            const current = best.get(match.name);
+            if (!current || match.score > current.score) best.set(match.name, match);
+        }
+        const ranked = [...best.values()].sort((a, b) => (b.score - a.score) || (a.start - b.start));
+        result.candidates = ranked.slice(0, this.maxCandidates).map(({ name, score, phrase, source }) => ({
+            name,
+            score: Math.round(score * 100) / 100,
+            phrase,
+            source
+        }));
+
+        if (ranked.length > 0) {
+            result.target = ranked[0].name;
+            result.count = this.findCount(lower, ranked[0]);
+        }
+
         // 提取材料（按优先级顺序：稀有材料优先）
         for (const material of ['netherite', 'diamond', 'gold', 'iron', 'stone', 'wood']) {
             if (lower.includes(material)) {
@@ -74,13 +287,26 @@ export class KeywordExtractor {
             }
         }
 
-        // 构建目标
-        if (result.material && result.tool) {
-            result.target = `${result.material}_${result.tool}`;
-        } else if (result.tool) {
-            result.target = result.tool;
-        } else if (result.material) {
-            result.target = result.material;
+        // 目标是 "材料_工具" 时以目标为准（覆盖中文输入）
+        const equipment = result.target?.match(new RegExp(`^([a-z]+)_(${this.tools.join('|')})$`));
+        if (equipment) {
+            result.material = { wooden: 'wood', golden: 'gold' }[equipment[1]] || equipment[1];
+            result.tool = equipment[2];
+        }
+
+        // 没有注册表匹配时构建组合目标
+        if (!result.target) {
+            if (result.material && result.tool) {
+                result.target = `${result.material}_${result.tool}`;
+            } else if (result.tool) {
+                result.target = result.tool;
+            } else if (result.material) {
+                result.target = result.material;
+            }
+            if (result.target) {
+                const number = lower.match(/\b(\d+)\b/);
+                result.count = number ? Number(number[1]) : null;
+            }
         }
 
         this.logDebug('[KeywordExtractor]', result);
@@ -91,7 +317,7 @@ export class KeywordExtractor {
      * 从示例中提取关键字（用于对比）
      *
      * @param {object} example - 训练示例对象
-     * @returns {object} { material, tool, action, target, raw }
+     * @returns {object} { material, tool, action, target, count, candidates, raw }
      */
     extractFromExample(example) {
         const text = `${example.name} ${example.rationale || ''} ${example.actual || ''}`.toLowerCase();
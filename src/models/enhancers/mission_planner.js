@@ -0,0 +1,442 @@
+import * as mc from '../../utils/mcdata.js';
+import { getInventoryCounts } from '../../agent/library/world.js';
+import { parseCommands, formatCommand } from '../../agent/commands/parser.js';
+
+// 工具等级（金质工具的挖掘等级与木质相同）
+const TOOL_LEVELS = { wooden: 0, golden: 0, stone: 1, iron: 2, diamond: 3, netherite: 4 };
+
+// !smeltItem 先用煤炭类燃料，其次原木和木板，最后才用煤炭块和岩浆桶
+const FUEL_ITEMS = ['coal', 'charcoal', 'blaze_rod'];
+const LAST_FUEL_ITEMS = ['coal_block', 'lava_bucket'];
+
+// 用户常用的泛称 → 具体物品
+const GOAL_ALIASES = {
+    wood: 'oak_log',
+    log: 'oak_log',
+    plank: 'oak_planks',
+    planks: 'oak_planks',
+    iron: 'iron_ingot',
+    gold: 'gold_ingot',
+    copper: 'copper_ingot'
+};
+
+// 'stone_pickaxe' → { type: 'has_tool_tier', tool: 'pickaxe', tier: 'stone' }
+function toolPrecondition(toolName) {
+    const [tier, ...rest] = toolName.split('_');
+    return { type: 'has_tool_tier', tool: rest.join('_'), tier };
+}
+
+function stationPrecondition(station) {
+    return { type: 'station_placed', station, range: 32, or_in_inventory: true };
+}
+
+/**
+ * 分层任务规划器
+ * 在没有匹配的训练示例时，根据配方树把制作 / 冶炼 / 收集目标分解为有序的任务步骤
+ *
+ * 主要功能：
+ * 1. 递归展开配方（getItemCraftingRecipes），扣除当前库存和中间产物的剩余
+ * 2. 采集前通过 getBlockTool 插入工具前置步骤
+ * 3. 冶炼通过 getItemSmeltingIngredient 展开原料，并补充燃料
+ * 4. 通过 PreconditionExtractor.resolveStationRequirement 判断是否需要制作工作台 / 熔炉
+ * 5. 输出与训练示例相同的步骤格式（action_cmd / verify_cmd / expected，前置条件为结构化条件），供 MISSION CONTROL 使用
+ * 6. 把训练示例的计划改写为另一个目标：最终产物步骤换成新目标，原料步骤按新目标的配方重新生成（adaptPlan）
+ */
+export class MissionPlanner {
+    /**
+     * @param {object} options - { preconditionExtractor, maxDepth }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.preconditionExtractor = options.preconditionExtractor || null;
+        this.maxDepth = options.maxDepth ?? 12;
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 从用户请求中解析目标物品和数量
+     *
+     * @param {string} input - 用户输入
+     * @param {object} keywords - KeywordExtractor.extract 的结果
+     * @returns {object|null} { item, count }
+     */
+    resolveGoal(input, keywords = {}) {
+        const candidates = (keywords.candidates || []).map(candidate => candidate.name);
+        if (keywords.target) {
+            candidates.push(keywords.target.replace(/^wood_/, 'wooden_').replace(/^gold_(?!ingot)/, 'golden_'));
+        }
+
+        const words = (input || '').toLowerCase().match(/[a-z_]+/g) || [];
+        for (let n = 3; n >= 1; n--) {
+            for (let i = 0; i + n <= words.length; i++) {
+                const name = words.slice(i, i + n).join('_');
+                // pickaxes → pickaxe，torches → torch
+                candidates.push(name, name.replace(/s$/, ''), name.replace(/es$/, ''));
+            }
+        }
+
+        for (const candidate of candidates) {
+            const item = GOAL_ALIASES[candidate] || candidate;
+            if (item && mc.getItemId(item) !== null) {
+                const countMatch = (input || '').match(/\b(\d+)\b/);
+                const count = keywords.count ?? (countMatch ? parseInt(countMatch[1]) : 1);
+                return { item, count: Math.max(Math.min(count, 256), 1) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 根据请求生成任务（训练示例格式）
+     *
+     * @returns {object|null} { slug, name, rationale, plan, unresolved }，无法规划或无需行动时返回 null
+     */
+    planFromRequest(input, keywords, bot = null) {
+        const goal = this.resolveGoal(input, keywords);
+        if (!goal) return null;
+        const mission = this.plan(goal.item, goal.count, { bot });
+        return mission.plan.length > 0 ? mission : null;
+    }
+
+    /**
+     * 将目标分解为有序步骤
+     *
+     * @param {string} item - 目标物品
+     * @param {number} count - 目标数量
+     * @param {object} context - { bot, inventory }，inventory 缺省时读取 bot 的库存
+     */
+    plan(item, count = 1, { bot = null, inventory = null } = {}) {
+        const start = inventory || (bot?.inventory ? getInventoryCounts(bot) : {});
+        const state = {
+            bot,
+            available: { ...start },
+            actions: [],
+            tools: new Set(),
+            stations: new Set(),
+            unresolved: [],
+            woodType: this.pickWoodType(start)
+        };
+
+        this.require(item, count, state, 0, new Set());
+        const steps = this.toSteps(state.actions, start);
+        const mission = {
+            slug: `planner/${item}`,
+            name: `Obtain ${count} ${item}`,
+            tab: 'planner',
+            rationale: `Generated from the recipe tree of ${item}.`,
+            plan: steps,
+            unresolved: [...new Set(state.unresolved)]
+        };
+        this.logDebug(`[MissionPlanner] ${count} ${item} →`, steps.map(s => s.action_cmd[0]).join(' → '), mission.unresolved);
+        return mission;
+    }
+
+    /**
+     * 把示例计划改写为另一个目标
+     * 示例最后一个 !craftRecipe 的物品是最终产物：
+     * - 最终产物及其原料步骤（命令中的物品都在原产物的配方树里）换成新目标的规划结果，数量按配方计算
+     * - 其余步骤保留；最终产物之后的步骤（如 !equipItem）中的原产物名换成新目标
+     *
+     * @param {Array} steps - 示例的 plan
+     * @param {string} target - 新目标物品
+     * @param {number} count - 新目标数量
+     * @param {object} context - { bot, inventory }
+     * @returns {object} { steps, from, to }；无法改写时 steps 为原计划，from 为 null
+     */
+    adaptPlan(steps, target, count = 1, context = {}) {
+        const unchanged = { steps, from: null, to: target };
+        if (!Array.isArray(steps) || steps.length === 0 || !target || mc.getItemId(target) === null) return unchanged;
+
+        const commandsOf = step => parseCommands((step.action_cmd || []).join('\n')).filter(cmd => !cmd.error);
+        const itemOf = cmd => (typeof cmd.args[0]?.value === 'string' ? cmd.args[0].value : null);
+
+        let finalIndex = -1;
+        let product = null;
+        steps.forEach((step, index) => {
+            for (const cmd of commandsOf(step)) {
+                if (cmd.name === '!craftRecipe') {
+                    finalIndex = index;
+                    product = itemOf(cmd);
+                }
+            }
+        });
+        if (finalIndex === -1 || !product || (product === target && count <= 1)) return unchanged;
+
+        const tree = this.recipeTree(product);
+        const inTree = name => name && [...tree].some(known => known === name || known.endsWith(`_${name}`));
+        const isIngredientStep = step => {
+            const commands = commandsOf(step);
+            return commands.length > 0 && commands.every(cmd => inTree(itemOf(cmd)));
+        };
+
+        const planned = this.plan(target, count, context).plan;
+        const before = steps.slice(0, finalIndex).filter(step => !isIngredientStep(step));
+        const productWords = new RegExp(product.replace(/_/g, '[ _]'), 'gi');
+        const targetWords = target.replace(/_/g, ' ');
+        const after = steps.slice(finalIndex + 1).map(step => ({
+            ...step,
+            goal: step.goal?.replace(productWords, targetWords),
+            action_nl: step.action_nl?.replace(productWords, targetWords),
+            action_cmd: (step.action_cmd || []).map(command => this.replaceItem(command, product, target)),
+            verify_cmd: (step.verify_cmd || []).map(command => this.replaceItem(command, product, target))
+        }));
+
+        const adapted = [...before, ...planned, ...after].map((step, index) => ({ ...step, step: index + 1 }));
+        this.logDebug(`[MissionPlanner] adapted plan ${product} → ${count} ${target}:`, adapted.map(s => s.action_cmd?.[0]).join(' → '));
+        return { steps: adapted, from: product, to: target };
+    }
+
+    /**
+     * 物品的配方树：合成原料、冶炼原料和掉落它的方块（递归）
+     */
+    recipeTree(item, tree = new Set(), depth = 0) {
+        if (!item || tree.has(item) || depth > this.maxDepth) return tree;
+        tree.add(item);
+        for (const [recipe] of mc.getItemCraftingRecipes(item) || []) {
+            Object.keys(recipe).forEach(name => this.recipeTree(name, tree, depth + 1));
+        }
+        this.recipeTree(mc.getItemSmeltingIngredient(item), tree, depth + 1);
+        mc.getItemBlockSources(item).forEach(block => tree.add(block));
+        return tree;
+    }
+
+    /**
+     * 把命令中等于 from 的参数换成 to
+     */
+    replaceItem(command, from, to) {
+        const [parsed] = parseCommands(command);
+        if (!parsed || parsed.error || !parsed.args.some(arg => arg.value === from)) return command;
+        return formatCommand(parsed.name, parsed.args.map(arg => (arg.value === from ? to : arg.value)));
+    }
+
+    /**
+     * 背包中最多的木材种类，用于替换配方中的 oak_log / oak_planks
+     */
+    pickWoodType(inventory) {
+        let best = 'oak';
+        let bestCount = 0;
+        for (const wood of mc.WOOD_TYPES) {
+            const total = (inventory[`${wood}_log`] || 0) + (inventory[`${wood}_planks`] || 0);
+            if (total > bestCount) {
+                best = wood;
+                bestCount = total;
+            }
+        }
+        return best;
+    }
+
+    applyWoodType(name, woodType) {
+        if (woodType === 'oak' || !/^oak_(log|planks)$/.test(name)) return name;
+        return name.replace(/^oak/, woodType);
+    }
+
+    require(item, count, state, depth, path) {
+        const have = state.available[item] || 0;
+        const take = Math.min(have, count);
+        state.available[item] = have - take;
+        const missing = count - take;
+        if (missing <= 0) return;
+
+        if (depth > this.maxDepth || path.has(item)) {
+            state.unresolved.push(item);
+            return;
+        }
+        const nextPath = new Set(path).add(item);
+
+        if (mc.getItemSmeltingIngredient(item)) {
+            this.planSmelt(item, missing, state, depth, nextPath);
+        } else if (mc.isBaseItem(item) || !mc.getItemCraftingRecipes(item)?.length) {
+            this.planGather(item, missing, state, depth, nextPath);
+        } else {
+            this.planCraft(item, missing, state, depth, nextPath);
+        }
+    }
+
+    planCraft(item, missing, state, depth, path) {
+        const [recipe, { craftedCount, requiresTable }] = mc.getItemCraftingRecipes(item)[0];
+        const batches = Math.ceil(missing / craftedCount);
+        const produced = batches * craftedCount;
+
+        if (requiresTable) this.requireStation('crafting_table', state, depth, path);
+
+        const consumes = {};
+        for (const [name, amount] of Object.entries(recipe)) {
+            const ingredient = this.applyWoodType(name, state.woodType);
+            consumes[ingredient] = amount * batches;
+            this.require(ingredient, amount * batches, state, depth + 1, path);
+        }
+
+        state.available[item] = (state.available[item] || 0) + produced - missing;
+        state.actions.push({ type: 'craft', item, count: produced, batches, consumes, station: requiresTable ? 'crafting_table' : null });
+    }
+
+    planSmelt(item, missing, state, depth, path) {
+        const input = mc.getItemSmeltingIngredient(item);
+        this.requireStation('furnace', state, depth, path);
+        this.require(input, missing, state, depth + 1, path);
+
+        // 燃料从可用库存中预留（已被前面步骤占用的木板不算），后面的步骤不能再用；都不够时收集煤炭
+        const fuel = this.pickFuel(missing, state) || 'coal';
+        const fuelCount = Math.ceil(missing / mc.getFuelSmeltOutput(fuel));
+        this.require(fuel, fuelCount, state, depth + 1, path);
+
+        state.actions.push({ type: 'smelt', item, input, count: missing, consumes: { [input]: missing, [fuel]: fuelCount } });
+    }
+
+    /**
+     * 按 !smeltItem 选择燃料的顺序（煤炭类、原木和木板、煤炭块和岩浆桶）找出足够熔炼 count 个物品的燃料
+     */
+    pickFuel(count, state) {
+        const names = Object.keys(state.available);
+        const candidates = [
+            ...FUEL_ITEMS,
+            ...names.filter(name => name.endsWith('_log') || name.endsWith('_planks')),
+            ...LAST_FUEL_ITEMS
+        ];
+        return candidates.find(name => (state.available[name] || 0) >= Math.ceil(count / mc.getFuelSmeltOutput(name))) || null;
+    }
+
+    planGather(item, missing, state, depth, path) {
+        const animal = mc.getItemAnimalSource(item);
+        if (animal) {
+            state.actions.push({ type: 'hunt', item, animal, count: missing, consumes: {} });
+            return;
+        }
+
+        const block = this.pickSourceBlock(item);
+        if (!block) state.unresolved.push(item);
+        const source = block || item;
+        this.requireTool(source, state, depth, path);
+        state.actions.push({ type: 'collect', item, block: source, count: missing, consumes: {}, tool: mc.getBlockTool(source) });
+    }
+
+    /**
+     * 选择掉落该物品的方块：矿石优先（raw_iron → iron_ore），圆石来自石头，其次同名方块
+     */
+    pickSourceBlock(item) {
+        const sources = mc.getItemBlockSources(item).filter(name => !name.startsWith('deepslate_'));
+        return sources.find(name => name.endsWith('_ore'))
+            || sources.find(name => name === 'stone')
+            || sources.find(name => name === item)
+            || sources[0]
+            || (mc.getBlockId(item) !== null ? item : null);
+    }
+
+    /**
+     * 是否已拥有（或已在前面的步骤中计划制作）不低于要求等级的同类工具
+     */
+    hasTool(tool, state) {
+        const [tier, ...rest] = tool.split('_');
+        const type = rest.join('_');
+        const required = TOOL_LEVELS[tier];
+        if (required === undefined) return (state.available[tool] || 0) > 0 || state.tools.has(tool);
+
+        const owned = [...state.tools, ...Object.keys(state.available).filter(name => state.available[name] > 0)];
+        return owned.some(name => {
+            const [ownedTier, ...ownedRest] = name.split('_');
+            return ownedRest.join('_') === type && (TOOL_LEVELS[ownedTier] ?? -1) >= required;
+        });
+    }
+
+    requireTool(block, state, depth, path) {
+        const tool = mc.getBlockTool(block);
+        if (!tool || this.hasTool(tool, state)) return;
+        this.require(tool, 1, state, depth + 1, path);
+        // 制作步骤排好后才记为拥有：制作途中需要的低级工具（铁镐之前的石镐）不能由它代替
+        state.tools.add(tool);
+        // 工具不会被消耗，留给后续步骤
+        state.available[tool] = (state.available[tool] || 0) + 1;
+    }
+
+    requireStation(station, state, depth, path) {
+        if (state.stations.has(station)) return;
+        state.stations.add(station);
+        if ((state.available[station] || 0) > 0) return;
+        // resolveStationRequirement 返回 null 表示附近已有该工作站；
+        // 返回 !goToStorage 表示队友登记过一个，执行到该步骤时会先走过去，不必再制作
+        if (state.bot && this.preconditionExtractor) {
+            const override = this.preconditionExtractor.resolveStationRequirement(station, state.bot);
+            if (override === null || override.command.startsWith('!goToStorage')) return;
+        }
+        this.require(station, 1, state, depth + 1, path);
+        state.available[station] = (state.available[station] || 0) + 1;
+    }
+
+    /**
+     * 将动作转换为训练示例格式的步骤，按执行顺序模拟库存以计算验证数量
+     */
+    toSteps(actions, inventory) {
+        const sim = { ...inventory };
+        const steps = [];
+        const words = name => name.replace(/_/g, ' ');
+
+        const push = (step) => steps.push({ step: steps.length + 1, ...step });
+
+        for (const action of actions) {
+            for (const [name, amount] of Object.entries(action.consumes)) {
+                sim[name] = Math.max((sim[name] || 0) - amount, 0);
+            }
+
+            if (action.type === 'hunt') {
+                // 每次 !attack 只击杀一只，逐只生成步骤
+                for (let i = 0; i < action.count; i++) {
+                    sim[action.item] = (sim[action.item] || 0) + 1;
+                    push({
+                        goal: `Hunt a ${action.animal} for ${words(action.item)}`,
+                        action_nl: `Find the nearest ${action.animal} and kill it to get ${words(action.item)}.`,
+                        action_cmd: [`!attack("${action.animal}", true)`],
+                        verify_cmd: [`!inventory("${action.item}")`],
+                        preconditions: [{ type: 'entity_nearby', entity: action.animal, range: 16 }],
+                        expected: `At least ${sim[action.item]} ${words(action.item)} in inventory.`,
+                        notes: 'Generated by the mission planner.'
+                    });
+                }
+                continue;
+            }
+
+            sim[action.item] = (sim[action.item] || 0) + action.count;
+            const expected = `At least ${sim[action.item]} ${words(action.item)} in inventory.`;
+            const ingredients = Object.entries(action.consumes).map(([name, amount]) => `${amount}x ${name}`);
+            const hasIngredients = Object.entries(action.consumes).map(([name, amount]) => ({ type: 'has_item', item: name, count: amount }));
+
+            if (action.type === 'collect') {
+                push({
+                    goal: `Collect ${action.count} ${words(action.item)}`,
+                    action_nl: `Mine ${action.count} ${words(action.block)}${action.tool ? ` with a ${words(action.tool)} or better` : ''}.`,
+                    action_cmd: [`!collectBlocks("${action.block}", ${action.count})`],
+                    verify_cmd: [`!inventory("${action.item}")`],
+                    preconditions: action.tool ? [toolPrecondition(action.tool)] : [],
+                    expected,
+                    notes: 'Generated by the mission planner.'
+                });
+            } else if (action.type === 'craft') {
+                push({
+                    goal: `Craft ${action.count} ${words(action.item)}`,
+                    action_nl: `Craft the ${words(action.item)} recipe ${action.batches} time(s) using ${ingredients.join(', ')}.`,
+                    action_cmd: [`!craftRecipe("${action.item}", ${action.batches})`],
+                    verify_cmd: [`!inventory("${action.item}")`],
+                    preconditions: [...(action.station ? [stationPrecondition('crafting_table')] : []), ...hasIngredients],
+                    expected,
+                    notes: 'Generated by the mission planner.'
+                });
+            } else if (action.type === 'smelt') {
+                push({
+                    goal: `Smelt ${action.count} ${words(action.input)} into ${words(action.item)}`,
+                    action_nl: `Use a furnace with fuel to smelt ${action.count} ${words(action.input)}.`,
+                    action_cmd: [`!smeltItem("${action.input}", ${action.count})`],
+                    verify_cmd: [`!inventory("${action.item}")`],
+                    preconditions: [stationPrecondition('furnace'), ...hasIngredients],
+                    expected,
+                    notes: 'Generated by the mission planner.'
+                });
+            }
+        }
+        return steps;
+    }
+}
@@ -0,0 +1,151 @@
+import { getInventoryCounts, getNearestBlock } from '../../agent/library/world.js';
+
+/**
+ * 任务步骤验证器
+ * 使用 verify_cmd / expected 对任务步骤做结构化验证，而不是猜测回复文本
+ *
+ * 主要功能：
+ * 1. 将 verify_cmd（如 !inventory('stick')）解析为结构化检查
+ * 2. 根据实时库存、附近方块和 ActionManager 的动作结果判断步骤状态
+ * 3. 返回 passed / failed / pending 以及原因，供任务状态机使用
+ */
+export class MissionVerifier {
+    constructor(debug = false) {
+        this.debug = debug;
+    }
+
+    /**
+     * 解析单条验证命令
+     *
+     * @param {string} cmd - 如 "!inventory('stick')" 或 "!nearbyBlocks('furnace')"
+     * @returns {object|null} { type: 'has_item' | 'near_block', name }
+     */
+    parseVerifyCmd(cmd) {
+        const match = (cmd || '').match(/^!(\w+)\s*(?:\(\s*["']?([^"')]*)["']?\s*\))?/);
+        if (!match) return null;
+        const [, name, arg] = match;
+        if (!arg) return null;
+        if (name === 'inventory') return { type: 'has_item', name: arg.trim() };
+        if (name === 'nearbyBlocks') return { type: 'near_block', name: arg.trim() };
+        return null;
+    }
+
+    /**
+     * 从 expected 文本中读取某个物品的目标数量
+     * "At least 2 planks and 2 sticks" → planks: 2, stick: 2
+     */
+    expectedCount(expected, itemName, onlyCheck) {
+        const text = (expected || '').toLowerCase();
+        const words = itemName.toLowerCase().replace(/_/g, ' ');
+        const pattern = new RegExp(`(\\d+)(?:\\s+or\\s+more)?\\s+(?:[a-z]+\\s+)?${words}`);
+        const match = text.match(pattern);
+        if (match) return parseInt(match[1]);
+        if (onlyCheck) {
+            const first = text.match(/\d+/);
+            if (first) return parseInt(first[0]);
+        }
+        return 1;
+    }
+
+    /**
+     * 构建步骤的结构化检查列表
+     */
+    buildChecks(step) {
+        const parsed = (step.verify_cmd || []).map(cmd => this.parseVerifyCmd(cmd)).filter(Boolean);
+        return parsed.map(check => check.type === 'has_item'
+            ? { ...check, count: this.expectedCount(step.expected, check.name, parsed.length === 1) }
+            : check);
+    }
+
+    /**
+     * 统计库存中满足某物品名的数量
+     * 支持泛称（log → oak_log, birch_log ...）和方块掉落物（iron_ore → raw_iron）
+     */
+    countItem(bot, inventory, name) {
+        const accepted = new Set([name]);
+        const block = bot.registry?.blocksByName?.[name];
+        for (const dropId of block?.drops || []) {
+            const id = typeof dropId === 'object' ? dropId.drop?.id ?? dropId.id : dropId;
+            const dropName = bot.registry.items?.[id]?.name;
+            if (dropName) accepted.add(dropName);
+        }
+
+        let total = 0;
+        for (const [item, count] of Object.entries(inventory)) {
+            if (accepted.has(item) || item.endsWith(`_${name}`)) total += count;
+        }
+        return total;
+    }
+
+    evaluateCheck(check, bot, inventory) {
+        if (check.type === 'has_item') {
+            const have = this.countItem(bot, inventory, check.name);
+            return {
+                ...check,
+                met: have >= check.count,
+                detail: `${check.name} ${have}/${check.count}`
+            };
+        }
+        if (check.type === 'near_block') {
+            let found = null;
+            try {
+                found = getNearestBlock(bot, check.name, 16);
+            } catch (_) { /* ignore findBlock failures */ }
+            return { ...check, met: Boolean(found), detail: `${check.name} ${found ? 'nearby' : 'not nearby'}` };
+        }
+        return { ...check, met: false, detail: `unsupported check ${check.type}` };
+    }
+
+    /**
+     * 判断动作结果是否属于当前步骤（action:collectBlocks ↔ !collectBlocks(...)）
+     */
+    outcomeMatchesStep(outcome, step) {
+        if (!outcome?.label) return false;
+        const label = outcome.label.replace(/^action:/, '');
+        return (step.action_cmd || []).some(cmd => cmd.match(/^!(\w+)/)?.[1] === label);
+    }
+
+    /**
+     * 验证当前步骤
+     *
+     * @param {object} step - 任务步骤
+     * @param {object} context - { bot, outcome }，outcome 为该步骤开始后的最新动作结果
+     * @returns {object} { status: 'passed' | 'failed' | 'pending', reason, checks }
+     */
+    verify(step, { bot, outcome = null } = {}) {
+        const relevantOutcome = this.outcomeMatchesStep(outcome, step) ? outcome : null;
+        const checks = this.buildChecks(step);
+
+        if (checks.length > 0 && bot?.inventory) {
+            const inventory = getInventoryCounts(bot);
+            const results = checks.map(check => this.evaluateCheck(check, bot, inventory));
+            const unmet = results.filter(r => !r.met);
+            const summary = results.map(r => r.detail).join(', ');
+            if (unmet.length === 0) {
+                return { status: 'passed', reason: `verified: ${summary}`, checks: results };
+            }
+            if (relevantOutcome) {
+                const actionNote = relevantOutcome.success && !relevantOutcome.interrupted
+                    ? `${relevantOutcome.label} finished`
+                    : `${relevantOutcome.label} ${relevantOutcome.timedout ? 'timed out' : relevantOutcome.interrupted ? 'was interrupted' : 'failed'}`;
+                return { status: 'failed', reason: `${actionNote} but verification failed: ${summary}`, checks: results };
+            }
+            return { status: 'pending', reason: `waiting: ${summary}`, checks: results };
+        }
+
+        // 没有可用的验证命令：退回到动作结果
+        if (!relevantOutcome) {
+            return { status: 'pending', reason: 'waiting for the step action to run', checks: [] };
+        }
+        if (relevantOutcome.success && !relevantOutcome.interrupted) {
+            return { status: 'passed', reason: `${relevantOutcome.label} completed`, checks: [] };
+        }
+        return { status: 'failed', reason: `${relevantOutcome.label} did not complete successfully`, checks: [] };
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+}
@@ -1,15 +1,28 @@
+import { toPrecondition, evaluatePrecondition, describePrecondition } from './precondition_schema.js';
+import { PromptTemplates } from './prompt_templates.js';
+
+// 团队登记的工作站在这个距离内时走过去使用，更远时仍就地制作
+const KNOWN_STATION_DISTANCE = 128;
+
 /**
  * 前置条件提取器
  * 从训练数据中提取和使用前置条件，替代硬编码的前置条件检查逻辑
  *
  * 主要功能：
- * 1. 从训练数据的 plan 步骤中提取 preconditions
- * 2. 将 preconditions 格式化为 LLM 提示
+ * 1. 从训练数据的 plan 步骤中提取 preconditions（自由文本自动转换为结构化条件，见 precondition_schema.js）
+ * 2. 将 preconditions 格式化为 LLM 提示，并标出当前是否满足
  * 3. 验证 preconditions 是否被满足
  */
 export class PreconditionExtractor {
-    constructor(debug = false) {
+    /**
+     * @param {boolean} debug
+     * @param {PromptTemplates} prompts - 提示词模板（可选，默认英文）
+     * @param {ResourceRegistry} resourceRegistry - 团队资源登记（可选），缺少工作站时先找队友登记过的
+     */
+    constructor(debug = false, prompts = null, resourceRegistry = null) {
         this.debug = debug;
+        this.prompts = prompts || new PromptTemplates({}, debug);
+        this.resourceRegistry = resourceRegistry;
     }
 
     /**
@@ -31,7 +44,7 @@ export class PreconditionExtractor {
                     exampleName: example.name,
                     step: step.step,
                     goal: step.goal,
-                    preconditions: step.preconditions,
+                    preconditions: step.preconditions.map(toPrecondition),
                     actionCmd: step.action_cmd?.[0] || null
                 });
             }
@@ -44,120 +57,87 @@ export class PreconditionExtractor {
      * 将前置条件格式化为 LLM 提示
      *
      * @param {Array} preconditions - 前置条件列表
+     * @param {object} bot - Mineflayer bot 实例（可选，提供时标出每个条件当前是否满足）
      * @returns {string} 格式化后的提示文本
      */
-    formatForPrompt(preconditions) {
+    formatForPrompt(preconditions, bot = null) {
         if (preconditions.length === 0) return '';
 
-        let text = '\n## PRECONDITIONS FROM TRAINING DATA\n\n';
-        text += '参考相似任务的前置条件检查：\n\n';
+        let text = this.prompts.t('preconditions.header');
 
         for (const prec of preconditions) {
-            text += `**步骤 ${prec.step}: ${prec.goal}**\n`;
-            text += `需要满足的条件：\n`;
-            for (const cond of prec.preconditions) {
-                text += `  - ${cond}\n`;
-            }
+            text += this.prompts.t('preconditions.step', { step: prec.step, goal: prec.goal });
+            text += this.formatConditionLines(prec.preconditions, bot);
             if (prec.actionCmd) {
-                text += `执行命令：${prec.actionCmd}\n`;
+                text += this.prompts.t('preconditions.command', { command: prec.actionCmd });
             }
             text += '\n';
         }
 
-        text += `**学习要点**：\n`;
-        text += `- 注意每个动作前需要检查什么条件\n`;
-        text += `- 如果材料缺失，先收集/制作，再执行下一步\n`;
-        text += `- 如果工具缺失，先制作工具\n`;
-        text += `- 如果条件不满足，不要执行动作，先满足前置条件\n\n`;
+        text += this.prompts.t('preconditions.lessons');
 
         return text;
     }
 
     /**
-     * 简单的前置条件验证（基于模式匹配）
+     * 当前任务步骤的前置条件状态（MISSION CONTROL 使用）
      *
-     * @param {Array} preconditions - 前置条件列表
-     * @param {object} inventory - 库存对象 { items: [...] }
-     * @param {object} bot - Mineflayer bot 实例（可选）
-     * @returns {Array} 缺失的前置条件列表
+     * @param {Array} preconditions - 步骤的前置条件（自由文本或结构化）
+     * @param {object} bot - Mineflayer bot 实例
+     * @returns {string} 提示文本，没有条件时为空
      */
-    validatePreconditions(preconditions, inventory, bot) {
-        const missing = [];
-
-        for (const cond of preconditions) {
-            const lower = cond.toLowerCase();
-
-            // 检查物品数量：如 "3x Iron Ingot"
-            const itemMatch = lower.match(/(\d+)x?\s*(.+)/);
-            if (itemMatch) {
-                const [, count, itemName] = itemMatch;
-                // 将 "Iron Ingot" 转换为 "iron_ingot" 格式
-                const normalizedName = itemName.toLowerCase().replace(/\s+/g, '_');
-
-                const hasItem = inventory.items?.some(i =>
-                    i.name === normalizedName && i.count >= parseInt(count)
-                );
-                if (!hasItem) {
-                    missing.push({
-                        type: 'item',
-                        name: itemName,
-                        count: parseInt(count)
-                    });
-                }
-            }
-
-            // 检查工具：如 "Stone Pickaxe in inventory"
-            const toolMatch = lower.match(/(pickaxe|axe|shovel|sword|hoe)/i);
-            if (toolMatch && lower.includes('in inventory')) {
-                const toolType = toolMatch[1];
-                const hasTool = inventory.items?.some(i => i.name.includes(toolType));
-                if (!hasTool) {
-                    missing.push({ type: 'tool', name: toolType });
-                }
-            }
-
-            // 检查熔炉
-            if (lower.includes('furnace')) {
-                const hasFurnace = inventory.items?.some(i => i.name === 'furnace');
-                let nearbyFurnace = null;
-                if (bot) {
-                    try {
-                        nearbyFurnace = bot.findBlock?.({
-                            maxDistance: 32,
-                            matching: (b) => b?.name === 'furnace'
-                        });
-                    } catch (e) {
-                        // ignore
-                    }
-                }
-
-                if (!hasFurnace && !nearbyFurnace) {
-                    missing.push({ type: 'item', name: 'furnace', count: 1 });
-                }
-            }
-
-            // 检查工作台
-            if (lower.includes('crafting table') || lower.includes('crafting_table')) {
-                const hasCraftingTable = inventory.items?.some(i => i.name === 'crafting_table');
-                let nearbyCraftingTable = null;
-                if (bot) {
-                    try {
-                        nearbyCraftingTable = bot.findBlock?.({
-                            maxDistance: 32,
-                            matching: (b) => b?.name === 'crafting_table'
-                        });
-                    } catch (e) {
-                        // ignore
-                    }
-                }
+    formatStatus(preconditions, bot) {
+        if (!preconditions || preconditions.length === 0) return '';
+        const results = this.evaluatePreconditions(preconditions, bot);
+        const unmet = results.filter(r => r.met === false);
+        let text = this.prompts.t('preconditions.status', { met: results.length - unmet.length, total: results.length });
+        text += this.formatConditionLines(preconditions, bot, results);
+        if (unmet.length > 0) {
+            text += this.prompts.t('preconditions.unmet', { conditions: unmet.map(r => r.description).join('; ') });
+        }
+        return text;
+    }
 
-                if (!hasCraftingTable && !nearbyCraftingTable) {
-                    missing.push({ type: 'item', name: 'crafting_table', count: 1 });
-                }
-            }
+    formatConditionLines(preconditions, bot, results = null) {
+        if (!bot) {
+            return preconditions.map(cond => `  - ${describePrecondition(cond)}\n`).join('');
         }
+        const evaluated = results || this.evaluatePreconditions(preconditions, bot);
+        const marks = {
+            true: this.prompts.t('preconditions.mark_met'),
+            false: this.prompts.t('preconditions.mark_unmet'),
+            null: this.prompts.t('preconditions.mark_unchecked')
+        };
+        return evaluated
+            .map(r => `  - ${marks[r.met]} ${r.description}${r.met === null ? '' : ` (${r.detail})`}\n`)
+            .join('');
+    }
 
-        return missing;
+    /**
+     * 对照 bot 判断每个前置条件
+     *
+     * @param {Array} preconditions - 前置条件列表（自由文本或结构化）
+     * @param {object} bot - Mineflayer bot 实例
+     * @param {Array} items - 可选，库存物品列表
+     * @returns {Array} [{ condition, description, met, detail }]
+     */
+    evaluatePreconditions(preconditions, bot, items = null) {
+        const results = preconditions.map(cond => evaluatePrecondition(cond, bot, items));
+        this.logDebug('[PreconditionExtractor] evaluated', results.map(r => `${r.description}: ${r.met}`));
+        return results;
+    }
+
+    /**
+     * 验证前置条件
+     *
+     * @param {Array} preconditions - 前置条件列表（自由文本或结构化）
+     * @param {object} inventory - 库存对象 { items: [...] }（可选，默认读取 bot.inventory）
+     * @param {object} bot - Mineflayer bot 实例
+     * @returns {Array} 未满足的前置条件 [{ condition, description, met: false, detail }]
+     */
+    validatePreconditions(preconditions, inventory, bot) {
+        const items = Array.isArray(inventory?.items) ? inventory.items : null;
+        return this.evaluatePreconditions(preconditions, bot, items).filter(r => r.met === false);
     }
 
     /**
@@ -196,7 +176,27 @@ export class PreconditionExtractor {
             };
         }
 
-        // 3. Dynamic Recipe Analysis: What do we need to craft this station?
+        // 3. A teammate may have recorded one further away: walk there instead of crafting a new one
+        let known = null;
+        try {
+            known = this.resourceRegistry?.findBlock(stationName, {
+                position: bot.entity?.position,
+                dimension: bot.game?.dimension,
+                maxDistance: KNOWN_STATION_DISTANCE
+            });
+        } catch (_) { /* a busy ledger falls through to crafting */ }
+
+        if (known) {
+            const { x, y, z } = known.record.position;
+            const vars = { station: stationName, position: `${x}, ${y}, ${z}`, agent: known.record.seenBy, distance: Math.round(known.distance) };
+            return {
+                goal: this.prompts.t('overrides.team_station_goal', vars),
+                command: `!goToStorage("${stationName}")`,
+                advice: this.prompts.t('overrides.team_station_advice', vars)
+            };
+        }
+
+        // 4. Dynamic Recipe Analysis: What do we need to craft this station?
         const stationItem = bot.registry.itemsByName[stationName];
         if (!stationItem) return null; // Invalid item name
 
@@ -226,7 +226,7 @@ export class PreconditionExtractor {
             }
         }
 
-        // 4. Determine Action based on missing ingredients
+        // 5. Determine Action based on missing ingredients
         if (missingIngredients.length === 0) {
             // We have all ingredients, but haven't crafted the station yet
             return {
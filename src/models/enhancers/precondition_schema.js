@@ -0,0 +1,289 @@
+/**
+ * 结构化前置条件
+ * 训练数据里的前置条件是自由文本（"3x Iron Ingot"、"Access to trees nearby"），
+ * 这里定义一组带类型的条件，并能对照 bot 的当前状态精确判断是否满足
+ *
+ * 条件格式（item / block 可以是数组，表示任意一种；"log"、"planks" 这类类别名匹配所有 *_log、*_planks）：
+ *   { type: 'has_item', item: 'iron_ingot', count: 3 }
+ *   { type: 'has_tool_tier', tool: 'pickaxe', tier: 'stone' }     // 该等级或更高
+ *   { type: 'near_block', block: 'log', range: 32 }
+ *   { type: 'station_placed', station: 'furnace', range: 32, or_in_inventory: true }
+ *   { type: 'entity_nearby', entity: 'cow', range: 16 }
+ *   { type: 'time_of_day', period: 'day' | 'night' }
+ *   { type: 'health_at_least', value: 10 }
+ *   { type: 'food_at_least', value: 6 }
+ *   { type: 'inventory_space', slots: 1 }
+ *   { type: 'y_at_most', y: 16 }
+ *   { type: 'text', text: '...' }                                  // 无法转换的自由文本，不做判断
+ *
+ * 主要功能：
+ * 1. 把旧的自由文本条件转换为结构化条件（toPrecondition）
+ * 2. 生成条件的文字描述（describePrecondition）
+ * 3. 对照 bot 判断条件：met 为 true / false，无法判断时为 null（evaluatePrecondition）
+ */
+
+const TOOL_TIERS = { wooden: 0, golden: 0, stone: 1, iron: 2, diamond: 3, netherite: 4 };
+
+const FUEL_ITEMS = ['coal', 'charcoal', 'coal_block', 'blaze_rod', 'lava_bucket', 'log', 'planks'];
+
+// 自由文本中的物品名 → 注册表名称或类别名
+const NAME_ALIASES = {
+    wooden_planks: 'planks',
+    wood_planks: 'planks',
+    plank: 'planks',
+    wood: 'log',
+    logs: 'log',
+    trees: 'log',
+    sticks: 'stick',
+    gold: 'gold_ingot',
+    iron: 'iron_ingot'
+};
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function toItemName(text) {
+    const name = text.trim().toLowerCase().replace(/\s+/g, '_');
+    return NAME_ALIASES[name] || name;
+}
+
+/**
+ * 物品/方块名是否匹配条件中的名称（精确匹配，或类别名后缀匹配，如 log → oak_log）
+ */
+function matchesName(name, wanted) {
+    return name === wanted || name.endsWith(`_${wanted}`);
+}
+
+function inventoryItems(bot, items) {
+    if (Array.isArray(items)) return items;
+    return bot?.inventory?.items?.() || [];
+}
+
+function countItems(items, wanted) {
+    const names = toList(wanted);
+    return items
+        .filter(item => names.some(name => matchesName(item.name, name)))
+        .reduce((sum, item) => sum + item.count, 0);
+}
+
+function findNearestBlock(bot, wanted, range) {
+    const blocksByName = bot?.registry?.blocksByName;
+    if (!bot?.findBlock || !blocksByName) return undefined;
+    const names = toList(wanted);
+    const ids = Object.values(blocksByName)
+        .filter(block => names.some(name => matchesName(block.name, name)))
+        .map(block => block.id);
+    if (ids.length === 0) return null;
+    try {
+        return bot.findBlock({ matching: ids, maxDistance: range });
+    } catch {
+        return undefined;
+    }
+}
+
+function result(met, detail) {
+    return { met, detail };
+}
+
+/**
+ * 每种条件的描述和判断方法
+ * check(cond, bot, items) 返回 { met, detail }
+ */
+export const PRECONDITION_TYPES = {
+    has_item: {
+        describe: cond => `${cond.count ?? 1}x ${toList(cond.item).join(' or ')} in inventory`,
+        check(cond, bot, items) {
+            const have = countItems(items, cond.item);
+            const need = cond.count ?? 1;
+            return result(have >= need, `have ${have}/${need}`);
+        }
+    },
+    has_tool_tier: {
+        describe: cond => `${cond.tier || 'wooden'} ${cond.tool} or better in inventory`,
+        check(cond, bot, items) {
+            const required = TOOL_TIERS[cond.tier || 'wooden'] ?? 0;
+            const owned = items
+                .map(item => item.name.split('_'))
+                .filter(([tier, ...rest]) => rest.join('_') === cond.tool && tier in TOOL_TIERS)
+                .map(([tier]) => tier);
+            const best = owned.sort((a, b) => TOOL_TIERS[b] - TOOL_TIERS[a])[0];
+            if (!best) return result(false, `no ${cond.tool}`);
+            return result(TOOL_TIERS[best] >= required, `best is ${best}_${cond.tool}`);
+        }
+    },
+    near_block: {
+        describe: cond => `${toList(cond.block).join(' or ')} within ${cond.range ?? 32} blocks`,
+        check(cond, bot) {
+            const block = findNearestBlock(bot, cond.block, cond.range ?? 32);
+            if (block === undefined) return result(null, 'cannot scan blocks');
+            if (!block) return result(false, 'none found');
+            const distance = bot.entity?.position?.distanceTo?.(block.position);
+            return result(true, distance !== undefined ? `${block.name} at ${distance.toFixed(1)}m` : block.name);
+        }
+    },
+    station_placed: {
+        describe: cond => `${cond.station} placed within ${cond.range ?? 32} blocks${cond.or_in_inventory ? ' (or in inventory)' : ''}`,
+        check(cond, bot, items) {
+            const block = findNearestBlock(bot, cond.station, cond.range ?? 32);
+            if (block) return result(true, 'placed nearby');
+            if (cond.or_in_inventory && countItems(items, cond.station) > 0) return result(true, 'in inventory');
+            if (block === undefined) return result(null, 'cannot scan blocks');
+            return result(false, 'not placed nearby');
+        }
+    },
+    entity_nearby: {
+        describe: cond => `a ${cond.entity} within ${cond.range ?? 16} blocks`,
+        check(cond, bot) {
+            if (!bot?.entities || !bot.entity?.position) return result(null, 'cannot see entities');
+            const range = cond.range ?? 16;
+            const found = Object.values(bot.entities).some(entity =>
+                entity !== bot.entity && entity.name === cond.entity && entity.position?.distanceTo(bot.entity.position) <= range
+            );
+            return result(found, found ? 'in sight' : 'none nearby');
+        }
+    },
+    time_of_day: {
+        describe: cond => `it is ${cond.period}`,
+        check(cond, bot) {
+            const time = bot?.time?.timeOfDay;
+            if (time === undefined) return result(null, 'time unknown');
+            const period = time < 13000 ? 'day' : 'night';
+            return result(period === cond.period, `time ${time} (${period})`);
+        }
+    },
+    health_at_least: {
+        describe: cond => `health at least ${cond.value}`,
+        check(cond, bot) {
+            if (bot?.health === undefined) return result(null, 'health unknown');
+            return result(bot.health >= cond.value, `health ${bot.health}`);
+        }
+    },
+    food_at_least: {
+        describe: cond => `food at least ${cond.value}`,
+        check(cond, bot) {
+            if (bot?.food === undefined) return result(null, 'food unknown');
+            return result(bot.food >= cond.value, `food ${bot.food}`);
+        }
+    },
+    inventory_space: {
+        describe: cond => `${cond.slots ?? 1} free inventory slot(s)`,
+        check(cond, bot) {
+            const free = bot?.inventory?.emptySlotCount?.();
+            if (free === undefined) return result(null, 'inventory unknown');
+            return result(free >= (cond.slots ?? 1), `${free} free`);
+        }
+    },
+    y_at_most: {
+        describe: cond => `at or below y=${cond.y}`,
+        check(cond, bot) {
+            const y = bot?.entity?.position?.y;
+            if (y === undefined) return result(null, 'position unknown');
+            return result(y <= cond.y, `y=${Math.floor(y)}`);
+        }
+    },
+    text: {
+        describe: cond => cond.text,
+        check: () => result(null, 'not checked')
+    }
+};
+
+/**
+ * 把一条自由文本前置条件转换为结构化条件，无法识别时返回 { type: 'text' }
+ *
+ * @param {string} text - 如 "3x Iron Ingot"、"Iron Pickaxe or better in inventory"
+ * @returns {object} 结构化条件
+ */
+export function parsePrecondition(text) {
+    const lower = String(text).toLowerCase().trim();
+
+    const tool = lower.match(/\b(wooden|wood|golden|gold|stone|iron|diamond|netherite)[ _](pickaxe|axe|shovel|sword|hoe)\b/);
+    if (tool) {
+        const tier = { wood: 'wooden', gold: 'golden' }[tool[1]] || tool[1];
+        return { type: 'has_tool_tier', tool: tool[2], tier };
+    }
+
+    if (/\bfuel\b/.test(lower)) {
+        const count = Number(lower.match(/\d+/)?.[0] || 1);
+        return { type: 'has_item', item: FUEL_ITEMS, count };
+    }
+
+    const items = lower.match(/^(\d+)\s*x?\s+([a-z_ ]+)$/);
+    if (items) {
+        return { type: 'has_item', item: toItemName(items[2]), count: Number(items[1]) };
+    }
+
+    for (const station of ['crafting_table', 'blast_furnace', 'furnace', 'smoker', 'smithing_table', 'anvil']) {
+        if (lower.replace(/\s+/g, '_').includes(station)) {
+            return { type: 'station_placed', station, range: 32, or_in_inventory: true };
+        }
+    }
+
+    if (/inventory space|free slot/.test(lower)) {
+        return { type: 'inventory_space', slots: 1 };
+    }
+    if (/\btrees?\b|\bwood\b|\blogs?\b/.test(lower)) {
+        return { type: 'near_block', block: 'log', range: 32 };
+    }
+    if (/deep underground|deepslate/.test(lower)) {
+        return { type: 'y_at_most', y: 16 };
+    }
+    if (/\bstone\b|\bcave\b/.test(lower)) {
+        return { type: 'near_block', block: ['stone', 'cobblestone', 'deepslate'], range: 32 };
+    }
+
+    const health = lower.match(/health (?:at least |>=?\s*)?(\d+)/);
+    if (health) {
+        return { type: 'health_at_least', value: Number(health[1]) };
+    }
+    if (/\bnight\b/.test(lower)) {
+        return { type: 'time_of_day', period: 'night' };
+    }
+    if (/\bday(?:time|light)?\b/.test(lower)) {
+        return { type: 'time_of_day', period: 'day' };
+    }
+
+    const entity = lower.match(/^an? ([a-z_]+) nearby$/);
+    if (entity) {
+        return { type: 'entity_nearby', entity: entity[1], range: 16 };
+    }
+
+    return { type: 'text', text: String(text) };
+}
+
+/**
+ * 自由文本或结构化条件 → 结构化条件（未知类型按文本处理）
+ */
+export function toPrecondition(cond) {
+    if (typeof cond === 'string') return parsePrecondition(cond);
+    if (cond && PRECONDITION_TYPES[cond.type]) return cond;
+    return { type: 'text', text: JSON.stringify(cond) };
+}
+
+/**
+ * 条件的文字描述
+ */
+export function describePrecondition(cond) {
+    const typed = toPrecondition(cond);
+    return PRECONDITION_TYPES[typed.type].describe(typed);
+}
+
+/**
+ * 对照 bot 判断条件是否满足
+ *
+ * @param {string|object} cond - 自由文本或结构化条件
+ * @param {object} bot - Mineflayer bot 实例
+ * @param {Array} items - 可选，库存物品列表（默认读取 bot.inventory）
+ * @returns {object} { condition, description, met: true|false|null, detail }
+ */
+export function evaluatePrecondition(cond, bot, items = null) {
+    const condition = toPrecondition(cond);
+    const type = PRECONDITION_TYPES[condition.type];
+    let status;
+    try {
+        status = type.check(condition, bot, inventoryItems(bot, items));
+    } catch (err) {
+        status = result(null, err.message);
+    }
+    return { condition, description: type.describe(condition), ...status };
+}
@@ -0,0 +1,104 @@
+// 中日韩字符大约一个字符一个 token，其他文本大约四个字符一个 token
+const CJK_CHARS = /[\u3000-\u303f\u3400-\u9fff\uff00-\uffef]/g;
+
+/**
+ * 估算文本的 token 数
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    const cjk = (text.match(CJK_CHARS) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * 提示词构建器
+ * 按段落收集提示词，在 token 预算内按优先级保留、压缩或丢弃段落
+ *
+ * 主要功能：
+ * 1. 每个段落带优先级（数字越小越重要）和可选的摘要版本
+ * 2. required 段落（系统提示、任务控制）总是保留
+ * 3. 其余段落按优先级依次放入预算：放不下时改用摘要，摘要也放不下则丢弃
+ * 4. 输出保持段落的添加顺序，并在调试日志中报告压缩和丢弃的段落
+ */
+export class PromptBuilder {
+    /**
+     * @param {object} options - { budget }，budget 为 token 上限，未设置时不裁剪
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.budget = options.budget ?? null;
+        this.sections = [];
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 添加一个段落，空文本忽略
+     *
+     * @param {string} name - 段落名称（用于日志）
+     * @param {string} text - 完整文本
+     * @param {object} options - { priority, summary, required }
+     */
+    add(name, text, options = {}) {
+        if (!text) return this;
+        this.sections.push({
+            name,
+            text,
+            summary: options.summary || null,
+            priority: options.required ? -1 : (options.priority ?? 10),
+            required: Boolean(options.required)
+        });
+        return this;
+    }
+
+    /**
+     * 在预算内拼接提示词
+     *
+     * @returns {object} { text, tokens, budget, summarized: [name], dropped: [{ name, tokens }] }
+     */
+    build() {
+        const chosen = new Map();
+        const summarized = [];
+        const dropped = [];
+        let used = 0;
+
+        const byPriority = this.sections
+            .map((section, index) => ({ section, index }))
+            .sort((a, b) => (a.section.priority - b.section.priority) || (a.index - b.index));
+
+        for (const { section, index } of byPriority) {
+            const tokens = estimateTokens(section.text);
+            if (section.required || this.budget === null || used + tokens <= this.budget) {
+                chosen.set(index, section.text);
+                used += tokens;
+                continue;
+            }
+            const summaryTokens = estimateTokens(section.summary);
+            if (section.summary && used + summaryTokens <= this.budget) {
+                chosen.set(index, section.summary);
+                used += summaryTokens;
+                summarized.push(section.name);
+                continue;
+            }
+            dropped.push({ name: section.name, tokens });
+        }
+
+        const text = this.sections
+            .map((section, index) => chosen.get(index))
+            .filter(part => part !== undefined)
+            .join('');
+
+        if (summarized.length > 0 || dropped.length > 0) {
+            this.logDebug(`[PromptBuilder] ${used}/${this.budget} tokens; summarized: ${summarized.join(', ') || 'none'}; dropped: ${dropped.map(d => `${d.name} (~${d.tokens})`).join(', ') || 'none'}`);
+        }
+        if (this.budget !== null && used > this.budget) {
+            this.logDebug(`[PromptBuilder] required sections alone use ${used} tokens, over the budget of ${this.budget}`);
+        }
+        return { text, tokens: used, budget: this.budget, summarized, dropped };
+    }
+}
@@ -0,0 +1,97 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const TEMPLATE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'templates');
+const FALLBACK_LOCALE = 'en';
+
+const LOCALE_ALIASES = {
+    english: 'en',
+    chinese: 'zh',
+    'zh-cn': 'zh',
+    'zh-hans': 'zh',
+    'zh-tw': 'zh',
+    'zh-hant': 'zh'
+};
+
+// 每种语言的模板只读取一次
+const loaded = new Map();
+
+function loadLocale(locale, dir) {
+    const path = join(dir, `${locale}.json`);
+    if (!loaded.has(path)) {
+        let templates = {};
+        try {
+            if (existsSync(path)) templates = JSON.parse(readFileSync(path, 'utf8'));
+        } catch (err) {
+            console.warn(`[PromptTemplates] Failed to load ${path}:`, err.message);
+        }
+        loaded.set(path, templates);
+    }
+    return loaded.get(path);
+}
+
+/**
+ * settings.language / 配置中的语言名 → 模板文件名（"Chinese"、"zh-CN" → zh），未知语言返回 en
+ */
+export function normalizeLocale(language, dir = TEMPLATE_DIR) {
+    const lower = String(language || FALLBACK_LOCALE).toLowerCase().trim();
+    const locale = LOCALE_ALIASES[lower] || lower.split(/[-_]/)[0];
+    return existsSync(join(dir, `${locale}.json`)) ? locale : FALLBACK_LOCALE;
+}
+
+/**
+ * 提示词模板
+ * ImplicitEnhancer 及其组件的提示词片段，按语言保存在 templates/<locale>.json
+ *
+ * 主要功能：
+ * 1. 根据 settings.language 或配置文件中的 enhancer.language 选择语言
+ * 2. 当前语言缺少的片段回退到英文
+ * 3. 配置文件可以用 enhancer.prompts 覆盖单个片段
+ * 4. 片段中的 {name} 替换为参数；数组形式的片段按行拼接
+ */
+export class PromptTemplates {
+    /**
+     * @param {object} options - { language, overrides, dir }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.dir = options.dir || TEMPLATE_DIR;
+        this.locale = normalizeLocale(options.language, this.dir);
+        this.overrides = options.overrides || {};
+        this.templates = loadLocale(this.locale, this.dir);
+        this.fallback = loadLocale(FALLBACK_LOCALE, this.dir);
+
+        const unknown = Object.keys(this.overrides).filter(key => !(key in this.fallback));
+        if (unknown.length > 0) {
+            console.warn(`[PromptTemplates] Unknown keys in enhancer.prompts: ${unknown.join(', ')}`);
+        }
+        this.logDebug(`[PromptTemplates] locale=${this.locale} overrides=${Object.keys(this.overrides).length}`);
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 原始片段：配置覆盖 > 当前语言 > 英文
+     */
+    raw(key) {
+        const value = this.overrides[key] ?? this.templates[key] ?? this.fallback[key];
+        if (value === undefined) {
+            this.logDebug(`[PromptTemplates] Missing template "${key}"`);
+            return '';
+        }
+        return Array.isArray(value) ? value.join('\n') : String(value);
+    }
+
+    /**
+     * 渲染片段，{name} 替换为 vars.name（缺少的参数替换为空字符串）
+     */
+    t(key, vars = {}) {
+        return this.raw(key).replace(/\{(\w+)\}/g, (_, name) => (vars[name] ?? '') + '');
+    }
+}
@@ -0,0 +1,305 @@
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import minecraftData from 'minecraft-data';
+import { Vec3 } from 'vec3';
+import settings from '../../../settings.js';
+// 先加载命令表：implicit_enhancer → actions.js → conversation.js → commands/index.js 构成循环引用，
+// 从 actions.js 进入时 index.js 会在 actionsList 初始化之前执行
+import '../../agent/commands/index.js';
+import { ImplicitEnhancer } from './implicit_enhancer.js';
+import { parseCommands } from '../../agent/commands/parser.js';
+
+/**
+ * 回放用的假模型：按顺序返回脚本中的回复，脚本为空时返回 fallback
+ * 同一脚本可以派生多个模型名（用于匹配 prompt_budget 等按模型名生效的配置）
+ */
+export class ScriptedModel {
+    constructor(modelName = 'replay', script = null) {
+        this.model_name = modelName;
+        this.script = script || { responses: [], fallback: '', calls: [] };
+    }
+
+    withName(modelName) {
+        return new ScriptedModel(modelName, this.script);
+    }
+
+    queue(response) {
+        this.script.responses.push(response);
+    }
+
+    sendRequest(turns, systemPrompt) {
+        this.script.calls.push({ model: this.model_name, turns, systemPrompt });
+        const response = this.script.responses.length > 0 ? this.script.responses.shift() : this.script.fallback;
+        return Promise.resolve(response);
+    }
+
+    embed() {
+        return Promise.reject(new Error('embeddings are not available during replay'));
+    }
+}
+
+/**
+ * 快照中的 bot：库存、位置、时间、附近方块和实体来自快照文件，registry 来自 minecraft-data
+ *
+ * 快照格式：
+ *   { version, position: {x,y,z}, time, health, food, biome,
+ *     inventory: { item: count }, blocks: [{ name, x, y, z }], entities: [{ name, x, y, z }],
+ *     turns: { "<回放轮次>": { inventory, position, time, outcome } } }
+ * turns 中的状态在对应轮次之前应用，用来模拟动作执行后的库存变化；outcome 为 { label, success } 动作结果
+ */
+export class SnapshotBot {
+    constructor(snapshot = {}) {
+        this.registry = minecraftData(snapshot.version || settings.minecraft_version);
+        this.entity = { position: new Vec3(0, 64, 0) };
+        this.entities = {};
+        this.time = { timeOfDay: 1000 };
+        this.health = 20;
+        this.food = 20;
+        this.biome = 'plains';
+        this.counts = {};
+        this.blocks = [];
+        this.inventory = {
+            items: () => Object.entries(this.counts)
+                .filter(([, count]) => count > 0)
+                .map(([name, count]) => ({ name, count, type: this.registry.itemsByName[name]?.id })),
+            emptySlotCount: () => Math.max(0, 36 - this.inventory.items().length)
+        };
+        this.world = {
+            getBiome: () => this.registry.biomesByName?.[this.biome]?.id ?? 0
+        };
+        this.apply(snapshot);
+    }
+
+    /**
+     * 应用快照或某一轮的状态变化（只覆盖提供的字段）
+     */
+    apply(state = {}) {
+        const toVec3 = pos => new Vec3(pos.x || 0, pos.y || 0, pos.z || 0);
+        if (state.position) this.entity.position = toVec3(state.position);
+        if (state.time !== undefined) this.time = { timeOfDay: state.time };
+        if (state.health !== undefined) this.health = state.health;
+        if (state.food !== undefined) this.food = state.food;
+        if (state.biome) this.biome = state.biome;
+        if (state.inventory) this.counts = { ...state.inventory };
+        if (state.blocks) {
+            this.blocks = state.blocks.map(block => ({
+                name: block.name,
+                type: this.registry.blocksByName[block.name]?.id,
+                position: toVec3(block)
+            }));
+        }
+        if (state.entities) {
+            this.entities = Object.fromEntries(state.entities.map((entity, i) => [i + 1, { name: entity.name, position: toVec3(entity) }]));
+        }
+    }
+
+    blockAt(position) {
+        return this.blocks.find(block => block.position.equals(position)) || null;
+    }
+
+    findBlocks({ matching, maxDistance = 16, count = 1 } = {}) {
+        const ids = typeof matching === 'function' ? null : [].concat(matching);
+        return this.blocks
+            .filter(block => (ids ? ids.includes(block.type) : matching(block)))
+            .filter(block => block.position.distanceTo(this.entity.position) <= maxDistance)
+            .sort((a, b) => a.position.distanceTo(this.entity.position) - b.position.distanceTo(this.entity.position))
+            .slice(0, count)
+            .map(block => block.position);
+    }
+
+    findBlock(options = {}) {
+        const [position] = this.findBlocks({ ...options, count: 1 });
+        return position ? this.blockAt(position) : null;
+    }
+
+    /**
+     * minecraft-data 配方 → mineflayer 的 { delta: [{ id, count }] }（原料为负数，产物为正数）
+     */
+    recipesFor(itemId) {
+        return (this.registry.recipes?.[itemId] || []).map(recipe => {
+            const delta = new Map();
+            const add = (ingredient, count) => {
+                const id = typeof ingredient === 'object' && ingredient !== null ? ingredient.id : ingredient;
+                if (id === null || id === undefined || id < 0) return;
+                delta.set(id, (delta.get(id) || 0) + count);
+            };
+            (recipe.ingredients || (recipe.inShape || []).flat()).forEach(ingredient => add(ingredient, -1));
+            add(recipe.result, recipe.result?.count || 1);
+            return { delta: [...delta].map(([id, count]) => ({ id, count })) };
+        });
+    }
+}
+
+/**
+ * 逐行比较两段文本（最长公共子序列），返回带 "- " / "+ " 前缀的差异行，没有差异时返回空数组
+ */
+export function diffLines(expected, actual) {
+    const a = expected.split('\n');
+    const b = actual.split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            diff.push(`- ${a[i++]}`);
+        } else {
+            diff.push(`+ ${b[j++]}`);
+        }
+    }
+    return diff;
+}
+
+function modelName(modelConfig, fallback) {
+    if (!modelConfig || modelConfig === 'chat') return fallback;
+    return typeof modelConfig === 'string' ? modelConfig : modelConfig.model || fallback;
+}
+
+/**
+ * ImplicitEnhancer 离线回放
+ * 把 bots/<name>/histories/*.json 中记录的对话逐轮送入 ImplicitEnhancer 的流水线，不需要 Minecraft 服务器和真实模型
+ *
+ * 主要功能：
+ * 1. 每条记录的助手回复对应一轮：之前的对话作为输入，记录的回复（或 responses 中的脚本回复）作为模型输出
+ * 2. bot 来自快照文件（SnapshotBot），模型为 ScriptedModel；共享内存、情景记忆和任务文件写入临时目录
+ * 3. 每轮报告识别的意图、检索到的示例、任务步骤、改写后的命令，以及提示词与 golden 文件的差异
+ * 4. update 为 true 时把当前提示词写入 golden 文件
+ */
+export class ReplayHarness {
+    /**
+     * @param {object} options - { profile, snapshot, goldenDir, update, responses }
+     *   profile: 智能体配置（包含 enhancer），snapshot: 快照对象，responses: 按轮次替换记录回复的字符串数组
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.profile = options.profile || {};
+        this.snapshot = options.snapshot || {};
+        this.goldenDir = options.goldenDir || join(process.cwd(), 'data', 'replay', 'golden');
+        this.update = Boolean(options.update);
+        this.responses = options.responses || null;
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 为一次回放创建独立的 bot、模型和增强器
+     */
+    createEnhancer(workDir) {
+        const enhancerProfile = this.profile.enhancer || {};
+        const chatName = modelName(this.profile.model, 'replay');
+        const requestName = modelName(enhancerProfile.stage_models?.request ?? enhancerProfile.enhancer?.model, chatName);
+
+        // 只有 request 阶段的模型返回脚本回复；其他模型调用（如 llm 意图分类）得到空回复并走各自的后备逻辑
+        const requestModel = new ScriptedModel(requestName);
+        const otherModel = new ScriptedModel(chatName);
+        const bot = new SnapshotBot(this.snapshot);
+        const agent = { name: this.profile.name || 'replay', bot, actions: { lastOutcome: null } };
+
+        const enhancer = new ImplicitEnhancer({
+            ...enhancerProfile,
+            language: enhancerProfile.language || settings.language,
+            enhancer: { ...enhancerProfile.enhancer, debug: enhancerProfile.enhancer?.debug || this.debug },
+            agent,
+            createModel: modelConfig => otherModel.withName(modelName(modelConfig, chatName)),
+            chatModel: otherModel,
+            stage_models: { ...enhancerProfile.stage_models, request: requestModel },
+            team: { ...enhancerProfile.team, shared_state_path: join(workDir, 'team_state.json'), heartbeat_ms: 0 },
+            memory: { ...enhancerProfile.memory, episodes_dir: join(workDir, 'episodes') }
+        });
+        enhancer.getMissionPath = () => join(workDir, 'mission.json');
+        return { enhancer, bot, agent, requestModel };
+    }
+
+    /**
+     * 对比提示词与 golden 文件
+     *
+     * @returns {object} { status: 'same' | 'changed' | 'new' | 'updated', diff: [line] }
+     */
+    comparePrompt(historyName, turn, prompt) {
+        const goldenPath = join(this.goldenDir, historyName, `turn_${turn}.txt`);
+        const golden = existsSync(goldenPath) ? readFileSync(goldenPath, 'utf8') : null;
+        const diff = golden === null ? [] : diffLines(golden, prompt);
+
+        if (this.update && (golden === null || diff.length > 0)) {
+            mkdirSync(join(this.goldenDir, historyName), { recursive: true });
+            writeFileSync(goldenPath, prompt, 'utf8');
+            return { status: golden === null ? 'new' : 'updated', diff };
+        }
+        if (golden === null) return { status: 'new', diff };
+        return { status: diff.length > 0 ? 'changed' : 'same', diff };
+    }
+
+    /**
+     * 回放一个历史文件
+     *
+     * @param {string} historyFile - bots/<name>/histories/*.json
+     * @returns {object} { file, turns: [{ turn, index, input, intent, examples, mission, prompt, response, commands }], changed }
+     */
+    async replay(historyFile) {
+        const history = JSON.parse(readFileSync(historyFile, 'utf8'));
+        const historyName = basename(historyFile, '.json');
+        const workDir = mkdtempSync(join(tmpdir(), 'replay-'));
+        const report = { file: historyFile, turns: [], changed: 0 };
+
+        try {
+            const { enhancer, bot, agent, requestModel } = this.createEnhancer(workDir);
+            let turn = 0;
+            for (let i = 1; i < history.length; i++) {
+                if (history[i].role !== 'assistant') continue;
+                turn++;
+
+                const state = this.snapshot.turns?.[turn];
+                if (state) {
+                    bot.apply(state);
+                    if (state.outcome) agent.actions.lastOutcome = { ...state.outcome, finishedAt: Date.now() };
+                }
+                requestModel.queue(this.responses?.[turn - 1] ?? history[i].content);
+
+                const turns = history.slice(0, i);
+                const ctx = await enhancer.pipeline.run({ model: requestModel, turns, systemPrompt: this.snapshot.system_prompt || '', stop_seq: '***' });
+                const prompt = String(ctx.prompt ?? '');
+                const golden = this.comparePrompt(historyName, turn, prompt);
+                if (golden.status === 'changed') report.changed++;
+
+                const mission = enhancer.activeMission;
+                const step = mission.isActive ? mission.steps[mission.currentStep] : null;
+                report.turns.push({
+                    turn,
+                    index: i,
+                    input: turns[turns.length - 1]?.content || '',
+                    intent: ctx.intent ? { type: ctx.intent.type, subtype: ctx.intent.subtype, confidence: ctx.intent.confidence } : null,
+                    examples: (ctx.info || []).map(example => example.slug || example.name),
+                    mission: mission.isActive ? {
+                        plan: mission.planName,
+                        step: mission.currentStep + 1,
+                        total: mission.steps.length,
+                        goal: step?.goal || '',
+                        command: enhancer.getStepCommand(step)
+                    } : null,
+                    prompt: golden,
+                    response: ctx.response,
+                    commands: parseCommands(ctx.response || '').filter(command => !command.error).map(command => command.text)
+                });
+                this.logDebug(`[ReplayHarness] ${historyName} turn ${turn}: intent=${ctx.intent?.type || 'none'} prompt=${golden.status}`);
+            }
+        } finally {
+            rmSync(workDir, { recursive: true, force: true });
+        }
+        return report;
+    }
+}
@@ -0,0 +1,232 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { getInventoryCounts, getNearbyBlockTypes, getBiomeName } from '../../agent/library/world.js';
+import { parseCommand, formatCommand } from '../../agent/commands/parser.js';
+
+/**
+ * 声明式命令改写规则
+ * 从 data/rules/*.json 读取规则，替代 analyzeTaskRequirements 中硬编码的游戏知识
+ *
+ * 规则格式：
+ * {
+ *   "id": "cobblestone_from_stone",
+ *   "description": "...",
+ *   "enabled": true,
+ *   "priority": 100,
+ *   "match": {
+ *     "command": ["!collectBlocks"],                 // 命令名
+ *     "args": { "0": "cobblestone" },                // 参数：字符串 | { in } | { pattern } | { is_block }
+ *     "inventory": { "iron_ingot": { "min": 3 } },   // 库存：{ min, max }
+ *     "nearby_blocks": { "any": [], "none": [], "range": 32 },
+ *     "biome": { "in": [], "not_in": [], "pattern": "" }
+ *   },
+ *   "action": {
+ *     "rewrite": { "command": "$command", "args": ["stone", { "from": 1, "default": 1 }] },
+ *     "goal": "...",
+ *     "advice": "..."
+ *   }
+ * }
+ *
+ * 主要功能：
+ * 1. 加载规则目录下的所有 JSON 文件，文件变化时自动重新加载
+ * 2. 按优先级匹配命令、参数、库存、附近方块和生物群系
+ * 3. 返回与 analyzeTaskRequirements 相同的 { goal, command, advice }，只有建议时 command 保持不变
+ */
+export class RuleEngine {
+    /**
+     * @param {object} options - { rulesDir, nearbyRange }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.rulesDir = options.rulesDir || join(process.cwd(), 'data', 'rules');
+        this.nearbyRange = options.nearbyRange ?? 32;
+        this.rules = [];
+        this.signature = null;
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    computeSignature() {
+        if (!existsSync(this.rulesDir)) return '';
+        return readdirSync(this.rulesDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => `${file}:${statSync(join(this.rulesDir, file)).mtimeMs}`)
+            .join('|');
+    }
+
+    /**
+     * 规则文件变化时重新加载（文件可以是规则数组或 { rules: [...] }）
+     */
+    ensureLoaded() {
+        const signature = this.computeSignature();
+        if (signature === this.signature) return;
+
+        const rules = [];
+        if (existsSync(this.rulesDir)) {
+            const files = readdirSync(this.rulesDir).filter(file => file.endsWith('.json')).sort();
+            for (const file of files) {
+                try {
+                    const data = JSON.parse(readFileSync(join(this.rulesDir, file), 'utf8'));
+                    const list = Array.isArray(data) ? data : data.rules || [];
+                    list.forEach(rule => rules.push({ ...rule, source: file }));
+                } catch (err) {
+                    console.warn(`[RuleEngine] Failed to load rules from ${file}:`, err.message);
+                }
+            }
+        }
+
+        // 优先级高的先匹配，同优先级保持文件顺序
+        this.rules = rules
+            .map((rule, order) => ({ rule, order }))
+            .sort((a, b) => ((b.rule.priority ?? 0) - (a.rule.priority ?? 0)) || (a.order - b.order))
+            .map(({ rule }) => rule);
+        this.signature = signature;
+        this.logDebug(`[RuleEngine] loaded ${this.rules.length} rules from ${this.rulesDir}`);
+    }
+
+    getActiveRules() {
+        this.ensureLoaded();
+        return this.rules.filter(rule => rule.enabled !== false);
+    }
+
+    /**
+     * 为命令查找第一条匹配的规则
+     *
+     * @param {string} commandString - 如 '!collectBlocks("cobblestone", 3)'
+     * @param {object} bot - mineflayer bot
+     * @returns {object|null} { goal, command, advice, rule }
+     */
+    evaluate(commandString, bot) {
+        const parsed = parseCommand(commandString);
+        if (!parsed || parsed.error) return null;
+
+        const context = this.createContext(parsed, bot);
+        for (const rule of this.getActiveRules()) {
+            if (!this.matches(rule.match || {}, context)) continue;
+            const result = this.applyAction(rule, context, commandString);
+            this.logDebug(`[RuleEngine] rule "${rule.id}" matched ${commandString} -> ${result.command}`);
+            return result;
+        }
+        return null;
+    }
+
+    /**
+     * 匹配上下文；库存、附近方块和群系只在规则用到时读取
+     */
+    createContext(parsed, bot) {
+        const cache = {};
+        const lazy = (key, fn) => () => {
+            if (!(key in cache)) {
+                try {
+                    cache[key] = fn();
+                } catch {
+                    cache[key] = null;
+                }
+            }
+            return cache[key];
+        };
+        return {
+            bot,
+            name: parsed.name,
+            args: parsed.args.map(arg => arg.value),
+            inventory: lazy('inventory', () => (bot?.inventory ? getInventoryCounts(bot) : {})),
+            nearbyBlocks: lazy('nearby', () => (bot ? getNearbyBlockTypes(bot, this.nearbyRange) : [])),
+            biome: lazy('biome', () => (bot ? getBiomeName(bot) : null))
+        };
+    }
+
+    matches(match, context) {
+        if (match.command) {
+            const names = (Array.isArray(match.command) ? match.command : [match.command])
+                .map(name => (name.startsWith('!') ? name : '!' + name).toLowerCase());
+            if (!names.includes(context.name.toLowerCase())) return false;
+        }
+
+        for (const [index, condition] of Object.entries(match.args || {})) {
+            if (!this.matchArg(context.args[Number(index)], condition, context)) return false;
+        }
+
+        if (match.inventory) {
+            const inventory = context.inventory() || {};
+            for (const [item, range] of Object.entries(match.inventory)) {
+                const count = inventory[item] || 0;
+                if (range.min !== undefined && count < range.min) return false;
+                if (range.max !== undefined && count > range.max) return false;
+            }
+        }
+
+        if (match.nearby_blocks) {
+            const nearby = context.nearbyBlocks() || [];
+            const { any, none } = match.nearby_blocks;
+            if (any && !any.some(block => nearby.includes(block))) return false;
+            if (none && none.some(block => nearby.includes(block))) return false;
+        }
+
+        if (match.biome) {
+            const biome = context.biome();
+            if (!biome) return false;
+            if (match.biome.in && !match.biome.in.includes(biome)) return false;
+            if (match.biome.not_in && match.biome.not_in.includes(biome)) return false;
+            if (match.biome.pattern && !new RegExp(match.biome.pattern).test(biome)) return false;
+        }
+
+        return true;
+    }
+
+    matchArg(value, condition, context) {
+        if (value === undefined) return false;
+        const text = String(value).toLowerCase();
+        if (typeof condition === 'string' || typeof condition === 'number') {
+            return text === String(condition).toLowerCase();
+        }
+        if (condition.in && !condition.in.map(v => String(v).toLowerCase()).includes(text)) return false;
+        if (condition.pattern && !new RegExp(condition.pattern, 'i').test(text)) return false;
+        if (condition.is_block !== undefined) {
+            const isBlock = Boolean(context.bot?.registry?.blocksByName?.[text]);
+            if (isBlock !== condition.is_block) return false;
+        }
+        return true;
+    }
+
+    applyAction(rule, context, commandString) {
+        const action = rule.action || {};
+        let command = commandString;
+        if (action.rewrite) {
+            const name = !action.rewrite.command || action.rewrite.command === '$command'
+                ? context.name
+                : action.rewrite.command;
+            const args = (action.rewrite.args || []).map(spec => {
+                if (spec === null || typeof spec !== 'object') return spec;
+                const value = context.args[spec.from];
+                return value === undefined ? spec.default : value;
+            });
+            command = formatCommand(name, args);
+        }
+        return {
+            goal: action.goal || rule.description || rule.id,
+            command,
+            advice: action.advice || '',
+            rule: rule.id
+        };
+    }
+
+    /**
+     * 规则列表的文字描述（!rules 命令）
+     */
+    describe() {
+        const rules = this.getActiveRules();
+        if (rules.length === 0) return `No active rules in ${this.rulesDir}.`;
+        const lines = rules.map(rule => {
+            const commands = [].concat(rule.match?.command || 'any command').join('/');
+            const target = rule.action?.rewrite ? 'rewrite' : 'advice';
+            return `- ${rule.id} (priority ${rule.priority ?? 0}, ${rule.source}): ${rule.description || ''} [${commands} → ${target}]`;
+        });
+        return `Active rules:\n${lines.join('\n')}`;
+    }
+}
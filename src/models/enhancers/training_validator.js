@@ -0,0 +1,458 @@
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import * as mc from '../../utils/mcdata.js';
+// index.js 要先于 actions.js 加载：actions.js → conversation.js → index.js 是循环引用，
+// 从 actions.js 进入时 index.js 会在 actionsList 初始化之前执行
+import { parseCommandMessage } from '../../agent/commands/index.js';
+import { actionsList } from '../../agent/commands/actions.js';
+import { parseCommands, formatCommand } from '../../agent/commands/parser.js';
+import { PRECONDITION_TYPES, toPrecondition, evaluatePrecondition } from './precondition_schema.js';
+import { ItemNormalizer } from './item_normalizer.js';
+import { MissionPlanner } from './mission_planner.js';
+
+// verify_cmd 是 MissionVerifier 的验证语法，不是可执行命令
+const VERIFY_COMMANDS = ['!inventory', '!nearbyBlocks'];
+
+const JSON_TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number',
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * 按 JSON Schema 的常用子集校验（type、required、properties、additionalProperties、
+ * items、enum、minItems、minLength、minimum、pattern）
+ *
+ * @returns {string[]} 错误列表，形如 "plan[0].step: expected integer"
+ */
+export function checkSchema(value, schema, path = '$') {
+    const errors = [];
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => JSON_TYPES[type]?.(value))) {
+        return [`${path}: expected ${types.join(' or ')}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must not be empty`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+        if (schema.items) value.forEach((item, i) => errors.push(...checkSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    if (JSON_TYPES.object(value)) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: missing "${key}"`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (schema.properties?.[key]) {
+                errors.push(...checkSchema(child, schema.properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unknown property "${key}"`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * 训练数据校验与编写工具
+ * 供 training.js 命令行使用
+ *
+ * 主要功能：
+ * 1. 按 data/schemas/training_example.json 校验每个示例
+ * 2. action_cmd 必须能解析、是 actionsList 中的命令、参数个数和物品名正确；verify_cmd 只能用 MissionVerifier 支持的语法
+ * 3. 模拟库存逐步执行计划，检查前面步骤的产出能否满足后面步骤的 has_item / has_tool_tier 前置条件
+ * 4. 修复：单引号命令改为标准格式，自由文本前置条件升级为结构化条件
+ * 5. 根据 getDetailedCraftingPlan 生成示例骨架
+ */
+export class TrainingValidator {
+    /**
+     * @param {object} options - { trainingDir, schemaPath }
+     * @param {boolean} debug
+     */
+    constructor(options = {}, debug = false) {
+        this.debug = debug;
+        this.trainingDir = options.trainingDir || join(process.cwd(), 'data', 'training');
+        this.schemaPath = options.schemaPath || join(process.cwd(), 'data', 'schemas', 'training_example.json');
+        this.schema = JSON.parse(readFileSync(this.schemaPath, 'utf8'));
+        this.itemNormalizer = new ItemNormalizer(debug);
+        this.missionPlanner = new MissionPlanner({}, debug);
+        this.actionNames = new Set(actionsList.map(action => action.name));
+    }
+
+    logDebug(...args) {
+        if (this.debug) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * 训练目录下的示例文件（不含 intents 等子目录）
+     */
+    listFiles() {
+        if (!existsSync(this.trainingDir)) return [];
+        return readdirSync(this.trainingDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => join(this.trainingDir, file));
+    }
+
+    /**
+     * 校验意图分类表：training_files 引用的文件必须存在于训练目录
+     *
+     * @param {string} filePath - 默认为 <trainingDir>/intents/taxonomy.json
+     * @returns {object} { file, intents, issues: [{ level, where, message }] }
+     */
+    validateTaxonomy(filePath = join(this.trainingDir, 'intents', 'taxonomy.json')) {
+        const report = { file: filePath, intents: 0, fixed: 0, issues: [] };
+        let taxonomy;
+        try {
+            taxonomy = JSON.parse(readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            report.issues.push({ level: 'error', where: filePath, message: `cannot read JSON: ${err.message}` });
+            return report;
+        }
+
+        const intents = Object.entries(taxonomy.intents || {});
+        report.intents = intents.length;
+        if (taxonomy.default && !taxonomy.intents?.[taxonomy.default]) {
+            report.issues.push({ level: 'error', where: 'default', message: `unknown intent "${taxonomy.default}"` });
+        }
+        for (const [intent, config] of intents) {
+            for (const file of config.training_files || []) {
+                if (!existsSync(join(this.trainingDir, file))) {
+                    report.issues.push({ level: 'error', where: `${intent}.training_files`, message: `${file} does not exist in ${this.trainingDir}` });
+                }
+            }
+        }
+        return report;
+    }
+
+    /**
+     * 校验一个训练文件
+     *
+     * @param {string} filePath
+     * @param {object} options - { fix, upgradePreconditions, startInventory }
+     * @returns {object} { file, examples, fixed, issues: [{ level, where, message }] }
+     */
+    validateFile(filePath, options = {}) {
+        const report = { file: filePath, examples: 0, fixed: 0, issues: [] };
+        let data;
+        try {
+            data = JSON.parse(readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            report.issues.push({ level: 'error', where: filePath, message: `cannot read JSON: ${err.message}` });
+            return report;
+        }
+        if (!Array.isArray(data)) {
+            report.issues.push({ level: 'error', where: filePath, message: 'file must contain an array of examples' });
+            return report;
+        }
+
+        const slugs = new Set();
+        data.forEach((example, index) => {
+            const where = example?.slug || `#${index}`;
+            if (slugs.has(example?.slug)) {
+                report.issues.push({ level: 'error', where, message: 'duplicate slug' });
+            }
+            slugs.add(example?.slug);
+            if (options.fix) report.fixed += this.fixExample(example, options);
+            report.issues.push(...this.validateExample(example, options).map(issue => ({ ...issue, where: `${where} ${issue.where}`.trim() })));
+        });
+        report.examples = data.length;
+
+        if (options.fix && report.fixed > 0) {
+            writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+        }
+        return report;
+    }
+
+    /**
+     * 校验一个示例
+     *
+     * @returns {Array} [{ level: 'error' | 'warning', where, message }]
+     */
+    validateExample(example, options = {}) {
+        const issues = checkSchema(example, this.schema)
+            .map(message => ({ level: 'error', where: '', message }));
+        if (!Array.isArray(example?.plan)) return issues;
+
+        example.plan.forEach((step, i) => {
+            const where = `step ${step?.step ?? i + 1}`;
+            if (step?.step !== undefined && step.step !== i + 1) {
+                issues.push({ level: 'warning', where, message: `step number should be ${i + 1}` });
+            }
+            for (const command of step?.action_cmd || []) {
+                issues.push(...this.checkActionCommand(command).map(issue => ({ ...issue, where })));
+            }
+            for (const command of step?.verify_cmd || []) {
+                issues.push(...this.checkVerifyCommand(command).map(issue => ({ ...issue, where })));
+            }
+            for (const cond of step?.preconditions || []) {
+                if (typeof cond === 'object' && cond !== null && !PRECONDITION_TYPES[cond.type]) {
+                    issues.push({ level: 'error', where, message: `unknown precondition type "${cond.type}"` });
+                } else if (toPrecondition(cond).type === 'text') {
+                    issues.push({ level: 'warning', where, message: `precondition "${cond}" is free text and cannot be checked` });
+                }
+            }
+        });
+
+        issues.push(...this.checkChain(example.plan, options.startInventory || {}));
+        return issues;
+    }
+
+    /**
+     * 模糊名称（log、planks、ore）在运行时由 ImplicitEnhancer 解析为具体物品
+     */
+    isGenericName(name) {
+        return Boolean(this.itemNormalizer.toGeneric(name));
+    }
+
+    checkActionCommand(command) {
+        const [parsed] = parseCommands(command);
+        if (!parsed) return [{ level: 'error', message: `"${command}" is not a command` }];
+        if (parsed.error) return [{ level: 'error', message: `"${command}": ${parsed.error.message}` }];
+
+        const issues = [];
+        if (!this.actionNames.has(parsed.name)) {
+            issues.push({ level: 'error', message: `${parsed.name} is not an action in actionsList` });
+            return issues;
+        }
+        if (parsed.args.some(arg => arg.raw.startsWith("'"))) {
+            issues.push({ level: 'warning', message: `"${command}" uses single quotes; run with --fix to normalize` });
+        }
+
+        const result = parseCommandMessage(command);
+        if (typeof result === 'string') {
+            const generic = parsed.args.find(arg => typeof arg.value === 'string' && this.isGenericName(arg.value));
+            if (generic && /^Invalid (block|item) type/.test(result)) {
+                issues.push({ level: 'warning', message: `"${generic.value}" in ${parsed.name} is a generic name, resolved to a variant at runtime` });
+            } else {
+                issues.push({ level: 'error', message: `"${command}": ${result}` });
+            }
+        }
+        return issues;
+    }
+
+    checkVerifyCommand(command) {
+        const [parsed] = parseCommands(command);
+        if (!parsed || parsed.error) return [{ level: 'error', message: `verify command "${command}" does not parse` }];
+        if (!VERIFY_COMMANDS.includes(parsed.name)) {
+            return [{ level: 'error', message: `verify command must be one of ${VERIFY_COMMANDS.join(', ')}, got ${parsed.name}` }];
+        }
+        const name = parsed.args[0]?.value;
+        if (typeof name !== 'string') return [{ level: 'error', message: `verify command "${command}" needs an item or block name` }];
+        if (mc.getItemId(name) === null && mc.getBlockId(name) === null && !this.isGenericName(name)) {
+            return [{ level: 'error', message: `unknown item or block "${name}" in "${command}"` }];
+        }
+        return [];
+    }
+
+    /**
+     * 用模拟库存逐步执行计划，检查每一步的物品和工具前置条件是否由前面的步骤（或起始库存）提供
+     */
+    checkChain(plan, startInventory = {}) {
+        const issues = [];
+        const inventory = { ...startInventory };
+        const items = () => Object.entries(inventory)
+            .filter(([, count]) => count > 0)
+            .map(([name, count]) => ({ name, count }));
+
+        plan.forEach((step, i) => {
+            const where = `step ${step?.step ?? i + 1}`;
+            for (const cond of step?.preconditions || []) {
+                const condition = toPrecondition(cond);
+                if (condition.type !== 'has_item' && condition.type !== 'has_tool_tier') continue;
+                const result = evaluatePrecondition(condition, null, items());
+                if (result.met === false) {
+                    issues.push({ level: 'warning', where, message: `"${result.description}" is not produced by earlier steps (${result.detail})` });
+                }
+            }
+            for (const command of step?.action_cmd || []) {
+                this.simulateCommand(command, inventory);
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 按命令更新模拟库存：采集加入方块掉落物，合成消耗原料并加入产物，冶炼加入冶炼产物
+     */
+    simulateCommand(command, inventory) {
+        const [parsed] = parseCommands(command);
+        if (!parsed || parsed.error) return;
+        const [name, num = 1] = parsed.args.map(arg => arg.value);
+        if (typeof name !== 'string') return;
+        const add = (item, count) => {
+            inventory[item] = (inventory[item] || 0) + count;
+        };
+        const take = (item, count) => {
+            const key = Object.keys(inventory).find(owned => owned === item || owned.endsWith(`_${item}`) || item.endsWith(`_${owned}`));
+            if (key) inventory[key] = Math.max(inventory[key] - count, 0);
+        };
+
+        if (parsed.name === '!collectBlocks') {
+            const block = mc.getAllBlocks().find(b => b.name === name);
+            const drops = (block?.drops || [])
+                .map(drop => mc.getItemName(typeof drop === 'object' ? drop.drop?.id ?? drop.drop : drop))
+                .filter(Boolean);
+            add(drops[0] || name, num);
+        } else if (parsed.name === '!craftRecipe') {
+            const recipe = mc.getItemCraftingRecipes(this.itemNormalizer.normalize(name))?.[0];
+            if (!recipe) return;
+            const [ingredients, { craftedCount }] = recipe;
+            for (const [ingredient, amount] of Object.entries(ingredients)) take(ingredient, amount * num);
+            add(name, num * craftedCount);
+        } else if (parsed.name === '!smeltItem') {
+            const output = this.smeltingOutput(name);
+            take(name, num);
+            if (output) add(output, num);
+        }
+    }
+
+    /**
+     * 冶炼产物（getItemSmeltingIngredient 的反查）："raw_iron" / "iron_ore" → iron_ingot
+     */
+    smeltingOutput(input) {
+        const base = input.replace(/^(deepslate_|raw_)/, '').replace(/_ore$/, '');
+        const candidates = [`${base}_ingot`, `cooked_${base}`, base, 'glass', 'stone', 'smooth_stone', 'charcoal', 'baked_potato', 'dried_kelp', 'steak'];
+        return candidates.find(candidate => {
+            const ingredient = mc.getItemSmeltingIngredient(candidate);
+            return ingredient && (ingredient === input || ingredient === `raw_${base}` || ingredient === base);
+        }) || null;
+    }
+
+    /**
+     * 单引号命令改为标准格式；upgradePreconditions 时把能识别的自由文本前置条件改为结构化条件
+     *
+     * @returns {number} 修改的数量
+     */
+    fixExample(example, options = {}) {
+        let fixed = 0;
+        for (const step of example?.plan || []) {
+            for (const key of ['action_cmd', 'verify_cmd']) {
+                if (!Array.isArray(step[key])) continue;
+                step[key] = step[key].map(command => {
+                    const [parsed] = parseCommands(command);
+                    if (!parsed || parsed.error || parsed.text !== command.trim()) return command;
+                    const normalized = formatCommand(parsed.name, parsed.args.map(arg => arg.value));
+                    if (normalized !== command) fixed++;
+                    return normalized;
+                });
+            }
+            if (options.upgradePreconditions && Array.isArray(step.preconditions)) {
+                step.preconditions = step.preconditions.map(cond => {
+                    if (typeof cond !== 'string') return cond;
+                    const typed = toPrecondition(cond);
+                    if (typed.type === 'text') return cond;
+                    fixed++;
+                    return typed;
+                });
+            }
+        }
+        return fixed;
+    }
+
+    /**
+     * 根据 getDetailedCraftingPlan 生成示例骨架（文字说明留 TODO 给作者填写）
+     *
+     * @param {string} item - 目标物品
+     * @param {number} count - 数量
+     * @returns {object} 训练示例
+     */
+    generateSkeleton(item, count = 1) {
+        const text = mc.getDetailedCraftingPlan(item, count, {});
+        if (text.startsWith('Invalid input')) throw new Error(`Unknown item: ${item}`);
+
+        const words = name => name.replace(/_/g, ' ');
+        const steps = [];
+        const push = step => steps.push({
+            step: steps.length + 1,
+            action_nl: 'TODO',
+            preconditions: [],
+            notes: 'TODO',
+            ...step
+        });
+        const gather = (name, amount) => {
+            const input = mc.getItemSmeltingIngredient(name);
+            if (input) {
+                gather(input, amount);
+                push({
+                    goal: `Smelt ${words(input)} into ${words(name)}`,
+                    action_cmd: [formatCommand('smeltItem', [input, amount])],
+                    verify_cmd: [formatCommand('inventory', [name])],
+                    preconditions: [
+                        { type: 'station_placed', station: 'furnace', range: 32, or_in_inventory: true },
+                        { type: 'has_item', item: input, count: amount }
+                    ],
+                    expected: `At least ${amount} ${words(name)} in inventory.`
+                });
+                return;
+            }
+            const block = this.missionPlanner.pickSourceBlock(name) || name;
+            const tool = mc.getBlockTool(block);
+            const [tier, ...rest] = (tool || '').split('_');
+            push({
+                goal: `Collect ${amount} ${words(name)}`,
+                action_cmd: [formatCommand('collectBlocks', [block, amount])],
+                verify_cmd: [formatCommand('inventory', [name])],
+                preconditions: tool ? [{ type: 'has_tool_tier', tool: rest.join('_'), tier }] : [],
+                expected: `At least ${amount} ${words(name)} in inventory.`
+            });
+        };
+
+        // 缺少的基础物品："- 3 iron_ingot"
+        const missingSection = text.split('Once you have these items')[0];
+        for (const [, amount, name] of missingSection.matchAll(/^- (\d+) (\S+)$/gm)) {
+            gather(name, Number(amount));
+        }
+        if (text.includes('is a base item')) {
+            gather(item, count);
+        }
+
+        // 合成步骤："Craft 3 iron_ingot + 2 stick -> 1 iron_axe"
+        for (const [, ingredients, produced, name] of text.matchAll(/^Craft (.+) -> (\d+) (\S+)$/gm)) {
+            const [, { craftedCount, requiresTable }] = mc.getItemCraftingRecipes(name)[0];
+            const batches = Math.ceil(Number(produced) / craftedCount);
+            const consumes = ingredients.split(' + ').map(part => part.match(/^(\d+) (\S+)$/)).filter(Boolean);
+            push({
+                goal: `Craft ${produced} ${words(name)}`,
+                action_cmd: [formatCommand('craftRecipe', [name, batches])],
+                verify_cmd: [formatCommand('inventory', [name])],
+                preconditions: [
+                    ...(requiresTable ? [{ type: 'station_placed', station: 'crafting_table', range: 32, or_in_inventory: true }] : []),
+                    ...consumes.map(([, amount, ingredient]) => ({ type: 'has_item', item: ingredient, count: Number(amount) }))
+                ],
+                expected: `At least ${produced} ${words(name)} in inventory.`
+            });
+        }
+
+        return {
+            slug: `crafting/${item}`,
+            name: `Craft ${count > 1 ? `${count} ` : ''}${words(item)}`,
+            tab: 'crafting',
+            level: 'L1',
+            rationale: 'TODO: why a player would want this item.',
+            actual: 'TODO: how the item is made in game.',
+            plan: steps.map(step => ({
+                step: step.step,
+                goal: step.goal,
+                action_nl: step.action_nl,
+                action_cmd: step.action_cmd,
+                verify_cmd: step.verify_cmd,
+                preconditions: step.preconditions,
+                expected: step.expected,
+                notes: step.notes
+            }))
+        };
+    }
+}
@@ -25,6 +25,7 @@ import { OpenRouter } from './openrouter.js';
 import { Enhancer } from './enhancers/enhancer.js';
 import { ImplicitEnhancer } from './enhancers/implicit_enhancer.js';
 import { History } from '../agent/history.js';
+import { serverProxy } from '../agent/agent_proxy.js';
 
 export class Prompter {
     constructor(agent, fp) {
@@ -59,8 +60,6 @@ export class Prompter {
         if (this.profile.max_tokens)
             max_tokens = this.profile.max_tokens;
 
-        this.enhancer = this._createEnhancer(this.profile.enhancer);
-
         let chat_model_profile = this._selectAPI(this.profile.model);
         this.chat_model = this._createModel(chat_model_profile);
 
@@ -80,6 +79,9 @@ export class Prompter {
             this.vision_model = this.chat_model;
         }
 
+        // created after the models so the enhancer can reuse the chat model
+        this.enhancer = this._createEnhancer(this.profile.enhancer);
+
         let embedding = this.profile.embedding;
         if (embedding === undefined) {
             if (chat_model_profile.api !== 'ollama')
@@ -142,7 +144,15 @@ export class Prompter {
             } else if (profile.name == "implicit_enhancer") {
                 this.enhancer_name = profile.name;
                 console.log(`[Prompter] Using enhancer: ${profile.name}`);
-                return new ImplicitEnhancer({ ...profile, agent: this.agent });
+                return new ImplicitEnhancer({
+                    ...profile,
+                    language: profile.language || settings.language,
+                    agent: this.agent,
+                    createModel: (model_profile) => this._createModel(this._selectAPI(model_profile)),
+                    chatModel: this.chat_model,
+                    // team.backend "socket": the ledger lives in the monitor server the agent connects to
+                    getTeamSocket: () => serverProxy.getSocket()
+                });
             } else {
                 console.log("Invalid enhancer name. Use default enhancer.");
                 this.enhancer_name = "mc_ai-enhancer";
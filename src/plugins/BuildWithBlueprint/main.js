@@ -18,6 +18,7 @@ export class PluginInstance {
         this.item_goal = new ItemGoal(agent);
         this.build_goal = new BuildGoal(agent);
         this.blueprints = {};
+        this.on_finished = null;
     }
 
     getPluginActions() {
@@ -87,11 +88,36 @@ export class PluginInstance {
     }
 
     stop() {
+        this.finish(false);
         this.goals = [];
         this.blueprint = null;
         this.built = {};
     }
 
+    finish(success) {
+        const on_finished = this.on_finished;
+        this.on_finished = null;
+        if (on_finished) on_finished(success);
+    }
+
+    /**
+     * Build part of a blueprint at a fixed position, e.g. a section of a team build goal.
+     * @param {string} name - name of the blueprint.
+     * @param {Array} blocks - the blocks of the section, in blueprint coordinates.
+     * @param {Object} origin - world position of the blueprint's origin shared by the whole team.
+     * @param {Function} on_finished - called with true when the section is built, false when it is stopped.
+     **/
+    async buildSection(name, blocks, origin, on_finished = null) {
+        if (this.blueprints[name] === undefined || blocks.length < 1) {
+            console.log(`Can't find blocks to build for blueprint: ${name}.`);
+            if (on_finished) on_finished(false);
+            return;
+        }
+        await this.setGoal(name, 1, '', {name: name, blocks: blocks.map(block => [...block])});
+        this.built.position = new Vec3(origin.x, origin.y, origin.z);
+        this.on_finished = on_finished;
+    }
+
     async setGoal(name, quantity=1, idea="", blueprint=null) {
         this.stop();
         if (name) {
@@ -244,6 +270,7 @@ export class PluginInstance {
             this.agent.bot.emit("idle");
         } else {
             this.agent.bot.chat(`I finished the building.`);
+            this.finish(true);
             this.stop();
         }
     }
@@ -0,0 +1,81 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+
+export const BASE_URL = 'https://minecraft-ai-embodied-benchmark.megrez.plus/api';
+export const GUIDE_CACHE_PATH = join(process.cwd(), 'data', 'cache', 'guides.json');
+
+const EMPTY_CACHE = { fetched_at: null, advancements: [], guides: {} };
+
+async function fetchJson(path) {
+    const response = await fetch(`${BASE_URL}${path}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Steps of a guide entry, which is either a step array or an object with a steps array.
+ */
+export function guideSteps(guide) {
+    if (Array.isArray(guide)) return guide;
+    return Array.isArray(guide?.steps) ? guide.steps : [];
+}
+
+export function hasGuideCache(cachePath = GUIDE_CACHE_PATH) {
+    return existsSync(cachePath);
+}
+
+/**
+ * Read the local copy of the benchmark guides. Returns an empty cache when none has been downloaded yet.
+ */
+export function readGuideCache(cachePath = GUIDE_CACHE_PATH) {
+    if (!existsSync(cachePath)) return { ...EMPTY_CACHE };
+    try {
+        const data = JSON.parse(readFileSync(cachePath, 'utf8'));
+        return {
+            fetched_at: data.fetched_at || null,
+            advancements: Array.isArray(data.advancements) ? data.advancements : [],
+            guides: data.guides && typeof data.guides === 'object' ? data.guides : {}
+        };
+    } catch (error) {
+        console.warn(`[GuideCache] Failed to read ${cachePath}:`, error.message);
+        return { ...EMPTY_CACHE };
+    }
+}
+
+/**
+ * Download guides and advancements from the benchmark API and overwrite the local cache.
+ */
+export async function refreshGuideCache(cachePath = GUIDE_CACHE_PATH) {
+    const [advancementsData, guides] = await Promise.all([
+        fetchJson('/advancements').catch(error => {
+            console.warn('[GuideCache] Failed to fetch advancements:', error.message);
+            return { advancements: [] };
+        }),
+        fetchJson('/guides')
+    ]);
+    const data = {
+        fetched_at: new Date().toISOString(),
+        advancements: advancementsData?.advancements || [],
+        guides: guides || {}
+    };
+    mkdirSync(dirname(cachePath), { recursive: true });
+    writeFileSync(cachePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    console.log(`[GuideCache] Cached ${Object.keys(data.guides).length} guides and ${data.advancements.length} advancements in ${cachePath}`);
+    return data;
+}
+
+/**
+ * Guides and advancements from the local cache; the remote API is only contacted when refresh is true.
+ *
+ * @param {object} options - { refresh, cachePath }
+ * @returns {object} { fetched_at, advancements: [{ name, slug, ... }], guides: { id: [steps] } }
+ */
+export async function loadGuides(options = {}) {
+    const cachePath = options.cachePath || GUIDE_CACHE_PATH;
+    if (options.refresh) {
+        return await refreshGuideCache(cachePath);
+    }
+    return readGuideCache(cachePath);
+}
@@ -1,16 +1,9 @@
-const BASE_URL = 'https://minecraft-ai-embodied-benchmark.megrez.plus/api';
+import { loadGuides, refreshGuideCache, hasGuideCache, guideSteps } from './guide_cache.js';
+import { GuideImporter } from '../../models/enhancers/guide_importer.js';
 
-export async function getAdvancements() {
-    try {
-        const response = await fetch(`${BASE_URL}/advancements`);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.json();
-    } catch (error) {
-        console.error('Error fetching advancements:', error);
-        throw error;
-    }
+export async function getAdvancements(options = {}) {
+    const { advancements } = await loadGuides(options);
+    return { advancements };
 }
 
 async function semanticGuideMatch(query, guideKeys, agent) {
@@ -37,24 +30,27 @@ async function semanticGuideMatch(query, guideKeys, agent) {
     }
 }
 
-export async function searchGuides(query, agent = null) {
+/**
+ * Search the local guide cache. Pass { refresh: true } to download the guides from the benchmark API first.
+ */
+export async function searchGuides(query, agent = null, options = {}) {
     try {
-        const [advancementsData, guidesResponse] = await Promise.all([
-            getAdvancements().catch(() => ({ advancements: [] })),
-            fetch(`${BASE_URL}/guides`)
-        ]);
-
-        if (!guidesResponse.ok) {
-            throw new Error(`HTTP error! status: ${guidesResponse.status}`);
+        const cache = await loadGuides(options);
+        const advancementsData = { advancements: cache.advancements };
+        const allGuides = {};
+        for (const [id, guide] of Object.entries(cache.guides)) {
+            allGuides[id] = guideSteps(guide);
+        }
+        if (!cache.fetched_at) {
+            console.warn('[GuideSearch] No local guide cache. Use !refreshGuides or "node training.js import-guides --refresh" to download it.');
         }
-        const allGuides = await guidesResponse.json();
 
         const lowerQuery = query.toLowerCase();
         const relevantSlugs = new Set();
 
         if (advancementsData && advancementsData.advancements) {
             for (const adv of advancementsData.advancements) {
-                if (adv.name && adv.name.toLowerCase().includes(lowerQuery)) {
+                if (adv.name && adv.slug && adv.name.toLowerCase().includes(lowerQuery)) {
                     relevantSlugs.add(adv.slug);
                     if (adv.slug.includes('/')) {
                         relevantSlugs.add(adv.slug.split('/').pop());
@@ -122,7 +118,7 @@ export class PluginInstance {
         return [
             {
                 name: '!searchGuide',
-                description: 'Search for a guide on how to do something in Minecraft from the online benchmark database.',
+                description: 'Search for a guide on how to do something in Minecraft from the local copy of the benchmark guide database.',
                 params: {
                     'query': { type: 'string', description: 'The topic or item to search for (e.g. "crafting table", "kill zombie").' },
                 },
@@ -146,7 +142,9 @@ export class PluginInstance {
                             console.log(`[GuideReader] ${output}`);
                             return output;
                         } else {
-                            const msg = `No guides found for "${query}".`;
+                            const msg = hasGuideCache()
+                                ? `No guides found for "${query}".`
+                                : `No guides found for "${query}": the guide cache is empty. Use !refreshGuides to download it.`;
                             agent.history.add('system', msg);
                             return msg;
                         }
@@ -158,6 +156,25 @@ export class PluginInstance {
                     }
                 }
             },
+            {
+                name: '!refreshGuides',
+                description: 'Download the latest guides from the online benchmark database into the local cache and import them as training examples.',
+                params: {},
+                perform: async function (agent) {
+                    try {
+                        const data = await refreshGuideCache();
+                        const report = new GuideImporter().importGuides(data);
+                        const msg = `Cached ${Object.keys(data.guides).length} guides. Training examples: ${report.added} added, ${report.updated} updated, ${report.skipped.length} skipped.`;
+                        agent.history.add('system', msg);
+                        return msg;
+                    } catch (error) {
+                        const errMsg = `Error refreshing guides: ${error.message}`;
+                        console.error(errMsg);
+                        agent.history.add('system', errMsg);
+                        return errMsg;
+                    }
+                }
+            },
         ]
     }
 }
@@ -1,4 +1,5 @@
 import { searchGuides } from '../GuideReader/main.js';
+import { hasGuideCache } from '../GuideReader/guide_cache.js';
 
 export class PluginInstance {
     constructor(agent) {
@@ -142,7 +143,9 @@ export class PluginInstance {
         }
 
         if (!guides || guides.length === 0) {
-            const msg = `No guides found for "${guideQuery}".`;
+            const msg = hasGuideCache()
+                ? `No guides found for "${guideQuery}".`
+                : `No guides found for "${guideQuery}": the guide cache is empty. Use !refreshGuides to download it.`;
             if (this.agent?.history) {
                 await this.agent.history.add('system', msg);
             }
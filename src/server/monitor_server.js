@@ -10,6 +10,8 @@ import cors_proxy from 'cors-anywhere';
 import { splitContentAndJSON } from '../utils/generation.js';
 import { Prompter } from './monitor_prompter.js';
 import { commands } from './monitor_commands.js';
+import { SharedMemory } from '../team/shared_memory.js';
+import { TeamCoordinator } from '../team/team_coordinator.js';
 import cors from 'cors';
 import FormData from 'form-data';
 
@@ -26,6 +28,8 @@ const actionLogs = []; // Store action logs
 const monitorMessages = [];
 
 const prompter = new Prompter();
+let teamLedger = null; // team ledger shared with the agents, see SocketSharedMemory
+let teamCoordinator = null;
 
 // New data structures for API functionality
 const agentDatabase = {}; // Store detailed agent information
@@ -383,6 +387,90 @@ export function createMonitorServer(port = 8080) {
         }
     });
 
+    // ==================== TEAM GOALS ====================
+
+    // Every change is pushed to the agents that use the socket backend
+    teamLedger = new SharedMemory({
+        agentName: 'monitor',
+        path: settings.team_state_path,
+        onChange: (patch) => io.to('team').emit('team-patch', patch)
+    });
+    teamCoordinator = new TeamCoordinator({ sharedMemory: teamLedger });
+
+    app.get('/api/team/goals', (req, res) => {
+        try {
+            teamCoordinator.refresh();
+            res.json({
+                success: true,
+                data: teamCoordinator.listGoals({ includeFinished: req.query.all === 'true' })
+            });
+        } catch (error) {
+            console.error('Error listing team goals:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to list team goals"
+            });
+        }
+    });
+
+    // Body: { kind: "collect" | "build", target, agents?, origin?, sections? }
+    app.post('/api/team/goals', (req, res) => {
+        const { kind, target, agents, sections } = req.body;
+        let { origin } = req.body;
+        if (!kind || !target) {
+            return res.status(400).json({
+                success: false,
+                error: "MISSING_GOAL",
+                message: "Goal kind and target are required"
+            });
+        }
+        try {
+            // Build next to the first agent if no position is given
+            if (kind === 'build' && !origin) {
+                const name = (agents && agents[0]) || [...registeredAgents].find(agent => agentDatabase[agent]?.status === 'online');
+                origin = name ? agentDatabase[name]?.coordinates : null;
+            }
+            const goal = teamCoordinator.createGoal({ kind, target, agents: agents || null, origin: origin || null, sections: sections || null, createdBy: 'monitor' });
+            teamCoordinator.refresh();
+            addActionLog('teamGoal', `Created team goal ${goal.id} with ${goal.subtasks.length} subtasks.`, JSON.stringify({ kind, target }), 'delivered');
+            res.json({
+                success: true,
+                data: goal
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: "INVALID_GOAL",
+                message: error.message
+            });
+        }
+    });
+
+    app.post('/api/team/goals/:goalId/cancel', (req, res) => {
+        try {
+            const goal = teamCoordinator.cancelGoal(req.params.goalId);
+            if (!goal) {
+                return res.status(404).json({
+                    success: false,
+                    error: "GOAL_NOT_FOUND",
+                    message: "No open team goal with this id"
+                });
+            }
+            res.json({
+                success: true,
+                data: goal
+            });
+        } catch (error) {
+            console.error('Error cancelling team goal:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to cancel team goal"
+            });
+        }
+    });
+
     // Transcribe audio endpoint
     // In monitor_server.js, update the transcribe endpoint
     app.post('/api/transcribe', async (req, res) => {
@@ -835,6 +923,24 @@ export function createMonitorServer(port = 8080) {
            logoutAgent(agentName); 
         });
 
+        // Team ledger for agents using the socket backend
+        socket.on('team-subscribe', () => {
+            socket.join('team');
+            socket.emit('team-state', teamLedger.read());
+        });
+
+        // Patches from SocketSharedMemory agents; the answer tells the sender whether it was applied
+        socket.on('team-patch', (patch, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                reply(teamLedger.applyPatch(patch));
+            } catch (error) {
+                console.error('Error applying team ledger patch:', error);
+                // Resync the sender with the ledger as it is
+                reply({ ok: false, error: error.message, state: teamLedger.read() });
+            }
+        });
+
         socket.on('status-response', (requestId, status) => {
             const request = pendingStatusRequests[requestId];
             if (request) {
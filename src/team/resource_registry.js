@@ -0,0 +1,185 @@
+const STATIONS = [
+    'crafting_table', 'furnace', 'blast_furnace', 'smoker', 'anvil', 'chipped_anvil', 'damaged_anvil',
+    'brewing_stand', 'enchanting_table', 'smithing_table', 'stonecutter', 'loom', 'cartography_table',
+    'grindstone'
+];
+// Ender chests are left out: every player sees their own contents
+const CONTAINERS = ['chest', 'trapped_chest', 'barrel'];
+
+export function isStation(blockName) {
+    return STATIONS.includes(blockName);
+}
+
+export function isContainer(blockName) {
+    return CONTAINERS.includes(blockName) || /(^|_)shulker_box$/.test(blockName || '');
+}
+
+// Newer servers report "minecraft:overworld"
+function dimensionName(dimension) {
+    return String(dimension || 'overworld').replace(/^minecraft:/, '');
+}
+
+export function resourceKey(position, dimension = 'overworld') {
+    return `${dimensionName(dimension)}:${Math.floor(position.x)},${Math.floor(position.y)},${Math.floor(position.z)}`;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Containers in a ledger's resources last seen holding an item, nearest first when a position is given.
+ *
+ * @returns {Array} [{ key, record, count, distance }]
+ */
+export function findItemIn(resources, item, { position = null, dimension = 'overworld' } = {}) {
+    const found = Object.entries(resources || {})
+        .filter(([, record]) => record.dimension === dimensionName(dimension) && record.contents?.[item] > 0)
+        .map(([key, record]) => ({
+            key,
+            record,
+            count: record.contents[item],
+            distance: position ? distance(position, record.position) : null
+        }));
+    return found.sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0) || b.count - a.count);
+}
+
+/**
+ * Team-wide record of the containers and workstations agents have seen, kept in the
+ * SharedMemory ledger (state.resources, keyed by dimension and block position) so every
+ * agent and backend sees the same map.
+ *
+ * A record is { kind: 'container' | 'station', block, position, dimension, contents, seenAt, seenBy }.
+ * contents ({ item: count }) is what the container held when an agent last opened it; it is
+ * null until someone looks inside. Records are dropped when an agent sees the block change.
+ */
+export class ResourceRegistry {
+    constructor(options = {}) {
+        this.sharedMemory = options.sharedMemory;
+        this.agentName = options.agentName || this.sharedMemory?.agentName || 'unknown_agent';
+    }
+
+    isTracked(blockName) {
+        return isStation(blockName) || isContainer(blockName);
+    }
+
+    /**
+     * Record a container or station block; containers keep their last known contents.
+     *
+     * @param {object} block - { name, position }
+     * @param {string} dimension
+     * @returns {object|null} the record, or null if the block is not tracked or the ledger was busy
+     */
+    recordBlock(block, dimension = 'overworld') {
+        if (!block || !this.isTracked(block.name)) return null;
+        return this._write(block, dimension, existing => (
+            existing?.block === block.name ? existing.contents : null
+        ));
+    }
+
+    /**
+     * Record what an agent found inside a container.
+     *
+     * @param {object} block - { name, position }
+     * @param {Array} items - [{ name, count }]
+     */
+    recordContainer(block, items, dimension = 'overworld') {
+        if (!block || !isContainer(block.name)) return null;
+        const contents = {};
+        for (const item of items || []) {
+            contents[item.name] = (contents[item.name] || 0) + item.count;
+        }
+        return this._write(block, dimension, () => contents);
+    }
+
+    /**
+     * Forget the record at a position, e.g. after the block was broken.
+     *
+     * @returns {boolean} whether a record was removed
+     */
+    remove(position, dimension = 'overworld') {
+        const key = resourceKey(position, dimension);
+        return this.sharedMemory.tryUpdate(state => {
+            if (!state.resources?.[key]) return false;
+            delete state.resources[key];
+            return true;
+        }) || false;
+    }
+
+    /**
+     * @returns {object} { key: record }
+     */
+    list() {
+        return this.sharedMemory.read().resources || {};
+    }
+
+    /**
+     * Containers last seen holding an item, nearest first when a position is given.
+     *
+     * @returns {Array} [{ key, record, count, distance }]
+     */
+    findItem(item, options = {}) {
+        return findItemIn(this.list(), item, options);
+    }
+
+    /**
+     * Nearest known block of this type (a station or a container such as "chest").
+     *
+     * @returns {object|null} { key, record, distance }
+     */
+    findBlock(blockName, { position = null, dimension = 'overworld', maxDistance = Infinity } = {}) {
+        let best = null;
+        for (const [key, record] of Object.entries(this.list())) {
+            if (record.block !== blockName || record.dimension !== dimensionName(dimension)) continue;
+            const dist = position ? distance(position, record.position) : 0;
+            if (dist > maxDistance) continue;
+            if (!best || dist < best.distance) best = { key, record, distance: dist };
+        }
+        return best;
+    }
+
+    /**
+     * Text for the !teamStorage query: where an item is stored, or where a station stands.
+     */
+    describe(name, { position = null, dimension = 'overworld' } = {}) {
+        dimension = dimensionName(dimension);
+        const where = (record, dist) => {
+            const { x, y, z } = record.position;
+            const away = dist === null || dist === undefined ? '' : `, ${Math.round(dist)} blocks away`;
+            return `${record.block} at ${x}, ${y}, ${z}${away} (seen by ${record.seenBy} ${record.seenAt})`;
+        };
+
+        if (isStation(name) || isContainer(name)) {
+            const blocks = Object.values(this.list())
+                .filter(record => record.block === name && record.dimension === dimension)
+                .map(record => ({ record, dist: position ? distance(position, record.position) : null }))
+                .sort((a, b) => (a.dist ?? 0) - (b.dist ?? 0));
+            if (blocks.length === 0) return `The team knows no ${name} in the ${dimension.replace(/^the_/, '')}.`;
+            return `Known ${name}s:\n` + blocks.map(({ record, dist }) => `- ${where(record, dist)}`).join('\n');
+        }
+
+        const found = this.findItem(name, { position, dimension });
+        if (found.length === 0) return `No known container holds ${name}.`;
+        return `Containers holding ${name}:\n`
+            + found.map(({ record, count, distance: dist }) => `- ${count} in the ${where(record, dist)}`).join('\n');
+    }
+
+    _write(block, dimension, contents) {
+        const key = resourceKey(block.position, dimension);
+        return this.sharedMemory.tryUpdate(state => {
+            state.resources = state.resources || {};
+            const existing = state.resources[key];
+            const record = {
+                kind: isStation(block.name) ? 'station' : 'container',
+                block: block.name,
+                position: { x: Math.floor(block.position.x), y: Math.floor(block.position.y), z: Math.floor(block.position.z) },
+                dimension: dimensionName(dimension),
+                contents: isContainer(block.name) ? contents(existing) : null,
+                seenAt: new Date().toISOString(),
+                seenBy: this.agentName
+            };
+            state.resources[key] = record;
+            return record;
+        }) || null;
+    }
+}
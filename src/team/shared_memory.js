@@ -1,83 +1,533 @@
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
-import { dirname, join } from 'path';
+import { appendFileSync, copyFileSync, existsSync, mkdirSync, readFileSync, renameSync, rmSync, statSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { withFileLock, writeFileAtomic } from '../utils/file_lock.js';
+
+// Statuses of a task an agent is working on
+export const ACTIVE_STATUSES = ['planning', 'in_progress'];
+const FINISHED_STATUSES = ['done', 'failed', 'expired', 'cancelled'];
+
+/**
+ * Records that differ between two ledger states: tasks and goals by id, agents and resources by key.
+ *
+ * @returns {object|null} { version, tasks, goals, agents, resources, removed: { tasks, goals, resources } },
+ *     or null if nothing changed
+ */
+export function diffLedger(before, after) {
+    const patch = {
+        version: after.version, tasks: [], goals: [], agents: {}, resources: {},
+        removed: { tasks: [], goals: [], resources: [] }
+    };
+    for (const key of ['tasks', 'goals']) {
+        const old = new Map((before[key] || []).map(record => [record.id, JSON.stringify(record)]));
+        const ids = new Set();
+        for (const record of after[key] || []) {
+            ids.add(record.id);
+            if (old.get(record.id) !== JSON.stringify(record)) patch[key].push(record);
+        }
+        patch.removed[key] = [...old.keys()].filter(id => !ids.has(id));
+    }
+    for (const [name, status] of Object.entries(after.agents || {})) {
+        if (JSON.stringify(before.agents?.[name]) !== JSON.stringify(status)) patch.agents[name] = status;
+    }
+    for (const [key, record] of Object.entries(after.resources || {})) {
+        if (JSON.stringify(before.resources?.[key]) !== JSON.stringify(record)) patch.resources[key] = record;
+    }
+    patch.removed.resources = Object.keys(before.resources || {}).filter(key => !(key in (after.resources || {})));
+
+    const changed = patch.tasks.length + patch.goals.length + Object.keys(patch.agents).length
+        + Object.keys(patch.resources).length + patch.removed.tasks.length + patch.removed.goals.length
+        + patch.removed.resources.length;
+    return changed > 0 ? patch : null;
+}
+
+/**
+ * Merge a diffLedger() patch into a state in place. The patched records replace the current ones.
+ *
+ * @returns {Array} the removed tasks and goals (goals marked with kind: 'goal'), for archiving
+ */
+export function applyLedgerPatch(state, patch) {
+    const removed = [];
+    for (const key of ['tasks', 'goals']) {
+        const drop = new Set(patch.removed?.[key] || []);
+        const records = new Map();
+        for (const record of state[key] || []) {
+            if (drop.has(record.id)) {
+                removed.push(key === 'goals' ? { ...record, kind: 'goal' } : record);
+            } else {
+                records.set(record.id, record);
+            }
+        }
+        for (const record of patch[key] || []) {
+            records.set(record.id, record);
+        }
+        state[key] = [...records.values()];
+    }
+    if (patch.agents && Object.keys(patch.agents).length > 0) {
+        state.agents = { ...state.agents, ...patch.agents };
+    }
+    const dropResources = patch.removed?.resources || [];
+    if (dropResources.length > 0 || Object.keys(patch.resources || {}).length > 0) {
+        state.resources = { ...state.resources, ...patch.resources };
+        for (const key of dropResources) delete state.resources[key];
+    }
+    return removed;
+}
+
+/**
+ * Thrown by update() when the ledger changed after the version the caller read.
+ */
+export class SharedMemoryConflictError extends Error {
+    /**
+     * @param {number} expected - version the caller read
+     * @param {number} actual - version of the ledger now
+     * @param {Array} records - "tasks/<id>" or "goals/<id>" records changed by someone else, if known
+     */
+    constructor(expected, actual, records = []) {
+        super(records.length > 0
+            ? `team ledger changed: ${records.join(', ')} changed after version ${expected} (now ${actual})`
+            : `team ledger changed: expected version ${expected}, found ${actual}`);
+        this.name = 'SharedMemoryConflictError';
+        this.expected = expected;
+        this.actual = actual;
+        this.records = records;
+    }
+}
+
+/**
+ * Tasks and goals that a patch would overwrite although they no longer match patch.base, the
+ * records the patch was made from ({ tasks: { id: record | null }, goals: { ... } }, null for a
+ * new record). Agents and resources are not checked: each agent only writes its own status, and
+ * the newest sighting of a block wins.
+ *
+ * @returns {Array} "tasks/<id>" and "goals/<id>" of the conflicting records
+ */
+export function findPatchConflicts(state, patch) {
+    const conflicts = [];
+    for (const key of ['tasks', 'goals']) {
+        const current = new Map((state[key] || []).map(record => [record.id, JSON.stringify(record)]));
+        for (const [id, base] of Object.entries(patch.base?.[key] || {})) {
+            if ((current.get(id) ?? null) !== (base === null ? null : JSON.stringify(base))) {
+                conflicts.push(`${key}/${id}`);
+            }
+        }
+    }
+    return conflicts;
+}
 
 /**
  * Lightweight shared task ledger for multiple agents.
  * Stores JSON on disk so separate processes can read/write.
+ *
+ * Writes hold <file>.lock (locks left by crashed processes are broken) and replace the file
+ * with an atomic rename, so readers never see a half-written ledger. Every write increments
+ * state.version; update() accepts an expectedVersion for optimistic concurrency.
+ *
+ * Lifecycle: agents heartbeat() their active tasks. An active task without a heartbeat for
+ * taskTtlMs is no longer listed and maintain() marks it expired, after which an idle teammate
+ * can take it over with reassignTask()/reassignExpired(). Finished tasks (done, failed, expired,
+ * cancelled) stay in the ledger for retentionMs, at most maxFinished of them, and are then moved
+ * to a JSONL history file that is rotated at historyMaxBytes, keeping historyFiles old files.
+ * Team goals (state.goals, see TeamCoordinator) are archived the same way once finished; their
+ * subtasks stay in the ledger until then so progress can roll up.
+ *
+ * options.onChange(patch) is called after every write with the changed records (see diffLedger);
+ * the monitor server uses it to push the ledger to SocketSharedMemory agents.
  */
 export class SharedMemory {
     constructor(options = {}) {
         this.agentName = options.agentName || 'unknown_agent';
         this.statePath = options.path || join(process.cwd(), 'bots', '_shared', 'team_state.json');
+        // Waiting for the lock blocks the agent's event loop; a busy ledger skips the write instead
+        this.lockTimeoutMs = options.lockTimeoutMs ?? 300;
+        this.staleLockMs = options.staleLockMs ?? 5000;
+        this.taskTtlMs = options.taskTtlMs ?? 2 * 60 * 1000;
+        this.retentionMs = options.retentionMs ?? 10 * 60 * 1000;
+        this.maxFinished = options.maxFinished ?? 50;
+        this.historyPath = options.historyPath || join(dirname(this.statePath), 'team_history.jsonl');
+        this.historyMaxBytes = options.historyMaxBytes ?? 1024 * 1024;
+        this.historyFiles = options.historyFiles ?? 3;
+        this.onChange = options.onChange || null;
+        this._archived = [];
+        this._init();
+    }
+
+    /**
+     * Prepare the storage: create the ledger file if it is missing.
+     */
+    _init() {
         mkdirSync(dirname(this.statePath), { recursive: true });
         if (!existsSync(this.statePath)) {
-            writeFileSync(this.statePath, JSON.stringify({ tasks: [] }, null, 2), 'utf8');
+            try {
+                this._withLock(() => {
+                    if (!existsSync(this.statePath)) this._save({ version: 0, tasks: [] });
+                });
+            } catch (err) {
+                console.warn('SharedMemory could not create the ledger:', err.message);
+            }
         }
     }
 
-    _load() {
+    _withLock(fn) {
+        return withFileLock(this.statePath, fn, { timeoutMs: this.lockTimeoutMs, staleMs: this.staleLockMs });
+    }
+
+    /**
+     * A copy of the whole ledger; changing it does not change the ledger, use update() for that.
+     */
+    read() {
+        let raw;
+        try {
+            raw = readFileSync(this.statePath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return { version: 0, tasks: [] };
+            throw err;
+        }
         try {
-            const raw = readFileSync(this.statePath, 'utf8');
-            return JSON.parse(raw);
+            const state = JSON.parse(raw);
+            return { ...state, version: state.version || 0, tasks: Array.isArray(state.tasks) ? state.tasks : [] };
         } catch (err) {
-            console.warn('SharedMemory load failed, resetting state:', err);
-            return { tasks: [] };
+            console.warn(`SharedMemory: ${this.statePath} is not valid JSON (${err.message}), starting from an empty ledger`);
+            return { version: 0, tasks: [], corrupt: true };
         }
     }
 
     _save(state) {
-        writeFileSync(this.statePath, JSON.stringify(state, null, 2), 'utf8');
+        writeFileAtomic(this.statePath, JSON.stringify(state, null, 2));
+    }
+
+    /**
+     * Version of the ledger on disk; it increases with every write.
+     */
+    getVersion() {
+        return this.read().version;
+    }
+
+    /**
+     * Read-modify-write under the ledger lock. mutate(state) changes state in place and
+     * returns the result; the file is only rewritten if the state changed.
+     *
+     * @param {function} mutate - (state) => result
+     * @param {object} options - { expectedVersion }: throw SharedMemoryConflictError if the ledger moved on
+     * @returns {*} the result of mutate
+     */
+    update(mutate, { expectedVersion } = {}) {
+        return this._withLock(() => {
+            const state = this.read();
+            if (expectedVersion !== undefined && state.version !== expectedVersion) {
+                throw new SharedMemoryConflictError(expectedVersion, state.version);
+            }
+            if (state.corrupt) {
+                // Keep the unreadable file for inspection instead of silently overwriting it
+                copyFileSync(this.statePath, `${this.statePath}.corrupt-${Date.now()}`);
+                delete state.corrupt;
+            }
+
+            const before = JSON.stringify(state);
+            // Records mutate removes for good, written to the history once the ledger is saved
+            this._archived = [];
+            let result;
+            try {
+                result = mutate(state);
+                if (JSON.stringify(state) !== before) {
+                    state.version += 1;
+                    state.updatedAt = new Date().toISOString();
+                    this._save(state);
+                    this._appendHistory(this._archived);
+                    if (this.onChange) {
+                        const patch = diffLedger(JSON.parse(before), state);
+                        if (patch) this.onChange(patch);
+                    }
+                }
+            } finally {
+                this._archived = [];
+            }
+            return result;
+        });
+    }
+
+    /**
+     * update() for agent-side writes such as the ledger methods below: a busy lock only skips
+     * this write (returning null) instead of failing the agent's request.
+     */
+    tryUpdate(mutate) {
+        try {
+            return this.update(mutate);
+        } catch (err) {
+            if (err instanceof SharedMemoryConflictError) throw err;
+            console.warn('SharedMemory update failed:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Apply a patch sent by a SocketSharedMemory agent. It is refused if a task or goal it was
+     * made from has changed since (see findPatchConflicts), or if the ledger is no longer at
+     * patch.expectedVersion.
+     *
+     * @returns {object} { ok: true, version }, or { ok: false, error: 'CONFLICT', records, version, state }
+     */
+    applyPatch(patch) {
+        let records = [];
+        try {
+            records = this.update(state => {
+                const conflicts = findPatchConflicts(state, patch);
+                if (conflicts.length > 0) return conflicts;
+                const removed = applyLedgerPatch(state, patch);
+                if (removed.length > 0) this._archive(removed);
+                return null;
+            }, { expectedVersion: patch.expectedVersion });
+        } catch (err) {
+            if (!(err instanceof SharedMemoryConflictError)) throw err;
+        }
+        const state = this.read();
+        if (records === null) return { ok: true, version: state.version };
+        return { ok: false, error: 'CONFLICT', records, version: state.version, state };
+    }
+
+    /**
+     * Resolves once the writes made so far are stored. File writes are stored before update()
+     * returns; SocketSharedMemory waits for the server.
+     */
+    confirm() {
+        return Promise.resolve();
+    }
+
+    _isActive(task) {
+        return ACTIVE_STATUSES.includes(task.status);
+    }
+
+    /**
+     * Whether an active task's agent stopped sending heartbeats.
+     */
+    _isStale(task, now = Date.now()) {
+        const last = Date.parse(task.heartbeatAt || task.updatedAt || task.createdAt);
+        return this._isActive(task) && !(now - last <= this.taskTtlMs);
     }
 
     listActive({ excludeAgent } = {}) {
-        const state = this._load();
+        const state = this.read();
+        const now = Date.now();
         return (state.tasks || []).filter(t => {
-            const active = t.status === 'planning' || t.status === 'in_progress';
+            const active = this._isActive(t) && !this._isStale(t, now);
             const notExcluded = !excludeAgent || t.agent !== excludeAgent;
             return active && notExcluded;
         });
     }
 
+    /**
+     * Tasks given up because their agent stopped heartbeating, oldest first.
+     * Active tasks past the TTL are included even if maintain() has not marked them yet.
+     */
+    listExpired() {
+        const now = Date.now();
+        return this.read().tasks
+            .filter(t => t.status === 'expired' || this._isStale(t, now))
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    }
+
     claimTask({ agent, intent, summary, status = 'planning' }) {
-        const state = this._load();
         const now = new Date().toISOString();
         const taskSummary = (summary || intent?.input || intent?.type || '').slice(0, 120);
 
-        // Avoid duplicate entries for the same agent + same summary if already active
-        const existing = (state.tasks || []).find(
-            t => t.agent === agent && t.summary === taskSummary && (t.status === 'planning' || t.status === 'in_progress')
-        );
-        if (existing) {
-            return existing;
-        }
+        return this.tryUpdate(state => {
+            // Avoid duplicate entries for the same agent + same summary if already active
+            const existing = state.tasks.find(
+                t => t.agent === agent && t.summary === taskSummary && this._isActive(t)
+            );
+            if (existing) {
+                existing.heartbeatAt = now;
+                return existing;
+            }
 
-        const task = {
-            id: `task_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-            agent: agent || this.agentName,
-            intent: intent || {},
-            summary: taskSummary,
-            status,
-            createdAt: now,
-            updatedAt: now
-        };
-        state.tasks = state.tasks || [];
-        state.tasks.push(task);
-        this._save(state);
-        return task;
+            let id;
+            do {
+                id = `task_${Date.now()}_${Math.floor(Math.random() * 1000000)}`;
+            } while (state.tasks.some(t => t.id === id));
+
+            const task = {
+                id,
+                agent: agent || this.agentName,
+                intent: intent || {},
+                summary: taskSummary,
+                status,
+                createdAt: now,
+                updatedAt: now,
+                heartbeatAt: now
+            };
+            state.tasks.push(task);
+            return task;
+        });
     }
 
     updateStatus(id, status, extra = {}) {
-        const state = this._load();
-        const task = (state.tasks || []).find(t => t.id === id);
-        if (!task) return null;
-        task.status = status;
-        task.updatedAt = new Date().toISOString();
-        Object.assign(task, extra);
-        this._save(state);
-        return task;
+        return this.tryUpdate(state => {
+            const task = state.tasks.find(t => t.id === id);
+            if (!task) return null;
+            task.status = status;
+            task.updatedAt = new Date().toISOString();
+            if (this._isActive(task)) task.heartbeatAt = task.updatedAt;
+            Object.assign(task, extra);
+            return task;
+        });
     }
 
     completeTask(id, result) {
         return this.updateStatus(id, 'done', { result });
     }
+
+    /**
+     * Mark the agent's active tasks as still being worked on.
+     *
+     * @returns {number} number of tasks refreshed, or null if the ledger was busy
+     */
+    heartbeat(agent = this.agentName, status = null) {
+        const now = new Date().toISOString();
+        return this.tryUpdate(state => {
+            const tasks = state.tasks.filter(t => t.agent === agent && this._isActive(t));
+            tasks.forEach(t => {
+                t.heartbeatAt = now;
+            });
+            // What the agent has and where it is, for TeamCoordinator's assignments
+            if (status) {
+                state.agents = { ...state.agents, [agent]: { ...status, seenAt: now } };
+            }
+            return tasks.length;
+        });
+    }
+
+    /**
+     * Agents that sent a heartbeat with a status within taskTtlMs.
+     *
+     * @returns {object} { agentName: { inventory, position, idle, seenAt } }
+     */
+    listAgents(state = this.read()) {
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(state.agents || {})
+            .filter(([, status]) => now - Date.parse(status.seenAt) <= this.taskTtlMs));
+    }
+
+    /**
+     * Expire tasks without a heartbeat and move old finished tasks to the history file.
+     *
+     * @returns {object} { expired: [task], archived: number }, or null if the ledger was busy
+     */
+    maintain() {
+        return this.tryUpdate(state => {
+            const now = Date.now();
+            const expired = [];
+            for (const task of state.tasks) {
+                if (!this._isStale(task, now)) continue;
+                task.status = 'expired';
+                task.expiredAt = new Date(now).toISOString();
+                task.updatedAt = task.expiredAt;
+                task.reason = `no heartbeat from ${task.agent} for ${Math.round(this.taskTtlMs / 1000)}s`;
+                expired.push(task);
+            }
+
+            // Subtasks of a goal that is still open are needed for its progress
+            const openGoals = new Set((state.goals || []).filter(g => g.status === 'in_progress').map(g => g.id));
+
+            // Newest first: the first maxFinished that are still within retentionMs stay
+            const finished = state.tasks
+                .filter(t => FINISHED_STATUSES.includes(t.status) && !openGoals.has(t.goalId))
+                .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+            const archive = finished.filter((t, index) => index >= this.maxFinished || now - Date.parse(t.updatedAt) > this.retentionMs)
+                // An expired task stays until someone had the chance to reassign it
+                .filter(t => t.status !== 'expired' || now - Date.parse(t.expiredAt || t.updatedAt) > this.retentionMs);
+            const oldGoals = (state.goals || []).filter(g => g.status !== 'in_progress' && now - Date.parse(g.updatedAt) > this.retentionMs);
+            if (archive.length > 0 || oldGoals.length > 0) {
+                this._archive([...oldGoals.map(g => ({ ...g, kind: 'goal' })), ...archive]);
+                const ids = new Set([...archive, ...oldGoals].map(t => t.id));
+                state.tasks = state.tasks.filter(t => !ids.has(t.id));
+                if (oldGoals.length > 0) state.goals = state.goals.filter(g => !ids.has(g.id));
+            }
+            return { expired, archived: archive.length + oldGoals.length };
+        });
+    }
+
+    /**
+     * Hand an expired task to another agent. The agent must be idle, i.e. have no active task.
+     *
+     * @returns {object|null} the reassigned task, or null if the task is not expired or the agent is busy
+     */
+    reassignTask(id, agent) {
+        return this.tryUpdate(state => {
+            const task = state.tasks.find(t => t.id === id);
+            return task ? this._reassign(state, task, agent) : null;
+        });
+    }
+
+    /**
+     * Give the oldest expired task to an idle agent, skipping tasks the agent itself abandoned.
+     *
+     * @returns {object|null} the reassigned task, or null if there is none or the agent is busy
+     */
+    reassignExpired(agent = this.agentName) {
+        return this.tryUpdate(state => {
+            const now = Date.now();
+            const task = state.tasks
+                .filter(t => (t.status === 'expired' || this._isStale(t, now)) && t.agent !== agent)
+                .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))[0];
+            return task ? this._reassign(state, task, agent) : null;
+        });
+    }
+
+    _reassign(state, task, agent) {
+        const now = Date.now();
+        if (task.status !== 'expired' && !this._isStale(task, now)) return null;
+        const busy = state.tasks.some(t => t.agent === agent && this._isActive(t) && !this._isStale(t, now));
+        if (busy) return null;
+
+        const at = new Date(now).toISOString();
+        task.reassignedFrom = [...(task.reassignedFrom || []), task.agent];
+        task.agent = agent;
+        task.status = 'planning';
+        task.updatedAt = at;
+        task.heartbeatAt = at;
+        delete task.expiredAt;
+        delete task.reason;
+        return task;
+    }
+
+    /**
+     * Queue records removed from the ledger for the history file. Called from inside update(),
+     * which appends them only after the ledger is saved, so a failed write loses nothing.
+     */
+    _archive(tasks) {
+        this._archived.push(...tasks);
+    }
+
+    /**
+     * Append tasks to the history file, rotating it first when it is full:
+     * team_history.jsonl -> team_history.1.jsonl -> ... -> team_history.<historyFiles>.jsonl
+     */
+    _appendHistory(tasks) {
+        if (tasks.length === 0) return;
+        try {
+            this._rotateHistory();
+            const archivedAt = new Date().toISOString();
+            appendFileSync(this.historyPath, tasks.map(task => JSON.stringify({ ...task, archivedAt }) + '\n').join(''));
+        } catch (err) {
+            // The ledger is already saved; failing the update now would report a write that happened
+            console.warn('SharedMemory could not write the task history:', err.message);
+        }
+    }
+
+    _rotateHistory() {
+        const ext = extname(this.historyPath);
+        const base = join(dirname(this.historyPath), basename(this.historyPath, ext));
+        const rotated = index => `${base}.${index}${ext}`;
+
+        if (existsSync(this.historyPath) && statSync(this.historyPath).size >= this.historyMaxBytes) {
+            rmSync(rotated(this.historyFiles), { force: true });
+            for (let index = this.historyFiles - 1; index >= 1; index--) {
+                if (existsSync(rotated(index))) renameSync(rotated(index), rotated(index + 1));
+            }
+            if (this.historyFiles > 0) {
+                renameSync(this.historyPath, rotated(1));
+            } else {
+                rmSync(this.historyPath, { force: true });
+            }
+        }
+    }
 }
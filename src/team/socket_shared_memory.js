@@ -0,0 +1,204 @@
+import { SharedMemory, SharedMemoryConflictError, applyLedgerPatch, diffLedger } from './shared_memory.js';
+
+/**
+ * The tasks and goals a patch changes or removes as they were before it (null for new ones),
+ * for the server's conflict check (see findPatchConflicts).
+ */
+function baseRecords(before, patch) {
+    const base = { tasks: {}, goals: {} };
+    for (const key of ['tasks', 'goals']) {
+        const records = new Map((before[key] || []).map(record => [record.id, record]));
+        for (const record of patch[key]) base[key][record.id] = records.get(record.id) ?? null;
+        for (const id of patch.removed[key]) base[key][id] = records.get(id);
+    }
+    return base;
+}
+
+/**
+ * SharedMemory backend that keeps the team ledger in the monitor server instead of a local file,
+ * so agents on different machines can share it over the socket.io connection they already have.
+ *
+ * The agent holds a replica of the ledger. The server keeps it up to date with 'team-state'
+ * (the whole ledger, sent on 'team-subscribe') and 'team-patch' (changed records) events, so reads
+ * such as listActive() stay synchronous and never touch the disk. Writes run the same mutations
+ * as the file backend on the replica and send the changed records to the server as a patch, along
+ * with the records they were made from. The server applies a patch only if those tasks and goals
+ * are unchanged in its ledger, and for update(..., { expectedVersion }) only if its version still
+ * matches. Otherwise it answers with a conflict and its ledger, which replaces the replica, so two
+ * agents cannot both take the same subtask. confirm() waits for the server's answer and
+ * options.onConflict(error, patch) hears about every refused patch. The server archives removed
+ * records and pushes accepted changes to every subscribed agent. subscribe() lets the agent react
+ * to those pushes.
+ *
+ * All agents of a team must use the same backend: the server only pushes changes made through it.
+ */
+export class SocketSharedMemory extends SharedMemory {
+    constructor(options = {}) {
+        super(options);
+        this.getSocket = options.getSocket || (() => options.socket || null);
+        this.socket = null;
+        this.listeners = [];
+        this.onConflict = options.onConflict || null;
+        this.ackTimeoutMs = options.ackTimeoutMs ?? 10000;
+        // Writes made before the agent connected to the server
+        this.pending = [];
+        // Writes the server has not answered yet; each promise resolves to null or the error
+        this.unconfirmed = new Set();
+    }
+
+    _init() {
+        this.state = { version: 0, tasks: [] };
+    }
+
+    /**
+     * Subscribe to the server's ledger once the agent has a socket.
+     */
+    _connect() {
+        if (this.socket) return this.socket;
+        const socket = this.getSocket();
+        if (!socket) return null;
+        this.socket = socket;
+
+        socket.on('team-state', state => this._replace(state));
+        socket.on('team-patch', patch => {
+            applyLedgerPatch(this.state, patch);
+            this.state.version = Math.max(this.state.version, patch.version || 0);
+            this._notify(patch);
+        });
+        // Get the whole ledger again after a reconnect; socket.io sends the buffered patches first
+        socket.on('connect', () => socket.emit('team-subscribe'));
+
+        for (const write of this.pending.splice(0)) {
+            this._send(socket, write);
+        }
+        socket.emit('team-subscribe');
+        return socket;
+    }
+
+    _replace(state) {
+        this.state = { ...state, version: state.version || 0, tasks: state.tasks || [] };
+        this._notify(null);
+    }
+
+    /**
+     * Call listener(patch) whenever the server pushes a change; patch is null for a full resync.
+     *
+     * @returns {function} unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        this._connect();
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    _notify(patch) {
+        for (const listener of this.listeners) {
+            try {
+                listener(patch);
+            } catch (err) {
+                console.warn('SharedMemory listener failed:', err.message);
+            }
+        }
+    }
+
+    /**
+     * A copy of the replica; it may lag behind the server.
+     */
+    read() {
+        this._connect();
+        return structuredClone(this.state);
+    }
+
+    /**
+     * Apply mutate to the replica and send the change to the server. The replica only lags behind
+     * the server, so a version mismatch here is always a conflict; a match is checked again by
+     * the server.
+     */
+    update(mutate, { expectedVersion } = {}) {
+        const socket = this._connect();
+        const state = structuredClone(this.state);
+        if (expectedVersion !== undefined && state.version !== expectedVersion) {
+            throw new SharedMemoryConflictError(expectedVersion, state.version);
+        }
+
+        const before = structuredClone(state);
+        const result = mutate(state);
+        const patch = diffLedger(before, state);
+        if (patch) {
+            patch.base = baseRecords(before, patch);
+            if (expectedVersion !== undefined) patch.expectedVersion = expectedVersion;
+            state.version += 1;
+            state.updatedAt = new Date().toISOString();
+            patch.version = state.version;
+            this.state = state;
+
+            const write = { patch, baseVersion: before.version };
+            write.answered = new Promise(resolve => {
+                write.resolve = error => {
+                    this.unconfirmed.delete(write.answered);
+                    resolve(error);
+                };
+            });
+            this.unconfirmed.add(write.answered);
+            if (socket) {
+                this._send(socket, write);
+            } else {
+                this.pending.push(write);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Resolves once the server accepted the writes that are still waiting for its answer.
+     * Rejects with a SharedMemoryConflictError if it refused one (the replica then holds the
+     * server's ledger), or with an Error if it did not answer within ackTimeoutMs.
+     */
+    confirm() {
+        return Promise.all([...this.unconfirmed]).then(errors => {
+            const error = errors.find(Boolean);
+            if (error) throw error;
+        });
+    }
+
+    _send(socket, write) {
+        const timer = setTimeout(() => {
+            write.resolve(new Error(`the monitor server did not answer a team ledger write within ${this.ackTimeoutMs} ms`));
+        }, this.ackTimeoutMs);
+        timer.unref?.();
+        socket.emit('team-patch', write.patch, reply => {
+            clearTimeout(timer);
+            write.resolve(reply?.ok === false ? this._refused(write, reply) : null);
+        });
+    }
+
+    /**
+     * The server refused a patch: take its ledger and report the conflict.
+     *
+     * @param {object} reply - { ok: false, error: 'CONFLICT' | message, version, records, state }
+     */
+    _refused(write, reply) {
+        if (reply.state) this._replace(reply.state);
+        if (reply.error !== 'CONFLICT') {
+            return new Error(`the monitor server refused a team ledger write: ${reply.error}`);
+        }
+        const error = new SharedMemoryConflictError(
+            write.patch.expectedVersion ?? write.baseVersion, reply.version ?? this.state.version, reply.records || []
+        );
+        console.warn('SharedMemory:', error.message);
+        if (this.onConflict) {
+            try {
+                this.onConflict(error, write.patch);
+            } catch (err) {
+                console.warn('SharedMemory conflict handler failed:', err.message);
+            }
+        }
+        return error;
+    }
+
+    _archive() {
+        // The server archives the records removed from its ledger
+    }
+}
@@ -0,0 +1,464 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { findItemIn } from './resource_registry.js';
+import { ACTIVE_STATUSES } from './shared_memory.js';
+
+const BLUEPRINT_DIR = join('src', 'plugins', 'BuildWithBlueprint', 'blueprints');
+const FINISHED_GOAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+/**
+ * Parse "64 oak_log, cobblestone 32" into { oak_log: 64, cobblestone: 32 }.
+ * An item without a count means one.
+ */
+export function parseResources(text) {
+    const resources = {};
+    for (const part of String(text || '').split(/[,;]/)) {
+        const words = part.trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) continue;
+        const countIndex = words.findIndex(word => /^\d+$/.test(word));
+        const count = countIndex >= 0 ? parseInt(words.splice(countIndex, 1)[0]) : 1;
+        const item = words.join('_').toLowerCase();
+        if (item && count > 0) resources[item] = (resources[item] || 0) + count;
+    }
+    return resources;
+}
+
+/**
+ * One subtask per resource, or several when a count is larger than chunkSize.
+ */
+export function splitResources(resources, chunkSize = 32) {
+    const subtasks = [];
+    for (const [item, total] of Object.entries(resources)) {
+        for (let left = total; left > 0; left -= chunkSize) {
+            const count = Math.min(left, chunkSize);
+            subtasks.push({ summary: `collect ${count} ${item}`, resource: { item, count }, weight: count });
+        }
+    }
+    return subtasks;
+}
+
+/**
+ * Cut a blueprint into vertical slices along its longer horizontal axis, so the slices
+ * can be built side by side. Each subtask records its slice bounds and the blocks it needs.
+ */
+export function splitBlueprint(name, blueprint, sections = 2) {
+    const blocks = (blueprint?.blocks || []).filter(block => block[3]);
+    if (blocks.length === 0) return [];
+    const span = index => Math.max(...blocks.map(block => block[index])) - Math.min(...blocks.map(block => block[index]));
+    const axis = span(0) >= span(2) ? 'x' : 'z';
+    const index = axis === 'x' ? 0 : 2;
+    const min = Math.min(...blocks.map(block => block[index]));
+    const width = span(index) + 1;
+    const count = Math.max(1, Math.min(sections, width));
+
+    const subtasks = [];
+    for (let i = 0; i < count; i++) {
+        const from = min + Math.floor(i * width / count);
+        const to = min + Math.floor((i + 1) * width / count) - 1;
+        const slice = blocks.filter(block => block[index] >= from && block[index] <= to);
+        if (slice.length === 0) continue;
+        const items = {};
+        slice.forEach(block => {
+            items[block[3]] = (items[block[3]] || 0) + 1;
+        });
+        subtasks.push({
+            summary: `build ${name} section ${i + 1}/${count} (${axis} ${from}..${to})`,
+            section: { blueprint: name, axis, from, to, items },
+            weight: slice.length
+        });
+    }
+    return subtasks;
+}
+
+/**
+ * Blocks of a blueprint section, as stored on a subtask by splitBlueprint().
+ */
+export function sectionBlocks(blueprint, section) {
+    const index = section.axis === 'x' ? 0 : 2;
+    return (blueprint?.blocks || []).filter(block => block[3] && block[index] >= section.from && block[index] <= section.to);
+}
+
+export function loadBlueprint(name, dir = BLUEPRINT_DIR) {
+    const file = join(dir, `${name}.json`);
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Splits team goals into subtasks and allocates them through the SharedMemory ledger.
+ *
+ * Goals live in state.goals; their subtasks are ledger tasks with a goalId, so they share the
+ * heartbeat/expiry lifecycle of normal tasks once accepted. A subtask moves through:
+ *   open -> offered (to one agent) -> planning/in_progress (accepted) -> done | failed
+ * Idle agents bid on open subtasks; after bidWindowMs the cheapest candidate gets an offer,
+ * scored by the inventory, position and load the agents publish with their heartbeat.
+ * An agent can decline an offer, and offers that get no answer within offerTtlMs lapse.
+ * Failed or expired subtasks reopen until maxAttempts, and progress rolls up to the goal.
+ *
+ * Every method runs synchronously under the ledger lock, so any process (agents, the
+ * monitor server) can drive the same goals.
+ */
+export class TeamCoordinator {
+    constructor(options = {}) {
+        this.sharedMemory = options.sharedMemory;
+        this.chunkSize = options.chunkSize ?? 32;
+        this.bidWindowMs = options.bidWindowMs ?? 35000;
+        this.offerTtlMs = options.offerTtlMs ?? 60000;
+        this.maxAttempts = options.maxAttempts ?? 3;
+        this.blueprintDir = options.blueprintDir || BLUEPRINT_DIR;
+        // Cost weights: blocks of distance per point, points per active task, points for a full inventory match
+        this.weights = { distance: 16, load: 2, inventory: 3, ...options.weights };
+    }
+
+    /**
+     * Create a team goal and its subtasks.
+     *
+     * @param {object} goal - { kind: 'collect' | 'build', target, agents, origin, sections, createdBy }
+     *   collect: target lists resources ("64 oak_log, 32 cobblestone") or is a { item: count } map
+     *   build: target is a blueprint name; it is split into `sections` slices (default: one per agent)
+     *   built at origin { x, y, z }
+     * @returns {object} the goal with its subtasks
+     */
+    createGoal({ kind, target, agents = null, origin = null, sections = null, createdBy = null }) {
+        let subtasks;
+        if (kind === 'collect') {
+            const resources = typeof target === 'string' ? parseResources(target) : { ...target };
+            subtasks = splitResources(resources, this.chunkSize);
+            if (subtasks.length === 0) throw new Error(`no resources found in "${target}"`);
+        } else if (kind === 'build') {
+            const blueprint = loadBlueprint(target, this.blueprintDir);
+            if (!blueprint) throw new Error(`blueprint "${target}" not found`);
+            if (!origin) throw new Error('a build goal needs an origin position');
+            const known = agents?.length || Object.keys(this.sharedMemory.listAgents()).length;
+            subtasks = splitBlueprint(target, blueprint, sections || Math.max(1, known));
+        } else {
+            throw new Error(`unknown goal kind "${kind}", use "collect" or "build"`);
+        }
+
+        return this.sharedMemory.update(state => {
+            const now = new Date().toISOString();
+            const goal = {
+                id: this._newId('goal', state),
+                kind,
+                target: typeof target === 'string' ? target : JSON.stringify(target),
+                origin,
+                agents,
+                createdBy,
+                status: 'in_progress',
+                progress: 0,
+                subtaskIds: [],
+                createdAt: now,
+                updatedAt: now
+            };
+            for (const subtask of subtasks) {
+                const task = {
+                    ...subtask,
+                    id: this._newId('task', state),
+                    goalId: goal.id,
+                    agent: null,
+                    intent: { type: kind === 'build' ? 'BUILD' : 'COLLECT' },
+                    status: 'open',
+                    attempts: 0,
+                    bids: {},
+                    declinedBy: [],
+                    createdAt: now,
+                    updatedAt: now
+                };
+                state.tasks.push(task);
+                goal.subtaskIds.push(task.id);
+            }
+            state.goals = [...(state.goals || []), goal];
+            return { ...goal, subtasks: goal.subtaskIds.map(id => state.tasks.find(task => task.id === id)) };
+        });
+    }
+
+    cancelGoal(goalId) {
+        return this.sharedMemory.update(state => {
+            const goal = (state.goals || []).find(g => g.id === goalId);
+            if (!goal || FINISHED_GOAL_STATUSES.includes(goal.status)) return null;
+            this._finishGoal(state, goal, 'cancelled');
+            return goal;
+        });
+    }
+
+    listGoals({ includeFinished = false } = {}) {
+        const state = this.sharedMemory.read();
+        return (state.goals || [])
+            .filter(goal => includeFinished || !FINISHED_GOAL_STATUSES.includes(goal.status))
+            .map(goal => this._withSubtasks(state, goal));
+    }
+
+    getGoal(goalId) {
+        const state = this.sharedMemory.read();
+        const goal = (state.goals || []).find(g => g.id === goalId);
+        return goal ? this._withSubtasks(state, goal) : null;
+    }
+
+    /**
+     * Estimated cost for an agent to take a subtask (lower is better).
+     *
+     * @param {object} subtask - ledger subtask
+     * @param {object} status - { inventory, position, dimension } published by the agent
+     * @param {number} load - the agent's active and offered tasks
+     * @param {object} origin - where the work happens (see _origin); distance is ignored without one
+     */
+    estimateCost(subtask, status = {}, load = 0, origin = null) {
+        const inventory = status.inventory || {};
+        const needed = subtask.resource ? { [subtask.resource.item]: subtask.resource.count } : (subtask.section?.items || {});
+        const total = Object.values(needed).reduce((sum, count) => sum + count, 0);
+        const held = Object.entries(needed).reduce((sum, [item, count]) => sum + Math.min(count, inventory[item] || 0), 0);
+        const coverage = total > 0 ? held / total : 0;
+
+        let distance = 0;
+        if (origin && status.position) {
+            const dx = status.position.x - origin.x;
+            const dz = status.position.z - origin.z;
+            distance = Math.sqrt(dx * dx + dz * dz);
+        }
+        return distance / this.weights.distance + load * this.weights.load - coverage * this.weights.inventory;
+    }
+
+    /**
+     * An idle agent bids on every open subtask it may take.
+     *
+     * @returns {number} number of bids placed
+     */
+    bidOpen(agent, status = {}) {
+        return this.sharedMemory.tryUpdate(state => {
+            let placed = 0;
+            const load = this._workload(state, agent);
+            for (const { goal, subtask } of this._openSubtasks(state)) {
+                if (!this._mayTake(goal, subtask, agent)) continue;
+                const origin = this._origin(state, goal, subtask, status);
+                const cost = Math.round(this.estimateCost(subtask, status, load, origin) * 100) / 100;
+                if (subtask.bids[agent] === cost) continue;
+                subtask.bids[agent] = cost;
+                placed += 1;
+            }
+            return placed;
+        }) || 0;
+    }
+
+    bid(subtaskId, agent, cost) {
+        return this.sharedMemory.update(state => {
+            const subtask = state.tasks.find(task => task.id === subtaskId && task.goalId);
+            if (!subtask || subtask.status !== 'open') return false;
+            subtask.bids[agent] = cost;
+            return true;
+        });
+    }
+
+    getOffers(agent) {
+        return this.sharedMemory.read().tasks.filter(task => task.goalId && task.status === 'offered' && task.agent === agent);
+    }
+
+    accept(subtaskId, agent) {
+        return this.sharedMemory.update(state => {
+            const subtask = state.tasks.find(task => task.id === subtaskId);
+            if (!subtask || subtask.status !== 'offered' || subtask.agent !== agent) return null;
+            const now = new Date().toISOString();
+            subtask.status = 'planning';
+            subtask.attempts += 1;
+            subtask.updatedAt = now;
+            subtask.heartbeatAt = now;
+            delete subtask.offeredAt;
+            this._rollUp(state);
+            return subtask;
+        });
+    }
+
+    decline(subtaskId, agent, reason = '') {
+        return this.sharedMemory.update(state => {
+            const subtask = state.tasks.find(task => task.id === subtaskId);
+            if (!subtask || subtask.agent !== agent || !['offered', ...ACTIVE_STATUSES].includes(subtask.status)) return false;
+            this._reopen(subtask, agent, reason || 'declined');
+            return true;
+        });
+    }
+
+    /**
+     * Mark an accepted subtask as done or failed and update its goal.
+     */
+    finishSubtask(subtaskId, success, result = null) {
+        return this.sharedMemory.update(state => {
+            const subtask = state.tasks.find(task => task.id === subtaskId && task.goalId);
+            if (!subtask) return null;
+            subtask.status = success ? 'done' : 'failed';
+            subtask.result = result;
+            subtask.updatedAt = new Date().toISOString();
+            this._rollUp(state);
+            return subtask;
+        });
+    }
+
+    /**
+     * Housekeeping for all goals: lapse unanswered offers, reopen failed and expired subtasks,
+     * offer open subtasks to the best candidates and roll progress up to the goals.
+     *
+     * @returns {Array} subtasks offered in this pass, or null if the ledger was busy
+     */
+    refresh() {
+        return this.sharedMemory.tryUpdate(state => {
+            const now = Date.now();
+            for (const goal of this._openGoals(state)) {
+                for (const subtask of this._subtasks(state, goal)) {
+                    if (subtask.status === 'offered' && now - Date.parse(subtask.offeredAt) > this.offerTtlMs) {
+                        this._reopen(subtask, subtask.agent, 'offer not answered');
+                    } else if (subtask.status === 'failed' || subtask.status === 'expired') {
+                        if (subtask.attempts >= this.maxAttempts) continue;
+                        this._reopen(subtask, subtask.agent, subtask.reason || subtask.status);
+                    }
+                }
+            }
+            this._rollUp(state);
+            return this._assign(state, now);
+        });
+    }
+
+    /**
+     * Progress of the open goals for prompts and the !teamProgress query.
+     */
+    describe(goals = this.listGoals()) {
+        if (goals.length === 0) return 'No team goals.';
+        return goals.map(goal => {
+            const lines = [`${goal.id} ${goal.kind} ${goal.target}: ${goal.status}, ${Math.round(goal.progress * 100)}% done`];
+            for (const subtask of goal.subtasks) {
+                lines.push(`- ${subtask.summary}: ${subtask.status}${subtask.agent ? ` (${subtask.agent})` : ''}`);
+            }
+            return lines.join('\n');
+        }).join('\n\n');
+    }
+
+    _newId(prefix, state) {
+        let id;
+        do {
+            id = `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1000000)}`;
+        } while (state.tasks.some(task => task.id === id) || (state.goals || []).some(goal => goal.id === id));
+        return id;
+    }
+
+    _withSubtasks(state, goal) {
+        return { ...goal, subtasks: this._subtasks(state, goal) };
+    }
+
+    _subtasks(state, goal) {
+        return goal.subtaskIds.map(id => state.tasks.find(task => task.id === id)).filter(Boolean);
+    }
+
+    _openGoals(state) {
+        return (state.goals || []).filter(goal => !FINISHED_GOAL_STATUSES.includes(goal.status));
+    }
+
+    _openSubtasks(state) {
+        return this._openGoals(state).flatMap(goal => this._subtasks(state, goal)
+            .filter(subtask => subtask.status === 'open')
+            .map(subtask => ({ goal, subtask })));
+    }
+
+    _mayTake(goal, subtask, agent) {
+        return (!goal.agents || goal.agents.includes(agent)) && !subtask.declinedBy.includes(agent);
+    }
+
+    /**
+     * Where an agent would work on a subtask: the goal origin for build sections, and for collect
+     * subtasks the nearest container the team saw holding the resource (ResourceRegistry). Collect
+     * subtasks without such a container have no origin, so their cost ignores distance.
+     */
+    _origin(state, goal, subtask, status = {}) {
+        if (goal.origin) return goal.origin;
+        if (!subtask.resource || !status?.position) return null;
+        const [nearest] = findItemIn(state.resources, subtask.resource.item, { position: status.position, dimension: status.dimension });
+        return nearest?.record.position || null;
+    }
+
+    _workload(state, agent) {
+        return state.tasks.filter(task => task.agent === agent && (ACTIVE_STATUSES.includes(task.status) || task.status === 'offered')).length;
+    }
+
+    _reopen(subtask, agent, reason) {
+        if (agent && !subtask.declinedBy.includes(agent)) subtask.declinedBy.push(agent);
+        subtask.status = 'open';
+        subtask.agent = null;
+        subtask.reason = reason;
+        subtask.bids = {};
+        subtask.openedAt = new Date().toISOString();
+        subtask.updatedAt = subtask.openedAt;
+        delete subtask.offeredAt;
+        delete subtask.heartbeatAt;
+        delete subtask.expiredAt;
+    }
+
+    _assign(state, now) {
+        const agents = this.sharedMemory.listAgents(state);
+        // One goal subtask at a time per agent, so a single agent does not collect the whole goal
+        const busy = new Set(state.tasks
+            .filter(task => task.goalId && task.agent && (task.status === 'offered' || ACTIVE_STATUSES.includes(task.status)))
+            .map(task => task.agent));
+
+        const pairs = [];
+        for (const { goal, subtask } of this._openSubtasks(state)) {
+            const openSince = Date.parse(subtask.openedAt || subtask.createdAt);
+            const allowed = Object.keys(agents).filter(agent => !goal.agents || goal.agents.includes(agent));
+            let candidates = allowed.filter(agent => this._mayTake(goal, subtask, agent));
+            if (candidates.length === 0 && allowed.length > 0) {
+                // Everyone declined: give them another chance instead of stalling the goal
+                subtask.declinedBy = [];
+                candidates = allowed;
+            }
+            const everyoneBid = candidates.every(agent => agent in subtask.bids);
+            if (!everyoneBid && now - openSince < this.bidWindowMs) continue;
+            for (const agent of candidates.filter(agent => !busy.has(agent))) {
+                const cost = subtask.bids[agent] ?? this.estimateCost(
+                    subtask, agents[agent], this._workload(state, agent), this._origin(state, goal, subtask, agents[agent])
+                );
+                pairs.push({ subtask, agent, cost });
+            }
+        }
+
+        // Cheapest pairs first across all open subtasks
+        pairs.sort((a, b) => a.cost - b.cost || a.agent.localeCompare(b.agent));
+        const offered = [];
+        for (const { subtask, agent } of pairs) {
+            if (busy.has(agent) || subtask.status !== 'open') continue;
+            subtask.status = 'offered';
+            subtask.agent = agent;
+            subtask.offeredAt = new Date(now).toISOString();
+            subtask.updatedAt = subtask.offeredAt;
+            busy.add(agent);
+            offered.push(subtask);
+        }
+        return offered;
+    }
+
+    _rollUp(state) {
+        for (const goal of this._openGoals(state)) {
+            const subtasks = this._subtasks(state, goal);
+            const total = subtasks.reduce((sum, subtask) => sum + (subtask.weight || 1), 0);
+            const done = subtasks.reduce((sum, subtask) => {
+                const fraction = subtask.status === 'done' ? 1 : (ACTIVE_STATUSES.includes(subtask.status) ? subtask.progress || 0 : 0);
+                return sum + fraction * (subtask.weight || 1);
+            }, 0);
+            const progress = total > 0 ? Math.round(done / total * 1000) / 1000 : 1;
+            if (progress !== goal.progress) {
+                goal.progress = progress;
+                goal.updatedAt = new Date().toISOString();
+            }
+
+            if (subtasks.every(subtask => subtask.status === 'done')) {
+                this._finishGoal(state, goal, 'done');
+            } else if (subtasks.some(subtask => ['failed', 'expired'].includes(subtask.status) && subtask.attempts >= this.maxAttempts)) {
+                this._finishGoal(state, goal, 'failed');
+            }
+        }
+    }
+
+    _finishGoal(state, goal, status) {
+        const now = new Date().toISOString();
+        goal.status = status;
+        goal.updatedAt = now;
+        for (const subtask of this._subtasks(state, goal)) {
+            if (subtask.status === 'done' || subtask.status === 'failed') continue;
+            subtask.status = 'cancelled';
+            subtask.updatedAt = now;
+        }
+    }
+}
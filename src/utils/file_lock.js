@@ -0,0 +1,167 @@
+import { closeSync, fsyncSync, openSync, readFileSync, renameSync, statSync, unlinkSync, writeSync } from 'fs';
+import { hostname } from 'os';
+
+const HOST = hostname();
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function uniqueSuffix() {
+    return `${process.pid}.${Date.now()}.${Math.floor(Math.random() * 1e9)}`;
+}
+
+// Tokens of the locks this process holds
+const held = new Set();
+
+/**
+ * Whether a lock is left over from a crashed process. An owner on this host is checked by its
+ * pid and its lock is never broken while that process runs, however long it holds the lock.
+ * Owners on other hosts cannot be checked, so their locks are stale after staleMs.
+ */
+function isStale(lockPath, raw, staleMs) {
+    try {
+        const owner = JSON.parse(raw);
+        if (owner.host === HOST) {
+            if (owner.pid === process.pid) return !held.has(owner.token);
+            try {
+                process.kill(owner.pid, 0);
+                return false;
+            } catch (err) {
+                // EPERM: the process exists but belongs to another user
+                return err.code === 'ESRCH';
+            }
+        }
+    } catch {
+        // Empty or partly written lock file: fall back to its age
+    }
+    return Date.now() - statSync(lockPath).mtimeMs > staleMs;
+}
+
+/**
+ * Remove a stale lock. Breakers take <lock>.break first, so two of them cannot both judge the
+ * same lock stale and then remove the fresh lock a third process took in between. The lock is
+ * only removed if it still holds what was judged stale.
+ */
+function breakStaleLock(lockPath, raw, staleMs) {
+    const breakPath = `${lockPath}.break`;
+    try {
+        closeSync(openSync(breakPath, 'wx'));
+    } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        // The break lock is only held for a moment; an old one was left by a crashed breaker
+        try {
+            if (Date.now() - statSync(breakPath).mtimeMs > staleMs) unlinkSync(breakPath);
+        } catch {
+            // Removed by its owner meanwhile
+        }
+        return;
+    }
+    try {
+        if (readFileSync(lockPath, 'utf8') === raw) unlinkSync(lockPath);
+    } finally {
+        unlinkSync(breakPath);
+    }
+}
+
+/**
+ * Try once to take the lock, breaking it first if it is stale.
+ *
+ * @returns {string|null} the token that identifies this hold (see releaseLock), or null if the lock is taken
+ */
+export function tryLock(lockPath, staleMs = 5000) {
+    const token = uniqueSuffix();
+    try {
+        const fd = openSync(lockPath, 'wx');
+        try {
+            writeSync(fd, JSON.stringify({ pid: process.pid, host: HOST, token, at: new Date().toISOString() }));
+        } finally {
+            closeSync(fd);
+        }
+        held.add(token);
+        return token;
+    } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+    }
+    try {
+        const raw = readFileSync(lockPath, 'utf8');
+        if (isStale(lockPath, raw, staleMs)) breakStaleLock(lockPath, raw, staleMs);
+    } catch {
+        // The lock was released while we looked at it
+    }
+    return null;
+}
+
+/**
+ * Release a lock taken by tryLock, unless it no longer holds this token (it was broken and
+ * someone else holds it now).
+ */
+export function releaseLock(lockPath, token) {
+    held.delete(token);
+    try {
+        if (JSON.parse(readFileSync(lockPath, 'utf8')).token === token) unlinkSync(lockPath);
+    } catch {
+        // The lock was already removed
+    }
+}
+
+/**
+ * Run fn while holding <filePath>.lock, waiting up to timeoutMs for other processes.
+ * The wait blocks the event loop, so callers in the agent keep timeoutMs to a few hundred ms
+ * and skip the write when the lock stays busy.
+ *
+ * @param {string} filePath - file to protect
+ * @param {function} fn - synchronous function to run under the lock
+ * @param {object} options - { timeoutMs, staleMs }
+ */
+export function withFileLock(filePath, fn, options = {}) {
+    const lockPath = `${filePath}.lock`;
+    const timeoutMs = options.timeoutMs ?? 300;
+    const staleMs = options.staleMs ?? 5000;
+    const deadline = Date.now() + timeoutMs;
+    let delay = 5;
+    let token;
+    while (!(token = tryLock(lockPath, staleMs))) {
+        if (Date.now() > deadline) {
+            throw new Error(`timed out waiting for ${lockPath}`);
+        }
+        sleepSync(delay + Math.floor(Math.random() * delay));
+        delay = Math.min(delay * 2, 50);
+    }
+    try {
+        return fn();
+    } finally {
+        releaseLock(lockPath, token);
+    }
+}
+
+/**
+ * Write a file so that readers see either the old or the new content, never a partial file.
+ */
+export function writeFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${uniqueSuffix()}.tmp`;
+    const fd = openSync(tmpPath, 'w');
+    try {
+        writeSync(fd, data);
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+    // Windows refuses to replace a file another process is reading; retry briefly
+    for (let attempt = 0; ; attempt++) {
+        try {
+            renameSync(tmpPath, filePath);
+            return;
+        } catch (err) {
+            if (attempt >= 10 || !['EPERM', 'EACCES', 'EBUSY'].includes(err.code)) {
+                try {
+                    unlinkSync(tmpPath);
+                } catch {
+                    // Nothing to clean up
+                }
+                throw err;
+            }
+            sleepSync(10);
+        }
+    }
+}
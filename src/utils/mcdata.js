@@ -202,10 +202,13 @@ export function getItemCraftingRecipes(itemName) {
     for (let r of mcdata.recipes[itemId]) {
         let recipe = {};
         let ingredients = [];
+        let requiresTable = false;
         if (r.ingredients) {
             ingredients = r.ingredients;
+            requiresTable = ingredients.length > 4;
         } else if (r.inShape) {
             ingredients = r.inShape.flat();
+            requiresTable = r.inShape.length > 2 || r.inShape.some(row => row.length > 2);
         }
         for (let ingredient of ingredients) {
             let ingredientName = getItemName(ingredient);
@@ -216,7 +219,7 @@ export function getItemCraftingRecipes(itemName) {
         }
         recipes.push([
             recipe,
-            {craftedCount : r.result.count}
+            {craftedCount : r.result.count, requiresTable}
         ]);
     }
     // sort recipes by if their ingredients include common items
@@ -427,7 +430,11 @@ export function getDetailedCraftingPlan(targetItem, count = 1, current_inventory
     return formatPlan(targetItem, plan);
 }
 
-function isBaseItem(item) {
+/**
+ * Whether an item has to be gathered from the world instead of crafted.
+ */
+export function isBaseItem(item) {
+    if (loopingItems.size === 0) initializeLoopingItems();
     return loopingItems.has(item) || getItemCraftingRecipes(item) === null;
 }
 
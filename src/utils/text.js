@@ -37,6 +37,35 @@ export function wordOverlapScore(text1, text2) {
     return intersection.length / (words1.length + words2.length - intersection.length);
 }
 
+// Words that say nothing about what a request or an example is about
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'some', 'any', 'all', 'this', 'that', 'these',
+    'those', 'then', 'than', 'there', 'here', 'you', 'your', 'our', 'can', 'could', 'would', 'will',
+    'should', 'please', 'help', 'make', 'build', 'craft', 'create', 'get', 'got', 'give', 'need',
+    'want', 'let', 'lets', 'have', 'has', 'use', 'using', 'now', 'just', 'more', 'one', 'two', 'few'
+]);
+
+function _getContentWords(text) {
+    const words = (text || '').toLowerCase().split(/[^a-z]+/);
+    return new Set(words.filter(word => word.length >= 3 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Share of the query's content words that also appear in the text. Stop words and words
+ * shorter than three letters are dropped first, so "make a house" shares nothing with
+ * "make a wooden hoe". Returns 0 for a query without content words.
+ */
+export function keywordOverlapScore(query, text) {
+    const queryWords = _getContentWords(query);
+    if (queryWords.size === 0) return 0;
+    const textWords = _getContentWords(text);
+    let shared = 0;
+    for (const word of queryWords) {
+        if (textWords.has(word)) shared++;
+    }
+    return shared / queryWords.size;
+}
+
 // ensures stricter turn order and roles:
 // - system messages are treated as user messages and prefixed with SYSTEM:
 // - combines repeated messages from users
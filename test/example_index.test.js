@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ExampleIndex } from '../src/models/enhancers/example_index.js';
+import { keywordOverlapScore } from '../src/utils/text.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'example-index-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Without an embedding model the index scores examples by keyword overlap
+const index = new ExampleIndex({ cachePath: join(dir, 'training_index.json') });
+
+test('keyword overlap ignores stop words and short words', () => {
+    assert.equal(keywordOverlapScore('make a house', 'Make a wooden hoe and a stone sword'), 0);
+    assert.equal(keywordOverlapScore('a the make', 'anything'), 0);
+    assert.equal(keywordOverlapScore('craft an iron axe', 'Combine iron ingots and sticks'), 0.5);
+    assert.equal(keywordOverlapScore('iron axe', 'crafting/iron_axe'), 1);
+});
+
+test('requests unrelated to every example retrieve nothing', async () => {
+    assert.deepEqual(await index.search('make a house'), []);
+    assert.deepEqual(await index.search('build a bridge'), []);
+});
+
+test('a request for an item retrieves its example first', async () => {
+    const [first] = await index.search('craft an iron axe');
+    assert.equal(first.slug, 'crafting/iron_axe');
+    assert.equal(first.requestScore, 1);
+});
+
+test('falls back to keyword overlap when embedding the query fails', async () => {
+    const queries = ['make a house', 'craft an iron axe'];
+    // The examples embed, the queries do not
+    const model = { embed: text => queries.includes(text) ? Promise.reject(new Error('no embedding service')) : Promise.resolve([1, 0]) };
+    const embedded = new ExampleIndex({ cachePath: join(dir, 'training_index.json'), getEmbeddingModel: () => model });
+    assert.deepEqual(await embedded.search('make a house'), []);
+    assert.equal((await embedded.search('craft an iron axe'))[0].slug, 'crafting/iron_axe');
+});
@@ -0,0 +1,101 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { hostname, tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { releaseLock, tryLock, withFileLock } from '../src/utils/file_lock.js';
+
+// Processes that hold the lock much longer than staleMs must still exclude each other
+const WORKERS = 3;
+const INCREMENTS = 5;
+const HOLD_MS = 30;
+
+function runWorker(path) {
+    for (let i = 0; i < INCREMENTS; i++) {
+        withFileLock(path, () => {
+            const count = Number(readFileSync(path, 'utf8'));
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, HOLD_MS);
+            writeFileSync(path, String(count + 1));
+        }, { timeoutMs: 30000, staleMs: 5 });
+    }
+}
+
+function spawnWorker(path) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [fileURLToPath(import.meta.url), 'worker', path], { stdio: 'inherit' });
+        child.on('error', reject);
+        child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`worker exited with code ${code}`))));
+    });
+}
+
+let dir;
+let lockPath;
+
+function writeLock(owner, ageMs = 0) {
+    writeFileSync(lockPath, JSON.stringify({ host: hostname(), token: 'other', ...owner }));
+    const time = (Date.now() - ageMs) / 1000;
+    utimesSync(lockPath, time, time);
+}
+
+if (process.argv[2] === 'worker') {
+    runWorker(process.argv[3]);
+} else {
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'file-lock-'));
+        lockPath = join(dir, 'state.json.lock');
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('an old lock is kept while its owner on this host is alive', () => {
+        // The test runner that started this file is alive and will not release the lock
+        writeLock({ pid: process.ppid }, 60000);
+        assert.equal(tryLock(lockPath, 10), null);
+        assert.throws(() => withFileLock(join(dir, 'state.json'), () => {}, { timeoutMs: 50, staleMs: 10 }), /timed out/);
+        assert.ok(existsSync(lockPath));
+    });
+
+    test('a lock whose owner exited is broken', () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        writeLock({ pid });
+        assert.equal(withFileLock(join(dir, 'state.json'), () => 'ran', { timeoutMs: 1000 }), 'ran');
+        assert.ok(!existsSync(lockPath));
+    });
+
+    test('a lock from another host is broken only after staleMs', () => {
+        writeLock({ pid: 1, host: 'elsewhere' });
+        assert.equal(tryLock(lockPath, 60000), null);
+        utimesSync(lockPath, new Date(Date.now() - 120000), new Date(Date.now() - 120000));
+        assert.equal(tryLock(lockPath, 60000), null, 'the first attempt only breaks the lock');
+        assert.ok(tryLock(lockPath, 60000));
+    });
+
+    test('releasing does not remove a lock someone else holds now', () => {
+        const token = tryLock(lockPath);
+        assert.ok(token);
+        // The lock was broken and taken by another process
+        writeLock({ pid: process.ppid });
+        releaseLock(lockPath, token);
+        assert.equal(JSON.parse(readFileSync(lockPath, 'utf8')).token, 'other');
+
+        const own = tryLock(join(dir, 'other.lock'));
+        releaseLock(join(dir, 'other.lock'), own);
+        assert.ok(!existsSync(join(dir, 'other.lock')));
+    });
+
+    test('a lock this process left behind is broken', () => {
+        writeLock({ pid: process.pid, token: 'leftover' });
+        assert.equal(withFileLock(join(dir, 'state.json'), () => 'ran', { timeoutMs: 1000 }), 'ran');
+    });
+
+    test('slow holders keep their lock past staleMs', { timeout: 60000 }, async () => {
+        const path = join(dir, 'counter.txt');
+        writeFileSync(path, '0');
+        await Promise.all(Array.from({ length: WORKERS }, () => spawnWorker(path)));
+        assert.equal(Number(readFileSync(path, 'utf8')), WORKERS * INCREMENTS);
+    });
+}
@@ -0,0 +1,23 @@
+import { beforeEach, afterEach } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Give every test of the calling file a fresh temporary directory for a ledger file.
+ * Defines no tests itself, so node --test runs this file as an empty one.
+ *
+ * @param {string} prefix - temporary directory name prefix
+ * @returns {object} { dir, path }, updated before each test; path is dir/team_state.json
+ */
+export function useTempLedger(prefix) {
+    const ledger = { dir: null, path: null };
+    beforeEach(() => {
+        ledger.dir = mkdtempSync(join(tmpdir(), `${prefix}-`));
+        ledger.path = join(ledger.dir, 'team_state.json');
+    });
+    afterEach(() => {
+        rmSync(ledger.dir, { recursive: true, force: true });
+    });
+    return ledger;
+}
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MissionPlanner } from '../src/models/enhancers/mission_planner.js';
+import { TrainingValidator } from '../src/models/enhancers/training_validator.js';
+
+const planner = new MissionPlanner();
+const validator = new TrainingValidator();
+
+const commands = mission => mission.plan.map(step => step.action_cmd[0]);
+const indexOf = (mission, command) => commands(mission).indexOf(command);
+
+test('plans only the final craft when the ingredients are in the inventory', () => {
+    const mission = planner.plan('stone_pickaxe', 1, { inventory: { cobblestone: 3, stick: 2, crafting_table: 1 } });
+    assert.deepEqual(commands(mission), ['!craftRecipe("stone_pickaxe", 1)']);
+    assert.deepEqual(mission.plan[0].verify_cmd, ['!inventory("stone_pickaxe")']);
+    assert.deepEqual(mission.unresolved, []);
+});
+
+test('every step of a plan from an empty inventory is produced by the steps before it', () => {
+    for (const item of ['stone_pickaxe', 'iron_ingot', 'diamond']) {
+        const mission = planner.plan(item, 1, { inventory: {} });
+        assert.deepEqual(mission.unresolved, [], item);
+        assert.deepEqual(validator.checkChain(mission.plan, {}), [], item);
+    }
+});
+
+test('makes each pickaxe before the blocks that need it', () => {
+    const mission = planner.plan('diamond', 1, { inventory: {} });
+    const woodenPickaxe = indexOf(mission, '!craftRecipe("wooden_pickaxe", 1)');
+    const stonePickaxe = indexOf(mission, '!craftRecipe("stone_pickaxe", 1)');
+    const ironPickaxe = indexOf(mission, '!craftRecipe("iron_pickaxe", 1)');
+    const firstStone = commands(mission).findIndex(command => command.startsWith('!collectBlocks("stone"'));
+    const ironOre = commands(mission).findIndex(command => command.startsWith('!collectBlocks("iron_ore"'));
+
+    assert.ok(woodenPickaxe >= 0 && woodenPickaxe < firstStone);
+    assert.ok(stonePickaxe >= 0 && stonePickaxe < ironOre);
+    assert.ok(ironPickaxe >= 0 && ironPickaxe < mission.plan.length - 1);
+    assert.equal(commands(mission).at(-1), '!collectBlocks("diamond_ore", 1)');
+});
+
+test('smelts in a furnace made earlier in the plan', () => {
+    const mission = planner.plan('iron_ingot', 2, { inventory: { stone_pickaxe: 1, coal: 1 } });
+    const furnace = indexOf(mission, '!craftRecipe("furnace", 1)');
+    const smelt = indexOf(mission, '!smeltItem("raw_iron", 2)');
+    assert.ok(furnace >= 0 && furnace < smelt);
+    assert.ok(!commands(mission).some(command => command.includes('coal_ore')), 'the coal in the inventory is used as fuel');
+});
+
+test('reserves the fuel a smelt burns so later steps do not count on it', () => {
+    const inventory = { oak_planks: 2, raw_iron: 3, furnace: 1, crafting_table: 1 };
+    const mission = planner.plan('iron_pickaxe', 1, { inventory });
+    const smelt = mission.plan[indexOf(mission, '!smeltItem("raw_iron", 3)')];
+    assert.ok(smelt.preconditions.some(p => p.type === 'has_item' && p.item === 'oak_planks' && p.count === 2));
+    // The planks burn in the furnace, so the sticks need new ones
+    assert.ok(indexOf(mission, '!craftRecipe("oak_planks", 1)') < indexOf(mission, '!craftRecipe("stick", 1)'));
+    assert.deepEqual(validator.checkChain(mission.plan, inventory), []);
+
+    const coal = planner.plan('iron_ingot', 9, { inventory: { raw_iron: 9, furnace: 1, coal: 1 } });
+    assert.ok(commands(coal).some(command => command.startsWith('!collectBlocks("coal_ore"')), 'one coal smelts only 8 items');
+});
+
+test('uses the wood type from the inventory', () => {
+    const mission = planner.plan('stick', 4, { inventory: { birch_log: 1 } });
+    assert.deepEqual(commands(mission), ['!craftRecipe("birch_planks", 1)', '!craftRecipe("stick", 1)']);
+});
+
+test('skips crafting a station that is nearby or known to the team', () => {
+    const inventory = { oak_planks: 3, stick: 2 };
+    const withStation = override => new MissionPlanner({
+        preconditionExtractor: { resolveStationRequirement: () => override }
+    }).plan('wooden_pickaxe', 1, { bot: {}, inventory });
+
+    assert.ok(indexOf(planner.plan('wooden_pickaxe', 1, { inventory }), '!craftRecipe("crafting_table", 1)') >= 0);
+    assert.deepEqual(commands(withStation(null)), ['!craftRecipe("wooden_pickaxe", 1)']);
+    assert.deepEqual(commands(withStation({ command: '!goToStorage("crafting_table")' })), ['!craftRecipe("wooden_pickaxe", 1)']);
+    assert.ok(indexOf(withStation({ command: '!placeHere("crafting_table")' }), '!craftRecipe("crafting_table", 1)') >= 0);
+});
+
+test('resolves the goal item and count from a request', () => {
+    assert.deepEqual(planner.resolveGoal('make me 3 stone pickaxes'), { item: 'stone_pickaxe', count: 3 });
+    assert.deepEqual(planner.resolveGoal('craft 2 torches'), { item: 'torch', count: 2 });
+    assert.deepEqual(planner.resolveGoal('get some wood'), { item: 'oak_log', count: 1 });
+    assert.deepEqual(planner.resolveGoal('smelt iron', { count: 5 }), { item: 'iron_ingot', count: 5 });
+    assert.equal(planner.resolveGoal('hello there'), null);
+    assert.equal(planner.planFromRequest('hello there', {}), null);
+});
+
+test('reports items it cannot obtain', () => {
+    assert.deepEqual(planner.plan('not_an_item', 1, { inventory: {} }).unresolved, ['not_an_item']);
+});
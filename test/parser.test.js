@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommands, parseCommand, formatArg, formatCommand } from '../src/agent/commands/parser.js';
+
+const values = command => command.args.map(arg => arg.value);
+
+test('parses numbers, booleans, words and both kinds of strings', () => {
+    const command = parseCommand(`!test(1.5, -3, .5, true, oak_log, "a b", 'c, d')`);
+    assert.equal(command.name, '!test');
+    assert.equal(command.error, null);
+    assert.deepEqual(command.args.map(arg => arg.type), ['number', 'number', 'number', 'boolean', 'word', 'string', 'string']);
+    assert.deepEqual(values(command), [1.5, -3, 0.5, true, 'oak_log', 'a b', 'c, d']);
+});
+
+test('keeps parentheses, commas and ! inside strings', () => {
+    const command = parseCommand('!newAction("Build a small house (3x3), then say hi!")');
+    assert.equal(command.error, null);
+    assert.deepEqual(values(command), ['Build a small house (3x3), then say hi!']);
+});
+
+test('unescapes quotes, backslashes and newlines', () => {
+    const command = parseCommand(String.raw`!chat("say \"hi\"\nnow \\ bye")`);
+    assert.deepEqual(values(command), ['say "hi"\nnow \\ bye']);
+});
+
+test('finds several commands and their positions in a message', () => {
+    const message = 'On my way! !goToCoordinates(1, 64, -3) then !stop';
+    const commands = parseCommands(message);
+    assert.deepEqual(commands.map(command => command.name), ['!goToCoordinates', '!stop']);
+    assert.equal(message.slice(commands[0].start, commands[0].end), '!goToCoordinates(1, 64, -3)');
+    assert.equal(commands[1].text, '!stop');
+    assert.deepEqual(commands[1].args, []);
+});
+
+test('leaves exclamation marks in chat alone', () => {
+    assert.deepEqual(parseCommands('Hi! Ready? Yes!!'), []);
+    assert.deepEqual(parseCommands('wow!great'), []);
+    assert.deepEqual(parseCommands(null), []);
+});
+
+test('accepts an empty argument list and extra whitespace', () => {
+    assert.deepEqual(parseCommand('!stats()').args, []);
+    assert.deepEqual(values(parseCommand('!collectBlocks(  "stone" ,  3  )')), ['stone', 3]);
+});
+
+test('reports syntax errors with a code and position', () => {
+    const unterminated = parseCommand('!chat("hello)');
+    assert.equal(unterminated.error.code, 'unterminated_string');
+    assert.equal(unterminated.error.position, 6);
+
+    assert.equal(parseCommand('!collectBlocks("stone", 3').error.code, 'unclosed_parenthesis');
+    assert.equal(parseCommand('!collectBlocks("stone" 3)').error.code, 'unexpected_character');
+    assert.equal(parseCommand('!collectBlocks("stone", )').error.code, 'empty_argument');
+});
+
+test('formatCommand output parses back to the same arguments', () => {
+    const args = ['a "quoted" \\ value\nnext', 3, -0.5, false];
+    const text = formatCommand('newAction', args);
+    assert.ok(text.startsWith('!newAction('));
+    const command = parseCommand(text);
+    assert.equal(command.error, null);
+    assert.deepEqual(values(command), args);
+});
+
+test('formatArg quotes strings only', () => {
+    assert.equal(formatArg('oak_log'), '"oak_log"');
+    assert.equal(formatArg(12), '12');
+    assert.equal(formatArg(true), 'true');
+    assert.equal(formatCommand('!stop'), '!stop()');
+});
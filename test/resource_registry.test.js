@@ -0,0 +1,86 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedMemory, applyLedgerPatch, diffLedger } from '../src/team/shared_memory.js';
+import { ResourceRegistry, isContainer, isStation, resourceKey } from '../src/team/resource_registry.js';
+import { useTempLedger } from './helpers/ledger.js';
+
+const ledger = useTempLedger('resource-registry');
+let registry;
+
+beforeEach(() => {
+    registry = new ResourceRegistry({ sharedMemory: new SharedMemory({ agentName: 'alice', path: ledger.path }) });
+});
+
+const block = (name, x, y, z) => ({ name, position: { x, y, z } });
+
+test('tracks workstations and containers only', () => {
+    assert.ok(isStation('furnace'));
+    assert.ok(isContainer('barrel'));
+    assert.ok(isContainer('red_shulker_box'));
+    assert.ok(!isContainer('ender_chest'));
+
+    assert.equal(registry.recordBlock(block('dirt', 0, 64, 0)), null);
+    const record = registry.recordBlock(block('crafting_table', 1.7, 64, -2.2));
+    assert.deepEqual(record.position, { x: 1, y: 64, z: -3 });
+    assert.equal(record.kind, 'station');
+    assert.equal(record.seenBy, 'alice');
+    assert.deepEqual(Object.keys(registry.list()), [resourceKey({ x: 1, y: 64, z: -3 })]);
+});
+
+test('keeps what a container held until the block changes', () => {
+    const chest = block('chest', 10, 64, 10);
+    registry.recordContainer(chest, [{ name: 'iron_ingot', count: 5 }, { name: 'iron_ingot', count: 3 }, { name: 'coal', count: 2 }]);
+    assert.deepEqual(registry.recordBlock(chest).contents, { iron_ingot: 8, coal: 2 });
+
+    // A barrel placed where the chest was has unknown contents
+    assert.equal(registry.recordBlock(block('barrel', 10, 64, 10)).contents, null);
+    assert.equal(registry.remove(chest.position), true);
+    assert.equal(registry.remove(chest.position), false);
+    assert.deepEqual(registry.list(), {});
+});
+
+test('finds items and blocks nearest first in the same dimension', () => {
+    registry.recordContainer(block('chest', 100, 64, 0), [{ name: 'oak_log', count: 40 }]);
+    registry.recordContainer(block('chest', 10, 64, 0), [{ name: 'oak_log', count: 2 }]);
+    registry.recordContainer(block('chest', 0, 64, 0), [{ name: 'oak_log', count: 9 }], 'minecraft:the_nether');
+    registry.recordBlock(block('furnace', 50, 64, 0));
+
+    const here = { x: 0, y: 64, z: 0 };
+    assert.deepEqual(registry.findItem('oak_log', { position: here }).map(found => found.count), [2, 40]);
+    assert.deepEqual(registry.findItem('oak_log', { dimension: 'the_nether' }).map(found => found.count), [9]);
+    assert.deepEqual(registry.findItem('diamond'), []);
+
+    assert.equal(registry.findBlock('furnace', { position: here }).distance, 50);
+    assert.equal(registry.findBlock('furnace', { position: here, maxDistance: 32 }), null);
+    assert.equal(registry.findBlock('chest', { position: here }).record.position.x, 10);
+});
+
+test('describes where an item or a station can be found', () => {
+    registry.recordContainer(block('chest', 3, 64, 4), [{ name: 'bread', count: 6 }]);
+    registry.recordBlock(block('furnace', 0, 70, 0));
+
+    assert.match(registry.describe('bread', { position: { x: 0, y: 64, z: 0 } }), /^Containers holding bread:\n- 6 in the chest at 3, 64, 4, 5 blocks away \(seen by alice /);
+    assert.match(registry.describe('furnace'), /^Known furnaces:\n- furnace at 0, 70, 0 \(seen by alice /);
+    assert.equal(registry.describe('diamond'), 'No known container holds diamond.');
+    assert.equal(registry.describe('anvil', { dimension: 'the_end' }), 'The team knows no anvil in the end.');
+});
+
+test('records reach other replicas through ledger patches', () => {
+    const memory = registry.sharedMemory;
+    const replica = memory.read();
+
+    let before = memory.read();
+    registry.recordContainer(block('chest', 1, 64, 1), [{ name: 'torch', count: 16 }]);
+    registry.recordBlock(block('smoker', 2, 64, 1));
+    let patch = diffLedger(before, memory.read());
+    assert.equal(Object.keys(patch.resources).length, 2);
+    applyLedgerPatch(replica, patch);
+    assert.deepEqual(replica.resources, memory.read().resources);
+
+    before = memory.read();
+    registry.remove({ x: 1, y: 64, z: 1 });
+    patch = diffLedger(before, memory.read());
+    assert.deepEqual(patch.removed.resources, [resourceKey({ x: 1, y: 64, z: 1 })]);
+    applyLedgerPatch(replica, patch);
+    assert.deepEqual(Object.values(replica.resources).map(record => record.block), ['smoker']);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { setImmediate } from 'timers/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { SharedMemory } from '../src/team/shared_memory.js';
+
+// Several agent processes write to one ledger file at the same time. Each write must
+// survive: a lost update would drop a task, a status or a counter increment.
+const WORKERS = Number(process.env.STRESS_WORKERS || 6);
+const TASKS_PER_WORKER = Number(process.env.STRESS_TASKS || 25);
+// claim, in_progress, done/failed and one counter increment per task
+const WRITES_PER_TASK = 4;
+
+async function runWorker(path, agent) {
+    const memory = new SharedMemory({ agentName: agent, path, lockTimeoutMs: 30000 });
+    let skipped = 0;
+    for (let i = 0; i < TASKS_PER_WORKER; i++) {
+        const task = memory.claimTask({ agent, summary: `${agent} task ${i}` });
+        if (!task) {
+            skipped++;
+            continue;
+        }
+        if (!memory.updateStatus(task.id, 'in_progress', { step: i })) skipped++;
+        const finished = i % 2 === 0
+            ? memory.completeTask(task.id, `result ${i}`)
+            : memory.updateStatus(task.id, 'failed', { reason: `reason ${i}` });
+        if (!finished) skipped++;
+        memory.update(state => {
+            state.counter = (state.counter || 0) + 1;
+        });
+        // Let the other processes interleave with this one
+        await setImmediate();
+    }
+    process.stdout.write(JSON.stringify({ agent, skipped }));
+}
+
+function spawnWorker(path, agent) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [fileURLToPath(import.meta.url), 'worker', path, agent], {
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        let output = '';
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.on('error', reject);
+        child.on('exit', code => {
+            if (code !== 0) reject(new Error(`${agent} exited with code ${code}`));
+            else resolve(JSON.parse(output));
+        });
+    });
+}
+
+if (process.argv[2] === 'worker') {
+    runWorker(process.argv[3], process.argv[4]).catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+} else {
+    test('concurrent processes do not lose ledger writes', { timeout: 120000 }, async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'ledger-stress-'));
+        try {
+            const path = join(dir, 'team_state.json');
+            const agents = Array.from({ length: WORKERS }, (_, i) => `agent_${i}`);
+            const results = await Promise.all(agents.map(agent => spawnWorker(path, agent)));
+            assert.deepEqual(results.map(r => r.skipped), agents.map(() => 0), 'no write may be skipped');
+
+            const state = new SharedMemory({ path }).read();
+            assert.equal(state.tasks.length, WORKERS * TASKS_PER_WORKER);
+            assert.equal(state.counter, WORKERS * TASKS_PER_WORKER);
+            assert.equal(state.version, WORKERS * TASKS_PER_WORKER * WRITES_PER_TASK);
+
+            for (const agent of agents) {
+                for (let i = 0; i < TASKS_PER_WORKER; i++) {
+                    const task = state.tasks.find(t => t.summary === `${agent} task ${i}`);
+                    assert.ok(task, `${agent} task ${i} is missing`);
+                    assert.equal(task.agent, agent);
+                    assert.equal(task.step, i);
+                    if (i % 2 === 0) {
+                        assert.equal(task.status, 'done');
+                        assert.equal(task.result, `result ${i}`);
+                    } else {
+                        assert.equal(task.status, 'failed');
+                        assert.equal(task.reason, `reason ${i}`);
+                    }
+                }
+            }
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+}
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { SharedMemory } from '../src/team/shared_memory.js';
+import { useTempLedger } from './helpers/ledger.js';
+
+const ledger = useTempLedger('shared-memory');
+
+const TTL = 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+// A ledger with a one second TTL and retention, whose tasks are backdated instead of waited for
+function createMemory(options = {}) {
+    return new SharedMemory({ agentName: 'alice', path: ledger.path, taskTtlMs: TTL, retentionMs: TTL, ...options });
+}
+
+function addTask(memory, id, fields = {}) {
+    memory.update(state => {
+        state.tasks.push({ id, agent: 'alice', summary: id, status: 'planning', createdAt: ago(0), updatedAt: ago(0), heartbeatAt: ago(0), ...fields });
+    });
+}
+
+const ids = memory => memory.read().tasks.map(task => task.id);
+const history = (file = join(ledger.dir, 'team_history.jsonl')) => readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).id);
+
+test('tasks without a heartbeat for taskTtlMs expire', () => {
+    const memory = createMemory();
+    addTask(memory, 'quiet', { heartbeatAt: ago(2 * TTL), createdAt: ago(3 * TTL) });
+    addTask(memory, 'busy', { heartbeatAt: ago(2 * TTL) });
+    memory.heartbeat('alice');
+
+    // The heartbeat refreshed both of alice's tasks; only a task nobody heartbeats goes stale
+    assert.deepEqual(memory.listActive().map(task => task.id), ['quiet', 'busy']);
+    addTask(memory, 'lost', { agent: 'bob', heartbeatAt: ago(2 * TTL) });
+    assert.deepEqual(memory.listActive().map(task => task.id), ['quiet', 'busy']);
+    assert.deepEqual(memory.listExpired().map(task => task.id), ['lost']);
+
+    const { expired, archived } = memory.maintain();
+    assert.deepEqual(expired.map(task => task.id), ['lost']);
+    assert.equal(archived, 0, 'an expired task waits for reassignment first');
+    const lost = memory.read().tasks.find(task => task.id === 'lost');
+    assert.equal(lost.status, 'expired');
+    assert.match(lost.reason, /no heartbeat from bob/);
+});
+
+test('finished tasks are archived past retentionMs or beyond maxFinished', () => {
+    const memory = createMemory({ maxFinished: 2 });
+    addTask(memory, 'old', { status: 'done', updatedAt: ago(2 * TTL) });
+    addTask(memory, 'first', { status: 'done', updatedAt: ago(300) });
+    addTask(memory, 'second', { status: 'failed', updatedAt: ago(200) });
+    addTask(memory, 'third', { status: 'cancelled', updatedAt: ago(100) });
+    addTask(memory, 'expired', { status: 'expired', updatedAt: ago(2 * TTL), expiredAt: ago(100) });
+    addTask(memory, 'active');
+
+    assert.equal(memory.maintain().archived, 2);
+    assert.deepEqual(ids(memory), ['second', 'third', 'expired', 'active']);
+    assert.deepEqual(history(), ['first', 'old']);
+});
+
+test('subtasks of an open goal stay until the goal is archived', () => {
+    const memory = createMemory();
+    memory.update(state => {
+        state.goals = [{ id: 'goal_1', status: 'in_progress', updatedAt: ago(2 * TTL) }];
+    });
+    addTask(memory, 'subtask_1', { goalId: 'goal_1', status: 'done', updatedAt: ago(2 * TTL) });
+    assert.equal(memory.maintain().archived, 0);
+    assert.deepEqual(ids(memory), ['subtask_1']);
+
+    memory.update(state => {
+        state.goals[0].status = 'done';
+    });
+    assert.equal(memory.maintain().archived, 2);
+    assert.deepEqual(memory.read().goals, []);
+    assert.deepEqual(history(), ['goal_1', 'subtask_1']);
+    assert.equal(JSON.parse(readFileSync(join(ledger.dir, 'team_history.jsonl'), 'utf8').split('\n')[0]).kind, 'goal');
+});
+
+test('the history file rotates at historyMaxBytes and keeps historyFiles old files', () => {
+    const memory = createMemory({ historyMaxBytes: 10, historyFiles: 2 });
+    for (const id of ['a', 'b', 'c', 'd']) {
+        addTask(memory, id, { status: 'done', updatedAt: ago(2 * TTL) });
+        memory.maintain();
+    }
+    assert.deepEqual(history(), ['d']);
+    assert.deepEqual(history(join(ledger.dir, 'team_history.1.jsonl')), ['c']);
+    assert.deepEqual(history(join(ledger.dir, 'team_history.2.jsonl')), ['b']);
+    assert.ok(!existsSync(join(ledger.dir, 'team_history.3.jsonl')));
+});
+
+test('archived tasks reach the history only once the ledger is saved', () => {
+    const memory = createMemory();
+    addTask(memory, 'old', { status: 'done', updatedAt: ago(2 * TTL) });
+    const save = memory._save;
+    memory._save = () => {
+        throw new Error('disk full');
+    };
+    assert.equal(memory.maintain(), null);
+    assert.ok(!existsSync(join(ledger.dir, 'team_history.jsonl')));
+    assert.deepEqual(ids(memory), ['old']);
+
+    memory._save = save;
+    assert.equal(memory.maintain().archived, 1);
+    assert.deepEqual(history(), ['old']);
+});
+
+test('only idle agents take over an expired task', () => {
+    const memory = createMemory();
+    addTask(memory, 'lost', { agent: 'bob', heartbeatAt: ago(2 * TTL) });
+    addTask(memory, 'current', { agent: 'carol' });
+    memory.maintain();
+
+    assert.equal(memory.reassignTask('lost', 'carol'), null);
+    assert.equal(memory.reassignExpired('carol'), null);
+    assert.equal(memory.reassignExpired('bob'), null, 'agents do not take back their own abandoned task');
+    assert.equal(memory.reassignTask('current', 'alice'), null, 'a task that is still worked on is not reassigned');
+
+    memory.completeTask('current', 'done');
+    const task = memory.reassignExpired('carol');
+    assert.equal(task.id, 'lost');
+    assert.equal(task.agent, 'carol');
+    assert.equal(task.status, 'planning');
+    assert.deepEqual(task.reassignedFrom, ['bob']);
+    assert.equal(memory.reassignTask('lost', 'alice'), null, 'a reassigned task is active again');
+});
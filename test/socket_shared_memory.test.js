@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedMemory, SharedMemoryConflictError } from '../src/team/shared_memory.js';
+import { SocketSharedMemory } from '../src/team/socket_shared_memory.js';
+import { useTempLedger } from './helpers/ledger.js';
+
+const ledger = useTempLedger('socket-ledger');
+
+// Stand-in for the monitor server and the socket.io connections of its agents, handling the
+// team events like monitor_server.js. Every message is delivered on a later tick, in order, so
+// an agent's replica lags behind the server the way it does over the network.
+function createServer() {
+    const sockets = [];
+    const later = fn => setTimeout(fn, 0);
+    const teamLedger = new SharedMemory({
+        agentName: 'monitor',
+        path: ledger.path,
+        onChange: patch => sockets.forEach(socket => socket.deliver('team-patch', patch))
+    });
+
+    const connect = () => {
+        const handlers = {};
+        const socket = {
+            on: (event, handler) => {
+                handlers[event] = handler;
+            },
+            emit: (event, payload, ack) => later(() => {
+                if (event === 'team-subscribe') socket.deliver('team-state', teamLedger.read());
+                if (event === 'team-patch') {
+                    const reply = teamLedger.applyPatch(structuredClone(payload));
+                    later(() => ack?.(structuredClone(reply)));
+                }
+            }),
+            deliver: (event, payload) => later(() => handlers[event]?.(structuredClone(payload)))
+        };
+        sockets.push(socket);
+        return socket;
+    };
+    return { ledger: teamLedger, connect };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Take the subtask unless the replica shows someone else has it
+const take = agent => state => {
+    const task = state.tasks.find(t => t.id === 'subtask_1');
+    if (task.agent) return false;
+    task.agent = agent;
+    task.status = 'planning';
+    return true;
+};
+
+async function createTeam(server) {
+    server.ledger.update(state => {
+        state.tasks.push({ id: 'subtask_1', goalId: 'goal_1', status: 'offered', agent: null, summary: 'collect 8 oak_log' });
+    });
+    const alice = new SocketSharedMemory({ agentName: 'alice', socket: server.connect() });
+    const bob = new SocketSharedMemory({ agentName: 'bob', socket: server.connect() });
+    alice.read();
+    bob.read();
+    await settle();
+    return { alice, bob };
+}
+
+test('replicas receive the ledger and the changes of other agents', async () => {
+    const server = createServer();
+    const { alice, bob } = await createTeam(server);
+    assert.equal(bob.read().tasks.length, 1);
+
+    const patches = [];
+    bob.subscribe(patch => patches.push(patch));
+    alice.update(take('alice'));
+    await alice.confirm();
+    await settle();
+    assert.equal(bob.read().tasks[0].agent, 'alice');
+    assert.equal(bob.read().version, server.ledger.getVersion());
+    assert.ok(patches.some(patch => patch?.tasks.some(task => task.agent === 'alice')));
+});
+
+test('the server refuses a write made from a stale replica', async () => {
+    const server = createServer();
+    const { alice, bob } = await createTeam(server);
+    const conflicts = [];
+    bob.onConflict = error => conflicts.push(error);
+
+    // Neither replica has seen the other's write yet, so both think they took the subtask
+    assert.equal(alice.update(take('alice')), true);
+    assert.equal(bob.update(take('bob')), true);
+
+    await alice.confirm();
+    await assert.rejects(bob.confirm(), error => {
+        assert.ok(error instanceof SharedMemoryConflictError);
+        assert.deepEqual(error.records, ['tasks/subtask_1']);
+        return true;
+    });
+    assert.equal(conflicts.length, 1);
+    assert.equal(server.ledger.read().tasks[0].agent, 'alice');
+    assert.equal(bob.read().tasks[0].agent, 'alice', 'the refused replica is replaced by the server ledger');
+
+    await settle();
+    assert.equal(alice.read().tasks[0].agent, 'alice');
+});
+
+test('expectedVersion is checked against the server ledger', async () => {
+    const server = createServer();
+    const { alice, bob } = await createTeam(server);
+    const version = bob.read().version;
+
+    alice.update(state => {
+        state.tasks.push({ id: 'task_2', status: 'planning', agent: 'alice', summary: 'build a hut' });
+    });
+    // Bob's replica is still at the old version, so only the server can tell
+    bob.update(state => {
+        state.tasks.push({ id: 'task_3', status: 'planning', agent: 'bob', summary: 'mine iron' });
+    }, { expectedVersion: version });
+
+    await alice.confirm();
+    await assert.rejects(bob.confirm(), SharedMemoryConflictError);
+    assert.deepEqual(server.ledger.read().tasks.map(task => task.id), ['subtask_1', 'task_2']);
+
+    // A replica that is known to be behind fails straight away
+    assert.throws(() => bob.update(() => {}, { expectedVersion: version }), SharedMemoryConflictError);
+});
+
+test('writes made before the socket exists are sent once it connects', async () => {
+    const server = createServer();
+    let socket = null;
+    const memory = new SocketSharedMemory({ agentName: 'alice', getSocket: () => socket });
+
+    const task = memory.claimTask({ agent: 'alice', summary: 'collect 8 oak_log' });
+    assert.equal(memory.read().tasks[0].id, task.id);
+    socket = server.connect();
+    memory.read();
+    await memory.confirm();
+    assert.equal(server.ledger.read().tasks[0].id, task.id);
+});
+
+test('the file ledger confirms writes straight away', async () => {
+    const memory = new SharedMemory({ agentName: 'alice', path: ledger.path });
+    memory.claimTask({ agent: 'alice', summary: 'collect 8 oak_log' });
+    await memory.confirm();
+});
+
+test('applyPatch refuses to overwrite a task that changed since the patch was made', () => {
+    const memory = new SharedMemory({ agentName: 'monitor', path: ledger.path });
+    const task = memory.claimTask({ agent: 'alice', summary: 'collect 8 oak_log' });
+    const stale = { ...task, status: 'offered' };
+
+    const refused = memory.applyPatch({ tasks: [{ ...task, agent: 'bob' }], base: { tasks: { [task.id]: stale } } });
+    assert.equal(refused.ok, false);
+    assert.deepEqual(refused.records, [`tasks/${task.id}`]);
+    assert.equal(refused.state.tasks[0].agent, 'alice');
+
+    const applied = memory.applyPatch({ tasks: [{ ...task, status: 'done' }], base: { tasks: { [task.id]: task } } });
+    assert.deepEqual(applied, { ok: true, version: 2 });
+    assert.equal(memory.read().tasks[0].status, 'done');
+});
@@ -0,0 +1,148 @@
+// Load the command list first: the enhancer imports actions.js, which reaches it through a cycle
+import '../src/agent/commands/index.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedMemory, SharedMemoryConflictError } from '../src/team/shared_memory.js';
+import { TeamCoordinator } from '../src/team/team_coordinator.js';
+import { ResourceRegistry } from '../src/team/resource_registry.js';
+import { ImplicitEnhancer } from '../src/models/enhancers/implicit_enhancer.js';
+import { ActionManager } from '../src/agent/action_manager.js';
+import { useTempLedger } from './helpers/ledger.js';
+
+const ledger = useTempLedger('team-coordinator');
+
+function findTask(id) {
+    return new SharedMemory({ path: ledger.path }).read().tasks.find(task => task.id === id);
+}
+
+// An agent with a fake bot whose inventory the test controls, wired to its enhancer like Agent does
+function createAgent(name, inventory = {}) {
+    const agent = {
+        name,
+        messages: [],
+        bot: { inventory: { items: () => Object.entries(inventory).map(([item, count]) => ({ name: item, count })) } },
+        isIdle: () => true,
+        handleMessage: (source, message) => agent.messages.push(message)
+    };
+    const enhancer = new ImplicitEnhancer({ agent, chatModel: {}, team: { shared_state_path: ledger.path, heartbeat_ms: 0 } });
+    agent.prompter = { enhancer };
+    agent.actions = new ActionManager(agent);
+    return { agent, enhancer, inventory };
+}
+
+test('offers a collect subtask to the idle bidder and finishes the goal with it', () => {
+    const memory = new SharedMemory({ agentName: 'alice', path: ledger.path });
+    const coordinator = new TeamCoordinator({ sharedMemory: memory, chunkSize: 32 });
+    const goal = coordinator.createGoal({ kind: 'collect', target: '40 oak_log', agents: ['alice'] });
+    assert.deepEqual(goal.subtasks.map(task => task.resource), [{ item: 'oak_log', count: 32 }, { item: 'oak_log', count: 8 }]);
+
+    memory.heartbeat('alice', { inventory: {} });
+    assert.equal(coordinator.bidOpen('alice', { inventory: {} }), 2);
+    const offered = coordinator.refresh();
+    assert.equal(offered.length, 1, 'one goal subtask at a time per agent');
+
+    const accepted = coordinator.accept(offered[0].id, 'alice');
+    assert.equal(accepted.status, 'planning');
+    assert.equal(coordinator.finishSubtask(accepted.id, true, 'done').status, 'done');
+    assert.equal(coordinator.getGoal(goal.id).progress, 0.8);
+
+    const next = coordinator.refresh()[0];
+    coordinator.accept(next.id, 'alice');
+    coordinator.finishSubtask(next.id, true, 'done');
+    assert.equal(coordinator.getGoal(goal.id).status, 'done');
+});
+
+test('collect bids count the distance to a container the team saw holding the resource', () => {
+    const memory = new SharedMemory({ agentName: 'alice', path: ledger.path });
+    const coordinator = new TeamCoordinator({ sharedMemory: memory });
+    coordinator.createGoal({ kind: 'collect', target: '8 oak_log' });
+    const near = { inventory: {}, position: { x: 0, y: 64, z: 0 } };
+    const far = { inventory: {}, position: { x: 320, y: 64, z: 0 } };
+
+    coordinator.bidOpen('alice', near);
+    coordinator.bidOpen('bob', far);
+    let [subtask] = memory.read().tasks;
+    assert.equal(subtask.bids.alice, subtask.bids.bob, 'without a known source distance is ignored');
+
+    new ResourceRegistry({ sharedMemory: memory }).recordContainer(
+        { name: 'chest', position: { x: 300, y: 64, z: 0 } }, [{ name: 'oak_log', count: 16 }]
+    );
+    coordinator.bidOpen('alice', near);
+    coordinator.bidOpen('bob', far);
+    [subtask] = memory.read().tasks;
+    assert.ok(subtask.bids.bob < subtask.bids.alice);
+    assert.equal(coordinator.bidOpen('bob', { ...far, dimension: 'the_nether' }), 1, 'containers in other dimensions do not count');
+});
+
+test('a successful action does not finish an accepted goal subtask', async () => {
+    const { agent, enhancer } = createAgent('alice');
+    enhancer.coordinator.createGoal({ kind: 'collect', target: '8 oak_log', agents: ['alice'] });
+    const task = await enhancer.teamHeartbeat();
+    assert.ok(task, 'the subtask is offered and accepted on the heartbeat');
+    assert.equal(agent.messages.length, 1);
+
+    agent.actions._updateTeamTaskStatus('done', { actionLabel: 'action:collectBlocks' });
+    agent.actions._updateTeamTaskStatus('failed', { actionLabel: 'action:collectBlocks' });
+    assert.equal(findTask(task.id).status, 'planning');
+    assert.equal(enhancer.assignedTaskId, task.id);
+
+    // Requests during the subtask still count toward it
+    enhancer.claimIntentTask({ input: 'get some wood' });
+    assert.equal(enhancer.lastClaimedTaskId, task.id);
+    assert.equal(new SharedMemory({ path: ledger.path }).read().tasks.length, 1);
+});
+
+test('a finished mission completes the subtask only once the inventory holds the resource', async () => {
+    const { enhancer, inventory } = createAgent('alice', { oak_log: 3 });
+    const goal = enhancer.coordinator.createGoal({ kind: 'collect', target: '8 oak_log', agents: ['alice'] });
+    const task = await enhancer.teamHeartbeat();
+
+    enhancer.markTaskDone({ mission: 'collect oak_log' });
+    assert.equal(findTask(task.id).status, 'in_progress');
+    assert.equal(findTask(task.id).progress, 0.375);
+    assert.equal(enhancer.assignedTaskId, task.id);
+
+    inventory.oak_log = 8;
+    enhancer.markTaskDone({ mission: 'collect oak_log' });
+    assert.equal(findTask(task.id).status, 'done');
+    assert.equal(findTask(task.id).result, 'collected 8 oak_log');
+    assert.equal(enhancer.coordinator.getGoal(goal.id).status, 'done');
+    assert.equal(enhancer.assignedTaskId, null);
+});
+
+test('the heartbeat finishes a collect subtask once the inventory holds the resource', async () => {
+    const { enhancer, inventory } = createAgent('alice');
+    enhancer.coordinator.createGoal({ kind: 'collect', target: '8 oak_log', agents: ['alice'] });
+    const task = await enhancer.teamHeartbeat();
+
+    await enhancer.teamHeartbeat();
+    assert.equal(findTask(task.id).status, 'in_progress');
+
+    inventory.oak_log = 10;
+    await enhancer.teamHeartbeat();
+    assert.equal(findTask(task.id).status, 'done');
+    assert.equal(enhancer.assignedTaskId, null);
+});
+
+test('an aborted mission fails the subtask so the coordinator can reopen it', async () => {
+    const { enhancer } = createAgent('alice');
+    enhancer.coordinator.createGoal({ kind: 'collect', target: '8 oak_log', agents: ['alice'] });
+    const task = await enhancer.teamHeartbeat();
+
+    enhancer.markTaskFailed({ reason: 'no trees nearby' });
+    assert.equal(findTask(task.id).status, 'failed');
+    assert.equal(enhancer.assignedTaskId, null);
+    enhancer.coordinator.refresh();
+    assert.equal(findTask(task.id).status, 'open');
+});
+
+test('a subtask the ledger refuses to give the agent is not started', async () => {
+    const { agent, enhancer } = createAgent('alice');
+    enhancer.coordinator.createGoal({ kind: 'collect', target: '8 oak_log', agents: ['alice'] });
+    // What SocketSharedMemory reports when a teammate accepted the subtask first
+    enhancer.sharedMemory.confirm = () => Promise.reject(new SharedMemoryConflictError(3, 4, ['tasks/subtask_1']));
+
+    assert.equal(await enhancer.teamHeartbeat(), null);
+    assert.deepEqual(agent.messages, []);
+    assert.equal(enhancer.assignedTaskId, null);
+});
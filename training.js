@@ -0,0 +1,104 @@
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { TrainingValidator } from './src/models/enhancers/training_validator.js';
+import { GuideImporter } from './src/models/enhancers/guide_importer.js';
+import { loadGuides, GUIDE_CACHE_PATH } from './src/plugins/GuideReader/guide_cache.js';
+
+function printReport(report) {
+    const errors = report.issues.filter(issue => issue.level === 'error');
+    const warnings = report.issues.filter(issue => issue.level === 'warning');
+    const count = report.intents !== undefined ? `${report.intents} intents` : `${report.examples} examples`;
+    console.log(`${report.file}: ${count}, ${errors.length} errors, ${warnings.length} warnings${report.fixed ? `, ${report.fixed} fixes written` : ''}`);
+    for (const issue of report.issues) {
+        console.log(`  ${issue.level === 'error' ? 'ERROR' : 'warn '} ${issue.where}: ${issue.message}`);
+    }
+}
+
+function validate(args) {
+    const validator = new TrainingValidator({ trainingDir: args.dir });
+    const files = args.files?.length ? args.files : validator.listFiles();
+    const startInventory = args.inventory ? JSON.parse(args.inventory) : {};
+
+    let errors = 0;
+    let warnings = 0;
+    if (!args.files?.length) {
+        const report = validator.validateTaxonomy();
+        printReport(report);
+        errors += report.issues.filter(issue => issue.level === 'error').length;
+    }
+    for (const file of files) {
+        const report = validator.validateFile(file, {
+            fix: args.fix,
+            upgradePreconditions: args.upgradePreconditions,
+            startInventory
+        });
+        printReport(report);
+        errors += report.issues.filter(issue => issue.level === 'error').length;
+        warnings += report.issues.filter(issue => issue.level === 'warning').length;
+    }
+    if (errors > 0 || (args.strict && warnings > 0)) process.exit(1);
+}
+
+function skeleton(args) {
+    const validator = new TrainingValidator({ trainingDir: args.dir });
+    const example = validator.generateSkeleton(args.item, args.count);
+    if (!args.append) {
+        console.log(JSON.stringify(example, null, 2));
+        return;
+    }
+    const examples = existsSync(args.append) ? JSON.parse(readFileSync(args.append, 'utf8')) : [];
+    examples.push(example);
+    writeFileSync(args.append, JSON.stringify(examples, null, 2) + '\n', 'utf8');
+    console.log(`Added ${example.slug} to ${args.append}. Fill in the TODO fields, then run: node training.js validate ${args.append}`);
+}
+
+async function importGuides(args) {
+    const data = await loadGuides({ refresh: args.refresh, cachePath: args.cache });
+    if (!data.fetched_at) {
+        console.error(`No guide cache at ${args.cache || GUIDE_CACHE_PATH}. Run with --refresh to download it.`);
+        process.exit(1);
+    }
+    const validator = new TrainingValidator({ trainingDir: args.dir });
+    const importer = new GuideImporter({ trainingDir: args.dir, outputFile: args.out, validator });
+    const report = importer.importGuides(data, { dryRun: args.dryRun });
+
+    console.log(`Guides fetched ${data.fetched_at}: ${report.added} added, ${report.updated} updated, ${report.unchanged} unchanged, ${report.skipped.length} skipped`);
+    for (const skipped of report.skipped) {
+        console.log(`  skip ${skipped.slug || skipped.id}: ${skipped.reason}`);
+    }
+    for (const dropped of report.dropped) {
+        console.log(`  drop step in ${dropped.slug}: ${dropped.reason}`);
+    }
+    if (!args.dryRun) printReport(validator.validateFile(report.file));
+}
+
+yargs(hideBin(process.argv))
+    .scriptName('training')
+    .option('dir', {
+        type: 'string',
+        describe: 'Training data directory (default data/training)',
+    })
+    .command('validate [files..]', 'Validate training examples', y => y
+        .positional('files', { type: 'string', describe: 'Files to check (default: every JSON file in the training directory and the intent taxonomy)' })
+        .option('fix', { type: 'boolean', default: false, describe: 'Rewrite single-quoted commands in the standard format' })
+        .option('upgrade-preconditions', { type: 'boolean', default: false, describe: 'With --fix, convert free-text preconditions to typed ones' })
+        .option('inventory', { type: 'string', describe: 'Starting inventory for the chain check, as JSON, e.g. \'{"stone_pickaxe":1}\'' })
+        .option('strict', { type: 'boolean', default: false, describe: 'Exit with an error on warnings too' }),
+    validate)
+    .command('skeleton <item> [count]', 'Generate a skeleton example from the crafting plan of an item', y => y
+        .positional('item', { type: 'string', describe: 'Item to craft, e.g. iron_axe' })
+        .positional('count', { type: 'number', default: 1 })
+        .option('append', { type: 'string', describe: 'Append the example to this training file instead of printing it' }),
+    skeleton)
+    .command('import-guides', 'Convert the GuideReader benchmark guides into training examples', y => y
+        .option('refresh', { type: 'boolean', default: false, describe: 'Download the guides from the benchmark API before importing' })
+        .option('cache', { type: 'string', describe: 'Guide cache file (default data/cache/guides.json)' })
+        .option('out', { type: 'string', describe: 'Output training file (default data/training/guide_examples.json)' })
+        .option('dry-run', { type: 'boolean', default: false, describe: 'Report what would change without writing' }),
+    importGuides)
+    .demandCommand(1)
+    .strict()
+    .help()
+    .alias('help', 'h')
+    .parse();